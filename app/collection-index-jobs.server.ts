@@ -0,0 +1,263 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import prisma from "./db.server";
+import { applyCollectionMembers, ruleCollections, toCollectionGid, trackedCollections } from "./collection-index.server";
+import type { Rule } from "../shared/rules";
+
+// Collection index rebuilds run as Bulk Operations: Shopify pages through the
+// collections on its side and writes a JSONL file, which is read when the
+// operation finishes. The bulk_operations/finish webhook completes a job; the
+// status endpoint the admin polls does too, in case the webhook is late.
+
+type JobRow = NonNullable<Awaited<ReturnType<typeof prisma.collectionIndexJob.findFirst>>>;
+
+export type CollectionIndexStatus = {
+  status: "idle" | "queued" | "running" | "processing" | "completed" | "failed";
+  progress: number | null; // 0..1 while running, when the size is known
+  error: string | null;
+  startedAt: string | null;
+  queued: boolean; // another rebuild waits for this one
+  lastIndexedAt: string | null;
+  productsIndexed: number | null;
+};
+
+const ACTIVE = ["running", "processing"];
+// A job with no news for this long is assumed lost (e.g. the server restarted mid-read)
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+function entries(row: { collections: string | null }): Map<string, string> {
+  try {
+    const parsed = row.collections ? JSON.parse(row.collections) : [];
+    return new Map(Array.isArray(parsed) ? parsed : []);
+  } catch {
+    return new Map();
+  }
+}
+
+async function failJob(id: number, error: string) {
+  await prisma.collectionIndexJob.update({ where: { id }, data: { status: "failed", error, completedAt: new Date() } });
+}
+
+async function activeJob(shop: string): Promise<JobRow | null> {
+  const job = await prisma.collectionIndexJob.findFirst({ where: { shop, status: { in: ACTIVE } }, orderBy: { id: "desc" } });
+  if (job && Date.now() - job.updatedAt.getTime() > STALE_AFTER_MS) {
+    await failJob(job.id, "Timed out");
+    return null;
+  }
+  return job;
+}
+
+async function expectedCount(admin: AdminApiContext, gids: string[]): Promise<number> {
+  const res = await admin.graphql(
+    `#graphql
+    query CollectionSizes($ids: [ID!]!) {
+      nodes(ids: $ids) { ... on Collection { productsCount { count } } }
+    }
+  `,
+    { variables: { ids: gids } },
+  );
+  const json = await res.json();
+  const nodes: Array<{ productsCount?: { count: number } } | null> = json?.data?.nodes || [];
+  return gids.length + nodes.reduce((sum, n) => sum + (n?.productsCount?.count || 0), 0);
+}
+
+function bulkQuery(gids: string[]): string {
+  const filter = gids.map((gid) => `id:${gid.split("/").pop()}`).join(" OR ");
+  return `{
+    collections(query: ${JSON.stringify(filter)}) {
+      edges { node { id products { edges { node { id } } } } }
+    }
+  }`;
+}
+
+// Starts the bulk operation for a job that is already marked running.
+async function startJob(admin: AdminApiContext, job: JobRow) {
+  const collections = job.full ? await trackedCollections(admin) : entries(job);
+  await prisma.collectionIndexJob.update({
+    where: { id: job.id },
+    data: { collections: JSON.stringify(Array.from(collections)) },
+  });
+
+  if (collections.size === 0) {
+    // Nothing to read; a full rebuild with no collections just clears the index
+    await completeJob(admin, { ...job, collections: "[]", status: "running" }, null);
+    return;
+  }
+
+  const gids = Array.from(collections.keys());
+  const res = await admin.graphql(
+    `#graphql
+    mutation RunCollectionIndex($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `,
+    { variables: { query: bulkQuery(gids) } },
+  );
+  const json = await res.json();
+  const result = json?.data?.bulkOperationRunQuery;
+  const errors: Array<{ message: string }> = result?.userErrors || [];
+  if (errors.length || !result?.bulkOperation?.id) {
+    await failJob(job.id, errors.map((e) => e.message).join("; ") || "Could not start the bulk operation");
+    await startQueued(admin, job.shop);
+    return;
+  }
+  await prisma.collectionIndexJob.update({
+    where: { id: job.id },
+    data: { bulkOperationId: result.bulkOperation.id, expectedCount: await expectedCount(admin, gids) },
+  });
+}
+
+async function startQueued(admin: AdminApiContext, shop: string) {
+  const queued = await prisma.collectionIndexJob.findFirst({ where: { shop, status: "queued" }, orderBy: { id: "asc" } });
+  if (!queued) return;
+  const claimed = await prisma.collectionIndexJob.updateMany({ where: { id: queued.id, status: "queued" }, data: { status: "running" } });
+  if (claimed.count) await startJob(admin, { ...queued, status: "running" });
+}
+
+// Rebuilds `collections` (GID -> id as written), or with none every collection
+// the published rules name. While a rebuild runs, further requests are merged
+// into one queued job.
+export async function requestCollectionIndex(admin: AdminApiContext, shop: string, collections?: Map<string, string>) {
+  const full = !collections;
+  const list = JSON.stringify(Array.from(collections || []));
+
+  if (await activeJob(shop)) {
+    const queued = await prisma.collectionIndexJob.findFirst({ where: { shop, status: "queued" } });
+    if (!queued) {
+      await prisma.collectionIndexJob.create({ data: { shop, status: "queued", full, collections: full ? null : list } });
+      return;
+    }
+    const merged = new Map([...entries(queued), ...(collections || [])]);
+    await prisma.collectionIndexJob.update({
+      where: { id: queued.id },
+      data: { full: queued.full || full, collections: queued.full || full ? null : JSON.stringify(Array.from(merged)) },
+    });
+    return;
+  }
+
+  const job = await prisma.collectionIndexJob.create({ data: { shop, status: "running", full, collections: full ? null : list } });
+  await startJob(admin, job);
+}
+
+// Indexes collections that `rules` name and `previous` didn't.
+export async function indexNewCollections(admin: AdminApiContext, shop: string, previous: Rule[], rules: Rule[]) {
+  const before = ruleCollections(previous);
+  const added = new Map(Array.from(ruleCollections(rules)).filter(([gid]) => !before.has(gid)));
+  if (added.size) await requestCollectionIndex(admin, shop, added);
+}
+
+// collections/update: membership may have changed, so the collection is read
+// again. Untracked collections are ignored.
+export async function reindexCollection(admin: AdminApiContext, shop: string, collectionId: string | number) {
+  const gid = toCollectionGid(collectionId);
+  const written = (await trackedCollections(admin)).get(gid);
+  if (written) await requestCollectionIndex(admin, shop, new Map([[gid, written]]));
+}
+
+// Product rows carry the collection they were listed under as `__parentId`.
+async function readMembers(url: string): Promise<Map<string, string[]>> {
+  const members = new Map<string, string[]>();
+  const res = await fetch(url);
+  if (!res.ok || !res.body) throw new Error(`Could not download the bulk operation result (${res.status})`);
+
+  const add = (line: string) => {
+    if (!line.trim()) return;
+    const row = JSON.parse(line) as { id?: string; __parentId?: string };
+    if (!row.id || !row.__parentId) return;
+    const list = members.get(row.__parentId) || [];
+    list.push(row.id);
+    members.set(row.__parentId, list);
+  };
+
+  // Streamed line by line; the file can be far larger than one request should hold
+  const decoder = new TextDecoder();
+  let rest = "";
+  for await (const chunk of res.body as unknown as AsyncIterable<Uint8Array>) {
+    const lines = (rest + decoder.decode(chunk, { stream: true })).split("\n");
+    rest = lines.pop() || "";
+    lines.forEach(add);
+  }
+  add(rest + decoder.decode());
+  return members;
+}
+
+// `url` is null when the operation matched nothing.
+async function completeJob(admin: AdminApiContext, job: JobRow, url: string | null) {
+  const claimed = await prisma.collectionIndexJob.updateMany({ where: { id: job.id, status: "running" }, data: { status: "processing" } });
+  if (claimed.count === 0) return;
+
+  try {
+    const members = url ? await readMembers(url) : new Map<string, string[]>();
+    const { errors, productsIndexed } = await applyCollectionMembers(admin, job.shop, entries(job), members, job.full);
+    if (errors.length) {
+      await failJob(job.id, errors.map((e) => e.message).join("; "));
+    } else {
+      await prisma.collectionIndexJob.update({
+        where: { id: job.id },
+        data: { status: "completed", productsIndexed, objectCount: job.expectedCount || job.objectCount, completedAt: new Date() },
+      });
+    }
+  } catch (e) {
+    console.error("Failed to apply collection index", job.shop, e);
+    await failJob(job.id, e instanceof Error ? e.message : "Failed to apply the index");
+  }
+  await startQueued(admin, job.shop);
+}
+
+type BulkOperationNode = { status?: string; errorCode?: string | null; objectCount?: string; url?: string | null } | null;
+
+async function checkJob(admin: AdminApiContext, job: JobRow) {
+  if (!job.bulkOperationId || job.status !== "running") return;
+  const res = await admin.graphql(
+    `#graphql
+    query CollectionIndexOperation($id: ID!) {
+      node(id: $id) { ... on BulkOperation { status errorCode objectCount url } }
+    }
+  `,
+    { variables: { id: job.bulkOperationId } },
+  );
+  const json = await res.json();
+  const op: BulkOperationNode = json?.data?.node;
+  switch (op?.status) {
+    case "COMPLETED":
+      await completeJob(admin, job, op.url ?? null);
+      return;
+    case "FAILED":
+    case "CANCELED":
+    case "EXPIRED":
+      await failJob(job.id, op.errorCode ? `Bulk operation ${op.status.toLowerCase()}: ${op.errorCode}` : `Bulk operation ${op.status.toLowerCase()}`);
+      await startQueued(admin, job.shop);
+      return;
+    default:
+      await prisma.collectionIndexJob.update({ where: { id: job.id }, data: { objectCount: Number(op?.objectCount || 0) } });
+  }
+}
+
+// bulk_operations/finish. Operations this app didn't start for indexing are ignored.
+export async function finishBulkOperation(admin: AdminApiContext, bulkOperationId: string) {
+  const job = await prisma.collectionIndexJob.findFirst({ where: { bulkOperationId } });
+  if (job) await checkJob(admin, job);
+}
+
+export async function collectionIndexStatus(admin: AdminApiContext, shop: string): Promise<CollectionIndexStatus> {
+  const active = await activeJob(shop);
+  if (active) await checkJob(admin, active);
+
+  const [latest, lastCompleted, queued] = await Promise.all([
+    prisma.collectionIndexJob.findFirst({ where: { shop, status: { not: "queued" } }, orderBy: { id: "desc" } }),
+    prisma.collectionIndexJob.findFirst({ where: { shop, status: "completed" }, orderBy: { id: "desc" } }),
+    prisma.collectionIndexJob.count({ where: { shop, status: "queued" } }),
+  ]);
+  const running = latest?.status === "running";
+  return {
+    status: (latest?.status as CollectionIndexStatus["status"]) || (queued ? "queued" : "idle"),
+    progress: running && latest.expectedCount > 0 ? Math.min(1, latest.objectCount / latest.expectedCount) : null,
+    error: latest?.status === "failed" ? latest.error : null,
+    startedAt: latest ? latest.createdAt.toISOString() : null,
+    queued: queued > 0,
+    lastIndexedAt: lastCompleted?.completedAt ? lastCompleted.completedAt.toISOString() : null,
+    productsIndexed: lastCompleted?.productsIndexed ?? null,
+  };
+}
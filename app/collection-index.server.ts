@@ -0,0 +1,281 @@
+import { randomUUID } from "node:crypto";
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import prisma from "./db.server";
+import {
+  COLLECTION_INDEX_BUDGET_BYTES,
+  COLLECTION_INDEX_KEYS,
+  COLLECTION_INDEX_VERSION,
+  collectionIndexBytes,
+  encodeCollectionIndex,
+  leafConditions,
+  parseCollectionIndex,
+  parseRules,
+  type Rule,
+} from "../shared/rules";
+
+// The collection index maps product GIDs to the collections they belong to,
+// as written in the rules. Functions can't query collections, so only
+// collections some rule names are indexed. Product webhooks update entries
+// here; whole collections are (re)indexed by the bulk jobs in
+// collection-index-jobs.server.ts. It is stored compactly, sharded over the
+// metafields in COLLECTION_INDEX_KEYS (see shared/rules/collection-index.ts),
+// and edited here in this plain form.
+export type CollectionIndexValue = Record<string, string[]>;
+
+type IndexState = {
+  ownerId: string;
+  index: CollectionIndexValue;
+  shards: number; // one past the last shard metafield that holds a value
+  tracked: Map<string, string>; // collection GID -> id as written in the rules
+};
+
+type UserError = { field?: string[] | null; message: string };
+
+function shardAlias(i: number): string {
+  return i === 0 ? "collectionIndex" : `collectionIndex${i}`;
+}
+
+// Shop fields reading every shard; pair with collectionIndexShards.
+export const COLLECTION_INDEX_FIELDS = COLLECTION_INDEX_KEYS.map(
+  (key, i) => `${shardAlias(i)}: metafield(namespace: "auto_add2cart", key: "${key}") { value }`,
+).join("\n");
+
+export function collectionIndexShards(shop: Record<string, { value?: string | null } | null | undefined> | null | undefined): Array<string | null> {
+  return COLLECTION_INDEX_KEYS.map((_, i) => shop?.[shardAlias(i)]?.value ?? null);
+}
+
+const COLLECTION_GID_PREFIX = "gid://shopify/Collection/";
+
+export function toCollectionGid(id: string | number): string {
+  const s = String(id).trim();
+  return s.startsWith("gid://") ? s : COLLECTION_GID_PREFIX + s;
+}
+
+export function ruleCollections(rules: Rule[]): Map<string, string> {
+  const tracked = new Map<string, string>();
+  for (const r of rules || []) {
+    for (const c of leafConditions(r?.conditions)) {
+      if ((c.type === "includes_any_collections" || c.type === "subtotal_in_range") && Array.isArray(c.collectionIds)) {
+        for (const cid of c.collectionIds) tracked.set(toCollectionGid(cid), String(cid));
+      }
+    }
+  }
+  return tracked;
+}
+
+async function readIndexState(admin: AdminApiContext): Promise<IndexState | null> {
+  const res = await admin.graphql(`#graphql
+    query CollectionIndexState {
+      shop {
+        id
+        rules: metafield(namespace: "auto_add2cart", key: "rules") { value }
+        ${COLLECTION_INDEX_FIELDS}
+      }
+    }
+  `);
+  const json = await res.json();
+  const shop = json?.data?.shop;
+  if (!shop?.id) return null;
+  const shards = collectionIndexShards(shop);
+  const index: CollectionIndexValue = {};
+  for (const [pid, set] of parseCollectionIndex(shards)) index[pid] = Array.from(set);
+  return {
+    ownerId: shop.id,
+    index,
+    shards: shards.reduce((n, v, i) => (v !== null ? i + 1 : n), 0),
+    tracked: ruleCollections(parseRules(shop.rules?.value)),
+  };
+}
+
+// The index as product GID -> collections, whichever format it is stored in.
+export async function readCollectionIndex(admin: AdminApiContext): Promise<CollectionIndexValue> {
+  return (await readIndexState(admin))?.index ?? {};
+}
+
+// Writes the shards `index` needs and deletes any left over from a larger one.
+async function writeIndex(admin: AdminApiContext, state: IndexState, index: CollectionIndexValue): Promise<UserError[]> {
+  const values = encodeCollectionIndex(new Map(Object.entries(index).map(([pid, list]) => [pid, new Set(list)])));
+  const bytes = collectionIndexBytes(values);
+  if (values.length > COLLECTION_INDEX_KEYS.length || bytes > COLLECTION_INDEX_BUDGET_BYTES) {
+    return [{ message: `The collection index needs ${Math.ceil(bytes / 1000)} KB but the functions can read only ${COLLECTION_INDEX_BUDGET_BYTES / 1000} KB of it; index fewer or smaller collections` }];
+  }
+  // An empty index is stored as an empty first shard
+  if (values.length === 0) values.push(JSON.stringify({ v: COLLECTION_INDEX_VERSION, collections: {} }));
+
+  const res = await admin.graphql(
+    `#graphql
+    mutation SetCollectionIndex($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors { field message }
+      }
+    }
+  `,
+    {
+      variables: {
+        metafields: values.map((value, i) => ({
+          ownerId: state.ownerId,
+          namespace: "auto_add2cart",
+          key: COLLECTION_INDEX_KEYS[i],
+          type: "json",
+          value,
+        })),
+      },
+    },
+  );
+  const json = await res.json();
+  const errors: UserError[] = json?.data?.metafieldsSet?.userErrors || [];
+  if (errors.length || state.shards <= values.length) return errors;
+
+  const stale = COLLECTION_INDEX_KEYS.slice(values.length, state.shards);
+  const delRes = await admin.graphql(
+    `#graphql
+    mutation DeleteCollectionIndexShards($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        userErrors { field message }
+      }
+    }
+  `,
+    { variables: { metafields: stale.map((key) => ({ ownerId: state.ownerId, namespace: "auto_add2cart", key })) } },
+  );
+  const delJson = await delRes.json();
+  return delJson?.data?.metafieldsDelete?.userErrors || [];
+}
+
+// Removes `collections` (as written) from every entry, dropping products left
+// with none. Returns whether anything changed.
+function dropCollections(index: CollectionIndexValue, collections: Set<string>): boolean {
+  let changed = false;
+  for (const [pid, list] of Object.entries(index)) {
+    const kept = (Array.isArray(list) ? list : []).filter((c) => !collections.has(c));
+    if (kept.length === list.length) continue;
+    changed = true;
+    if (kept.length) index[pid] = kept;
+    else delete index[pid];
+  }
+  return changed;
+}
+
+function addMembers(index: CollectionIndexValue, collection: string, productIds: string[]) {
+  for (const pid of productIds) {
+    const list = index[pid] || [];
+    if (!list.includes(collection)) index[pid] = [...list, collection];
+  }
+}
+
+// Updates read the index, change it and write it back, so a product webhook
+// landing during a rebuild would otherwise drop one of the two changes. Each
+// shop's updates take its CollectionIndexLock lease in turn. One that can't
+// get it in time throws: Shopify retries the webhook, a rebuild job fails.
+const INDEX_LOCK_LEASE_MS = 60_000;
+const INDEX_LOCK_WAIT_MS = 20_000;
+const INDEX_LOCK_POLL_MS = 250;
+
+async function acquireIndexLock(shop: string, token: string): Promise<boolean> {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + INDEX_LOCK_LEASE_MS);
+  const expired = await prisma.collectionIndexLock.updateMany({ where: { shop, lockedUntil: { lt: now } }, data: { token, lockedUntil } });
+  if (expired.count) return true;
+  try {
+    await prisma.collectionIndexLock.create({ data: { shop, token, lockedUntil } });
+    return true;
+  } catch (error) {
+    // P2002: the row exists, so someone holds the lease
+    if ((error as { code?: string })?.code === "P2002") return false;
+    throw error;
+  }
+}
+
+async function withIndexLock<T>(shop: string, update: () => Promise<T>): Promise<T> {
+  const token = randomUUID();
+  const deadline = Date.now() + INDEX_LOCK_WAIT_MS;
+  while (!(await acquireIndexLock(shop, token))) {
+    if (Date.now() >= deadline) throw new Error(`The collection index of ${shop} is being updated by another request`);
+    await new Promise((resolve) => setTimeout(resolve, INDEX_LOCK_POLL_MS));
+  }
+  try {
+    return await update();
+  } finally {
+    await prisma.collectionIndexLock.deleteMany({ where: { shop, token } });
+  }
+}
+
+export async function trackedCollections(admin: AdminApiContext): Promise<Map<string, string>> {
+  return (await readIndexState(admin))?.tracked ?? new Map();
+}
+
+// Replaces the entries for `collections` (GID -> id as written) with
+// `members` (collection GID -> product GIDs), so products that left a
+// collection drop out. With `full`, entries for any other collection go too.
+export async function applyCollectionMembers(
+  admin: AdminApiContext,
+  shop: string,
+  collections: Map<string, string>,
+  members: Map<string, string[]>,
+  full: boolean,
+) {
+  return withIndexLock(shop, async () => {
+    const state = await readIndexState(admin);
+    if (!state) return { errors: [{ message: "Missing Shop ID" }], productsIndexed: 0 };
+
+    const index: CollectionIndexValue = full ? {} : state.index;
+    dropCollections(index, new Set(collections.values()));
+    for (const [gid, written] of collections) {
+      addMembers(index, written, members.get(gid) || []);
+    }
+    const errors = await writeIndex(admin, state, index);
+    return { errors, productsIndexed: Object.keys(index).length };
+  });
+}
+
+// collections/delete. Untracked collections are ignored.
+export async function removeCollection(admin: AdminApiContext, shop: string, collectionId: string | number) {
+  await withIndexLock(shop, async () => {
+    const state = await readIndexState(admin);
+    const written = state?.tracked.get(toCollectionGid(collectionId));
+    if (!state || !written) return;
+    if (dropCollections(state.index, new Set([written]))) await writeIndex(admin, state, state.index);
+  });
+}
+
+async function productCollections(admin: AdminApiContext, productId: string): Promise<string[]> {
+  const res = await admin.graphql(
+    `#graphql
+    query ProductCollections($id: ID!) {
+      product(id: $id) { collections(first: 250) { nodes { id } } }
+    }
+  `,
+    { variables: { id: productId } },
+  );
+  const json = await res.json();
+  const nodes: Array<{ id: string }> = json?.data?.product?.collections?.nodes || [];
+  return nodes.map((n) => n.id);
+}
+
+// The product's entry as it should be, or null when it already is.
+function productEntry(state: IndexState, productId: string, collectionGids: string[]): string[] | null {
+  const next = collectionGids.map((gid) => state.tracked.get(gid)).filter((c): c is string => Boolean(c));
+  const prev = state.index[productId] || [];
+  return prev.length === next.length && prev.every((c) => next.includes(c)) ? null : next;
+}
+
+// products/update and products/delete: replaces the product's entry with the
+// tracked collections it is in now. Every product edit in the store lands
+// here and few of them move a product in or out of a tracked collection, so
+// the entry is compared first and the lease taken only to write a change.
+export async function syncProduct(admin: AdminApiContext, shop: string, productId: string, deleted: boolean) {
+  const state = await readIndexState(admin);
+  if (!state || state.tracked.size === 0) return;
+  const collectionGids = deleted ? [] : await productCollections(admin, productId);
+  if (!productEntry(state, productId, collectionGids)) return;
+
+  await withIndexLock(shop, async () => {
+    // Read again: the index or the tracked collections may have changed meanwhile
+    const current = await readIndexState(admin);
+    if (!current) return;
+    const next = productEntry(current, productId, collectionGids);
+    if (!next) return;
+    if (next.length) current.index[productId] = next;
+    else delete current.index[productId];
+    await writeIndex(admin, current, current.index);
+  });
+}
@@ -5,9 +5,12 @@ import { createReadableStreamFromReadable } from "@react-router/node";
 import { type EntryContext } from "react-router";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startDueDraftsTimer } from "./rule-drafts.server";
 
 export const streamTimeout = 5000;
 
+startDueDraftsTimer();
+
 export default async function handleRequest(
   request: Request,
   responseStatusCode: number,
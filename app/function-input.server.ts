@@ -0,0 +1,79 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import { giftDiscountIds } from "./gift-discount.server";
+import {
+  MAX_SCHEDULE_TIMES,
+  MAX_VARIANT_METAFIELDS,
+  leafConditions,
+  ruleProductTags,
+  ruleScheduleTimes,
+  ruleVariantMetafields,
+  type Rule,
+} from "../shared/rules";
+
+// Input query variables for the Cart Transform and gift discount functions.
+// Shopify reads them from this metafield on the CartTransform and on the
+// discount (see [extensions.input.variables]).
+export function functionInputVariables(rules: Rule[]) {
+  const tags = new Set<string>();
+  for (const r of rules || []) {
+    for (const c of leafConditions(r?.conditions)) {
+      if (c.type === "customer_has_tag") {
+        for (const t of c.tags || []) if (t.trim()) tags.add(t.trim());
+      }
+    }
+  }
+  const variables: Record<string, string | string[] | null> = {
+    customerTags: Array.from(tags),
+    productTags: ruleProductTags(rules),
+  };
+  // Every slot is written so one that fell out of use stops reading its old metafield
+  const metafields = ruleVariantMetafields(rules);
+  for (let i = 0; i < MAX_VARIANT_METAFIELDS; i++) {
+    variables[`variantMetafield${i}Namespace`] = metafields[i]?.namespace ?? null;
+    variables[`variantMetafield${i}Key`] = metafields[i]?.key ?? "unused";
+  }
+  // Unused time slots compare with midnight, which the clock is always past
+  const times = ruleScheduleTimes(rules);
+  for (let i = 0; i < MAX_SCHEDULE_TIMES; i++) {
+    variables[`scheduleTime${i}`] = `${times[i] ?? "00:00"}:00`;
+  }
+  return variables;
+}
+
+export async function syncFunctionInput(admin: AdminApiContext, rules: Rule[]) {
+  const res = await admin.graphql(`#graphql
+    query CartTransformIds { cartTransforms(first: 5) { nodes { id } } }
+  `);
+  const json = await res.json();
+  const transforms: Array<{ id: string }> = json?.data?.cartTransforms?.nodes || [];
+  const ownerIds = [...transforms.map((t) => t.id), ...(await giftDiscountIds(admin))];
+  if (ownerIds.length === 0) return [];
+
+  const value = JSON.stringify(functionInputVariables(rules));
+  const mfRes = await admin.graphql(
+    `#graphql
+    mutation SetFunctionInput($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors { field message }
+      }
+    }
+  `,
+    {
+      variables: {
+        metafields: ownerIds.map((ownerId) => ({
+          ownerId,
+          namespace: "auto_add2cart",
+          key: "function_input",
+          type: "json",
+          value,
+        })),
+      },
+    },
+  );
+  const mfData = await mfRes.json();
+  const errors = mfData?.data?.metafieldsSet?.userErrors || [];
+  if (errors.length) {
+    console.error("Failed to sync function input", JSON.stringify(errors));
+  }
+  return errors;
+}
@@ -0,0 +1,92 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+
+const GIFT_DISCOUNT_TITLE = "Auto-add gifts";
+
+async function findDiscountFunction(admin: AdminApiContext): Promise<{ id: string } | null> {
+  const res = await admin.graphql(`#graphql
+    query GetDiscountFunction {
+      shopifyFunctions(first: 25) {
+        nodes {
+          id
+          title
+          apiType
+        }
+      }
+    }
+  `);
+  const json = await res.json();
+  const nodes: Array<{ id: string; title: string; apiType: string }> = json?.data?.shopifyFunctions?.nodes || [];
+  return nodes.find((f) => f.title.includes("auto-add-discount")) || null;
+}
+
+// Automatic discounts backed by the auto-add-discount function.
+export async function giftDiscountIds(admin: AdminApiContext): Promise<string[]> {
+  const func = await findDiscountFunction(admin);
+  if (!func) return [];
+
+  const res = await admin.graphql(`#graphql
+    query GiftDiscounts {
+      discountNodes(first: 25, query: "type:app") {
+        nodes {
+          id
+          discount {
+            __typename
+            ... on DiscountAutomaticApp {
+              appDiscountType {
+                functionId
+              }
+            }
+          }
+        }
+      }
+    }
+  `);
+  const json = await res.json();
+  const nodes: Array<{ id: string; discount: { __typename: string; appDiscountType?: { functionId: string } } }> =
+    json?.data?.discountNodes?.nodes || [];
+  return nodes
+    .filter((n) => n.discount.__typename === "DiscountAutomaticApp" && n.discount.appDiscountType?.functionId === func.id)
+    .map((n) => n.id);
+}
+
+// Creates the automatic discount that prices gifts per `action.discount`. It
+// combines with every other discount so it never blocks the shopper's own codes.
+export async function activateGiftDiscount(admin: AdminApiContext) {
+  const func = await findDiscountFunction(admin);
+  if (!func) {
+    return { ok: false, error: "Gift discount function not found. Please ensure the extension is deployed." };
+  }
+
+  const res = await admin.graphql(
+    `#graphql
+    mutation CreateGiftDiscount($discount: DiscountAutomaticAppInput!) {
+      discountAutomaticAppCreate(automaticAppDiscount: $discount) {
+        automaticAppDiscount {
+          discountId
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    {
+      variables: {
+        discount: {
+          title: GIFT_DISCOUNT_TITLE,
+          functionId: func.id,
+          discountClasses: ["PRODUCT"],
+          startsAt: new Date().toISOString(),
+          combinesWith: { orderDiscounts: true, productDiscounts: true, shippingDiscounts: true },
+        },
+      },
+    },
+  );
+  const json = await res.json();
+  const errors = json?.data?.discountAutomaticAppCreate?.userErrors || [];
+  if (errors.length) {
+    return { ok: false, errors };
+  }
+  return { ok: true, message: "Gift discount activated successfully!" };
+}
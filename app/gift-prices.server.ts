@@ -0,0 +1,78 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import { ruleActions, toVariantGid, type Rule } from "../shared/rules";
+
+// Every variant a rule can add, including each gift_choice option.
+export function giftVariantIds(rules: Rule[]): string[] {
+  const ids = new Set<string>();
+  for (const rule of rules || []) {
+    for (const action of ruleActions(rule)) {
+      const candidates = action.type === "gift_choice" ? action.variantIds || [] : [action.addVariantId];
+      for (const id of candidates) {
+        const gid = toVariantGid(id);
+        if (gid) ids.add(gid);
+      }
+    }
+  }
+  return Array.from(ids);
+}
+
+// Writes the `auto_add2cart/gift_prices` metafield the highest_value and
+// lowest_cost group strategies score rules with. Functions cannot look up
+// prices of variants that are not in the cart, so they are snapshotted on save.
+export async function syncGiftPrices(admin: AdminApiContext, rules: Rule[]) {
+  const ids = giftVariantIds(rules);
+  const prices: Record<string, { price: number; cost: number | null }> = {};
+  // nodes() accepts at most 250 ids per call
+  for (let i = 0; i < ids.length; i += 250) {
+    const res = await admin.graphql(
+      `#graphql
+      query GiftPrices($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            price
+            inventoryItem {
+              unitCost {
+                amount
+              }
+            }
+          }
+        }
+      }
+    `,
+      { variables: { ids: ids.slice(i, i + 250) } },
+    );
+    const json = await res.json();
+    for (const node of json?.data?.nodes || []) {
+      if (!node?.id) continue;
+      const cost = node.inventoryItem?.unitCost?.amount;
+      prices[node.id] = { price: Number(node.price), cost: cost == null ? null : Number(cost) };
+    }
+  }
+
+  const shopRes = await admin.graphql(`#graphql
+    query GiftPricesOwner { shop { id } }
+  `);
+  const shopJson = await shopRes.json();
+  const ownerId: string | undefined = shopJson?.data?.shop?.id;
+  if (!ownerId) return [];
+
+  const mfRes = await admin.graphql(
+    `#graphql
+    mutation SetGiftPrices($ownerId: ID!, $value: String!) {
+      metafieldsSet(metafields: [
+        { ownerId: $ownerId, namespace: "auto_add2cart", key: "gift_prices", type: "json", value: $value }
+      ]) {
+        userErrors { field message }
+      }
+    }
+  `,
+    { variables: { ownerId, value: JSON.stringify(prices) } },
+  );
+  const mfData = await mfRes.json();
+  const errors = mfData?.data?.metafieldsSet?.userErrors || [];
+  if (errors.length) {
+    console.error("Failed to sync gift prices", JSON.stringify(errors));
+  }
+  return errors;
+}
@@ -0,0 +1,11 @@
+import type { LoaderFunctionArgs } from "react-router";
+import { authenticate } from "../../shopify.server";
+import { collectionIndexStatus } from "../../collection-index-jobs.server";
+
+// GET /api/collection-index/status — progress of the running index rebuild and
+// when the index was last completed. Polled by the rules page.
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { admin, session, cors } = await authenticate.admin(request);
+  const status = await collectionIndexStatus(admin, session.shop);
+  return cors(new Response(JSON.stringify({ status }), { headers: { "Content-Type": "application/json" } }));
+}
@@ -14,8 +14,9 @@ export async function loader({ request }: LoaderFunctionArgs) {
         nodes {
           id
           title
+          handle
           variants(first: 10) {
-            nodes { id title }
+            nodes { id title sku }
           }
         }
       }
@@ -24,7 +25,7 @@ export async function loader({ request }: LoaderFunctionArgs) {
   const resp = await admin.graphql(gql, { variables: { query: q } });
   const json = await resp.json();
   const nodes = json?.data?.products?.nodes || [];
-  const products = nodes.map((p: any) => ({ id: p.id, title: p.title, variants: (p.variants?.nodes || []).map((v: any) => ({ id: v.id, title: v.title })) }));
+  const products = nodes.map((p: any) => ({ id: p.id, title: p.title, handle: p.handle, variants: (p.variants?.nodes || []).map((v: any) => ({ id: v.id, title: v.title, sku: v.sku || null })) }));
   return cors(new Response(JSON.stringify({ products }), { headers: { "Content-Type": "application/json" } }));
 }
 
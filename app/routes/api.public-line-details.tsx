@@ -0,0 +1,113 @@
+import type { LoaderFunctionArgs } from "react-router";
+import { authenticate } from "../shopify.server";
+import { metafieldKey, parseRules, ruleProductTags, ruleVariantMetafields, toVariantGid } from "../../shared/rules";
+
+// Same limit as a nodes() query
+const MAX_VARIANTS = 250;
+
+// Helper function to add CORS headers to response
+function withCors(response: Response): Response {
+    const headers = new Headers(response.headers);
+    headers.set("Access-Control-Allow-Origin", "*");
+    headers.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+    headers.set("Access-Control-Allow-Headers", "Content-Type");
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function json(body: unknown, status = 200): Response {
+    return withCors(new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } }));
+}
+
+type VariantNode = {
+    id?: string;
+    product?: { tags?: string[] };
+    [alias: string]: unknown;
+};
+
+/**
+ * Product tags and variant metafields for cart lines, which /cart.js doesn't
+ * include. Only the tags and metafields the published rules refer to are
+ * returned, so nothing else about the products is exposed.
+ * GET ?variants=<id>,<id>,...
+ */
+export async function loader({ request }: LoaderFunctionArgs) {
+    if (request.method === "OPTIONS") {
+        return withCors(new Response(null, { status: 204 }));
+    }
+
+    const url = new URL(request.url);
+    const ids = (url.searchParams.get("variants") || "")
+        .split(",")
+        .map((id) => toVariantGid(id))
+        .filter((gid): gid is string => Boolean(gid))
+        .slice(0, MAX_VARIANTS);
+    if (ids.length === 0) return json({ details: {} });
+
+    try {
+        const { admin } = await authenticate.public.appProxy(request);
+        if (!admin) return json({ error: "Authentication failed", details: {} }, 401);
+
+        const rulesResponse = await admin.graphql(`
+      query LineDetailRules {
+        shop {
+          metafield(namespace: "auto_add2cart", key: "rules") {
+            value
+          }
+        }
+      }
+    `);
+        const rulesJson = await rulesResponse.json();
+        const rules = parseRules(rulesJson?.data?.shop?.metafield?.value);
+        const tags = new Set(ruleProductTags(rules).map((t) => t.toLowerCase()));
+        const metafields = ruleVariantMetafields(rules);
+        if (tags.size === 0 && metafields.length === 0) return json({ details: {} });
+
+        const metafieldFields = metafields
+            .map((_, i) => `m${i}: metafield(namespace: $namespace${i}, key: $key${i}) { value }`)
+            .join("\n");
+        const metafieldArgs = metafields.map((_, i) => `, $namespace${i}: String!, $key${i}: String!`).join("");
+        const variables: Record<string, unknown> = { ids };
+        metafields.forEach((ref, i) => {
+            variables[`namespace${i}`] = ref.namespace;
+            variables[`key${i}`] = ref.key;
+        });
+
+        const response = await admin.graphql(`
+      query LineDetails($ids: [ID!]!${metafieldArgs}) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            ${metafieldFields}
+            product {
+              tags
+            }
+          }
+        }
+      }
+    `, { variables });
+        const data = await response.json();
+
+        const details: Record<string, { tags: string[]; metafields: Record<string, string | null> }> = {};
+        for (const node of (data?.data?.nodes || []) as Array<VariantNode | null>) {
+            if (!node?.id) continue;
+            const values: Record<string, string | null> = {};
+            metafields.forEach((ref, i) => {
+                values[metafieldKey(ref)] = (node[`m${i}`] as { value?: string } | null)?.value ?? null;
+            });
+            details[node.id] = {
+                tags: (node.product?.tags || []).filter((t) => tags.has(t.toLowerCase())),
+                metafields: values,
+            };
+        }
+
+        return json({ details });
+    } catch (error) {
+        console.error("Error fetching line details:", error);
+        return json({ error: "Failed to fetch line details", details: {} }, 500);
+    }
+}
@@ -1,5 +1,7 @@
 import type { LoaderFunctionArgs } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { COLLECTION_INDEX_FIELDS, collectionIndexShards } from "../collection-index.server";
+import { hasStarted, leafConditions, parseSettings, ruleActions, scheduleStatus, shopClock, toProductGid, toVariantGid, type Rule } from "../../shared/rules";
 
 // Helper function to add CORS headers to response
 function withCors(response: Response): Response {
@@ -50,9 +52,17 @@ export async function loader({ request }: LoaderFunctionArgs) {
         const response = await admin.graphql(`
       query GetRules {
         shop {
+          ianaTimezone
           metafield(namespace: "auto_add2cart", key: "rules") {
             value
           }
+          ${COLLECTION_INDEX_FIELDS}
+          settings: metafield(namespace: "auto_add2cart", key: "settings") {
+            value
+          }
+          giftPrices: metafield(namespace: "auto_add2cart", key: "gift_prices") {
+            value
+          }
         }
       }
     `);
@@ -67,10 +77,94 @@ export async function loader({ request }: LoaderFunctionArgs) {
             console.error("Failed to parse rules JSON", e);
         }
 
-        // Only return active rules
-        const activeRules = rules.filter((r: any) => r && r.active);
+        // Only return active rules that have started and not yet ended, in the
+        // shop's timezone. Recurring windows are checked by the storefront itself.
+        const timezone = data?.shop?.ianaTimezone || null;
+        const clock = shopClock(timezone);
+        const activeRules = rules.filter((r: any) =>
+            r && r.active && hasStarted(r, clock) && scheduleStatus(r, clock).status !== "expired"
+        );
+
+        // The storefront needs the index to evaluate collection conditions.
+        // Shards are passed on as stored; the engine reads every format.
+        const collectionIndex: unknown[] = [];
+        for (const shard of collectionIndexShards(data?.shop)) {
+            if (!shard) continue;
+            try {
+                collectionIndex.push(JSON.parse(shard));
+            } catch (e) {
+                console.error("Failed to parse collection index JSON", e);
+            }
+        }
+
+        const settings = parseSettings(data?.shop?.settings?.value);
+
+        // Scores exclusivity groups that pick by gift value or cost
+        let giftPrices = {};
+        try {
+            const pricesValue = data?.shop?.giftPrices?.value;
+            giftPrices = pricesValue ? JSON.parse(pricesValue) : {};
+        } catch (e) {
+            console.error("Failed to parse gift prices JSON", e);
+        }
+
+        // Titles and images for the gift picker's options and progress
+        // messages, and titles of the products quantity thresholds count
+        const giftIds = new Set<string>();
+        const productIds = new Set<string>();
+        for (const rule of activeRules as Rule[]) {
+            for (const action of ruleActions(rule)) {
+                const ids = action.type === "gift_choice" ? action.variantIds || [] : [action.addVariantId];
+                for (const id of ids) {
+                    const gid = toVariantGid(id);
+                    if (gid) giftIds.add(gid);
+                }
+            }
+            for (const c of leafConditions(rule.conditions)) {
+                const gid = c.type === "product_quantity_in_range" ? toProductGid(c.productId) : null;
+                if (gid) productIds.add(gid);
+            }
+        }
+        const variants: Record<string, { title: string; image: string | null }> = {};
+        const products: Record<string, { title: string }> = {};
+        if (giftIds.size > 0 || productIds.size > 0) {
+            const variantsResponse = await admin.graphql(`
+      query GiftVariants($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            title
+          }
+          ... on ProductVariant {
+            id
+            displayName
+            image {
+              url(transform: { maxWidth: 128, maxHeight: 128 })
+            }
+            product {
+              featuredImage {
+                url(transform: { maxWidth: 128, maxHeight: 128 })
+              }
+            }
+          }
+        }
+      }
+    `, { variables: { ids: [...giftIds, ...productIds] } });
+            const variantsJson = await variantsResponse.json();
+            for (const node of variantsJson?.data?.nodes || []) {
+                if (!node?.id) continue;
+                if (productIds.has(node.id)) {
+                    products[node.id] = { title: node.title };
+                    continue;
+                }
+                variants[node.id] = {
+                    title: node.displayName,
+                    image: node.image?.url || node.product?.featuredImage?.url || null
+                };
+            }
+        }
 
-        return withCors(new Response(JSON.stringify({ rules: activeRules }), {
+        return withCors(new Response(JSON.stringify({ rules: activeRules, collectionIndex, settings, timezone, variants, products, giftPrices }), {
             headers: { "Content-Type": "application/json" }
         }));
     } catch (error) {
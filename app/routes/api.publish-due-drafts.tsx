@@ -0,0 +1,17 @@
+import type { LoaderFunctionArgs } from "react-router";
+import { publishDueDrafts } from "../rule-drafts.server";
+
+// GET /api/publish-due-drafts — publishes every shop's scheduled draft whose
+// time has passed. Called by the cron in vercel.json, or any other scheduler,
+// with `Authorization: Bearer $CRON_SECRET`. Long-running servers also do this
+// on their own timer (startDueDraftsTimer), so elsewhere the route is only
+// needed to publish sooner or with the timer disabled.
+export async function loader({ request }: LoaderFunctionArgs) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const result = await publishDueDrafts();
+  return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
+}
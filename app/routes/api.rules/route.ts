@@ -1,8 +1,19 @@
 import type { ActionFunctionArgs, LoaderFunctionArgs } from "react-router";
 import { authenticate } from "../../shopify.server";
+import { getRuleDraft, saveRuleDraft } from "../../rule-drafts.server";
+import { validateRuleSet } from "../../rules.server";
+import { RULES_SCHEMA_VERSION, type RuleFieldError } from "../../../shared/rules";
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
 
 export async function loader({ request }: LoaderFunctionArgs) {
-  const { admin, cors } = await authenticate.admin(request);
+  const { admin, session, cors } = await authenticate.admin(request);
+  const draft = await getRuleDraft(session.shop);
+  if (draft) {
+    return cors(json({ rules: draft.rules, draft: true, schemaVersion: RULES_SCHEMA_VERSION }));
+  }
   const res = await admin.graphql(`#graphql
     query GetRulesMetafield { shop { metafield(namespace: "auto_add2cart", key: "rules") { value } } }
   `);
@@ -10,39 +21,38 @@ export async function loader({ request }: LoaderFunctionArgs) {
   const value: string | undefined = data?.data?.shop?.metafield?.value;
   let rules: unknown = [];
   try { rules = value ? JSON.parse(value) : []; } catch { rules = []; }
-  return cors(new Response(JSON.stringify({ rules }), { headers: { "Content-Type": "application/json" } }));
+  return cors(json({ rules, draft: false, schemaVersion: RULES_SCHEMA_VERSION }));
 }
 
 export async function action({ request }: ActionFunctionArgs) {
-  const { admin, cors } = await authenticate.admin(request);
+  const { admin, session, sessionToken, cors } = await authenticate.admin(request);
   if (request.method === "OPTIONS") {
     return cors(new Response(null, { status: 204 }));
   }
-  const body = await request.json();
-  const rulesStr = JSON.stringify(body?.rules ?? []);
+  const body = await request.json().catch(() => null);
 
-  const shopRes = await admin.graphql(`#graphql
-    query ShopId { shop { id } }
-  `);
-  const shopData = await shopRes.json();
-  const ownerId: string = shopData?.data?.shop?.id;
-
-  const mfRes = await admin.graphql(
-    `#graphql
-    mutation SetRulesMetafield($ownerId: ID!, $value: String!) {
-      metafieldsSet(metafields: [
-        { ownerId: $ownerId, namespace: "auto_add2cart", key: "rules", type: "json", value: $value }
-      ]) {
-        userErrors { field message }
-      }
-    }
-  `,
-    { variables: { ownerId, value: rulesStr } }
-  );
-  const mfData = await mfRes.json();
-  const errors = mfData?.data?.metafieldsSet?.userErrors;
-  if (errors && errors.length) {
-    return cors(new Response(JSON.stringify({ ok: false, errors }), { status: 400, headers: { "Content-Type": "application/json" } }));
+  // Errors are per rule and field: { ruleIndex, ruleId, field, message }
+  const schemaVersion = body?.schemaVersion ?? RULES_SCHEMA_VERSION;
+  if (typeof schemaVersion !== "number" || schemaVersion > RULES_SCHEMA_VERSION) {
+    const error: RuleFieldError = {
+      ruleIndex: -1,
+      ruleId: null,
+      field: "schemaVersion",
+      message: `Unsupported rules schema version ${schemaVersion}; this server accepts up to ${RULES_SCHEMA_VERSION}`,
+    };
+    return cors(json({ ok: false, errors: [error] }, 400));
+  }
+  const errors = await validateRuleSet(admin, body?.rules);
+  if (errors.length) {
+    return cors(json({ ok: false, errors }, 400));
   }
-  return cors(new Response(JSON.stringify({ ok: true }), { headers: { "Content-Type": "application/json" } }));
+  const rules = body.rules;
+
+  // Like the rules page, the block edits the draft; publishing happens in the app
+  await saveRuleDraft({
+    shop: session.shop,
+    rules,
+    author: sessionToken?.sub ? String(sessionToken.sub) : null,
+  });
+  return cors(json({ ok: true, draft: true }));
 }
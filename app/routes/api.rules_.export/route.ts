@@ -0,0 +1,21 @@
+import type { LoaderFunctionArgs } from "react-router";
+import { authenticate } from "../../shopify.server";
+import { nameRuleReferences } from "../../rule-references.server";
+import { editableRules, exportRules } from "../../rule-transfer.server";
+
+// GET /api/rules/export?format=json|csv — the draft when there is one, else the live rules.
+// With refs=handles, ids are swapped for handles and SKUs so the file imports into another store.
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { admin, session, cors } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const format = params.get("format") === "csv" ? "csv" : "json";
+  const { rules: editable, source } = await editableRules(admin, session.shop);
+  const rules = params.get("refs") === "handles" ? await nameRuleReferences(admin, editable) : editable;
+  const { body, contentType, filename } = exportRules(rules, format, { shop: session.shop, source });
+  return cors(new Response(body, {
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  }));
+}
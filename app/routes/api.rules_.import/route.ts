@@ -0,0 +1,37 @@
+import type { ActionFunctionArgs } from "react-router";
+import { authenticate } from "../../shopify.server";
+import { saveRuleDraft } from "../../rule-drafts.server";
+import { planRuleImport } from "../../rule-transfer.server";
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+// POST /api/rules/import with { format: "json" | "csv", content, mode: "replace" | "merge", dryRun }.
+// Always answers with the report; without dryRun a clean import is saved as the draft.
+export async function action({ request }: ActionFunctionArgs) {
+  const { admin, session, sessionToken, cors } = await authenticate.admin(request);
+  if (request.method === "OPTIONS") {
+    return cors(new Response(null, { status: 204 }));
+  }
+  const body = await request.json().catch(() => null);
+  if (typeof body?.content !== "string") {
+    return cors(json({ ok: false, error: "Missing file content" }, 400));
+  }
+
+  const report = await planRuleImport(admin, session.shop, {
+    format: body.format === "csv" ? "csv" : "json",
+    content: body.content,
+    mode: body.mode === "merge" ? "merge" : "replace",
+  });
+  const { rules, ...summary } = report;
+  if (report.errors.length) {
+    return cors(json({ ok: false, applied: false, report: summary }, 400));
+  }
+  if (body.dryRun !== false) {
+    return cors(json({ ok: true, applied: false, report: summary }));
+  }
+
+  await saveRuleDraft({ shop: session.shop, rules, author: sessionToken?.sub ? String(sessionToken.sub) : null });
+  return cors(json({ ok: true, applied: true, report: summary }));
+}
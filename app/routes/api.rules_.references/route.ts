@@ -0,0 +1,13 @@
+import type { LoaderFunctionArgs } from "react-router";
+import { authenticate } from "../../shopify.server";
+import { checkRuleReferences } from "../../rule-references.server";
+import { editableRules } from "../../rule-transfer.server";
+
+// GET /api/rules/references — broken product, variant and collection references
+// in the rules being edited (the draft when there is one)
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { admin, session, cors } = await authenticate.admin(request);
+  const { rules, source } = await editableRules(admin, session.shop);
+  const problems = await checkRuleReferences(admin, rules);
+  return cors(new Response(JSON.stringify({ source, problems }), { headers: { "Content-Type": "application/json" } }));
+}
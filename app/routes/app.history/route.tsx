@@ -0,0 +1,214 @@
+import * as React from "react";
+import type { ActionFunctionArgs, LoaderFunctionArgs } from "react-router";
+import { useActionData, useLoaderData, useSearchParams, useSubmit } from "react-router";
+import { authenticate } from "../../shopify.server";
+import { saveRuleSet, validateRuleSet } from "../../rules.server";
+import { getRuleVersionRules, listRuleVersions } from "../../rule-versions.server";
+import { describeDiff, diffRuleSets, type RuleSetDiff } from "../../rule-diff";
+import { describeRuleError, type Rule } from "../../../shared/rules";
+
+type Comparison = {
+  from: number;
+  to: number;
+  diff: RuleSetDiff;
+  before: Record<string, Rule>;
+  after: Record<string, Rule>;
+};
+
+export async function loader({ request }: LoaderFunctionArgs) {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const versions = await listRuleVersions(session.shop);
+
+  // ?from=3&to=5 compares two stored versions
+  const from = Number(url.searchParams.get("from"));
+  const to = Number(url.searchParams.get("to"));
+  let comparison: Comparison | null = null;
+  if (from && to) {
+    const before = await getRuleVersionRules(session.shop, from);
+    const after = await getRuleVersionRules(session.shop, to);
+    if (before && after) {
+      comparison = {
+        from,
+        to,
+        diff: diffRuleSets(before, after),
+        before: Object.fromEntries(before.map((r) => [r.id, r])),
+        after: Object.fromEntries(after.map((r) => [r.id, r])),
+      };
+    }
+  }
+
+  return { versions, comparison };
+}
+
+export async function action({ request }: ActionFunctionArgs) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "rollback") {
+    const target = Number(formData.get("version"));
+    const rules = await getRuleVersionRules(session.shop, target);
+    if (!rules) {
+      return { ok: false, error: `Version ${target} not found` };
+    }
+    // Gift variants may have been deleted since this version was live
+    const ruleErrors = await validateRuleSet(admin, rules);
+    if (ruleErrors.length) {
+      return { ok: false, error: `v${target} can't be restored: ${ruleErrors.map(describeRuleError).join("; ")}` };
+    }
+    const { version, errors } = await saveRuleSet(admin, {
+      shop: session.shop,
+      rules,
+      author: sessionToken?.sub ? String(sessionToken.sub) : null,
+      source: "rollback",
+      note: `Rolled back to v${target}`,
+    });
+    if (errors.length) {
+      return { ok: false, errors };
+    }
+    return { ok: true, message: `Restored v${target} as v${version}` };
+  }
+
+  return { ok: false, error: "Unknown intent" };
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  app: "Rules page",
+  admin_block: "Admin block",
+  rollback: "Rollback",
+  import: "Imported",
+  draft: "Published draft",
+};
+
+function Json({ value }: { value: unknown }) {
+  return (
+    <pre style={{ margin: 0, padding: "8px", background: "#f6f6f7", borderRadius: "6px", fontSize: "12px", whiteSpace: "pre-wrap", wordBreak: "break-all" }}>
+      {value === undefined ? "—" : JSON.stringify(value, null, 2)}
+    </pre>
+  );
+}
+
+export default function HistoryPage() {
+  const { versions, comparison } = useLoaderData<typeof loader>();
+  const result = useActionData<typeof action>();
+  const submit = useSubmit();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const latest = versions[0]?.version ?? 0;
+  const [from, setFrom] = React.useState(searchParams.get("from") || String(Math.max(latest - 1, 1)));
+  const [to, setTo] = React.useState(searchParams.get("to") || String(latest));
+
+  const rollback = (version: number) => {
+    if (!confirm(`Publish the rules from v${version} again? This is saved as a new version.`)) return;
+    submit({ intent: "rollback", version: String(version) }, { method: "post" });
+  };
+
+  const selectStyle = {
+    padding: "8px 12px",
+    borderRadius: "8px",
+    border: "1px solid #c9cccf",
+    backgroundColor: "white",
+    fontSize: "14px",
+    height: "36px"
+  };
+
+  return (
+    <s-page heading="Rule History">
+      {result && (
+        <s-banner tone={result.ok ? "success" : "critical"}>
+          {"message" in result ? result.message : "error" in result ? result.error : "Rollback failed"}
+        </s-banner>
+      )}
+
+      <s-section heading="Compare versions">
+        {versions.length < 2 ? (
+          <s-paragraph>Save rules at least twice to compare versions.</s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <div style={{ display: "flex", gap: "12px", alignItems: "center" }}>
+              <select value={from} onChange={(e) => setFrom(e.target.value)} style={selectStyle}>
+                {versions.map((v) => <option key={v.id} value={v.version}>v{v.version}</option>)}
+              </select>
+              <span>→</span>
+              <select value={to} onChange={(e) => setTo(e.target.value)} style={selectStyle}>
+                {versions.map((v) => <option key={v.id} value={v.version}>v{v.version}</option>)}
+              </select>
+              <s-button onClick={() => setSearchParams({ from, to })}>Compare</s-button>
+            </div>
+
+            {comparison && (
+              <s-stack direction="block" gap="base">
+                <s-text type="strong">
+                  v{comparison.from} → v{comparison.to}: {describeDiff(comparison.diff)}
+                </s-text>
+                {comparison.diff.added.map((id) => (
+                  <s-box key={`added-${id}`} padding="base" background="subdued" borderRadius="base">
+                    <s-stack direction="block" gap="base">
+                      <s-stack direction="inline" gap="base">
+                        <s-badge tone="success">added</s-badge>
+                        <s-text type="strong">{id}</s-text>
+                      </s-stack>
+                      <Json value={comparison.after[id]} />
+                    </s-stack>
+                  </s-box>
+                ))}
+                {comparison.diff.removed.map((id) => (
+                  <s-box key={`removed-${id}`} padding="base" background="subdued" borderRadius="base">
+                    <s-stack direction="inline" gap="base">
+                      <s-badge tone="critical">removed</s-badge>
+                      <s-text type="strong">{id}</s-text>
+                    </s-stack>
+                  </s-box>
+                ))}
+                {comparison.diff.changed.map(({ id, fields }) => (
+                  <s-box key={`changed-${id}`} padding="base" background="subdued" borderRadius="base">
+                    <s-stack direction="block" gap="base">
+                      <s-stack direction="inline" gap="base">
+                        <s-badge tone="warning">changed</s-badge>
+                        <s-text type="strong">{id}</s-text>
+                      </s-stack>
+                      {fields.map((field) => (
+                        <div key={field}>
+                          <s-text color="subdued">{field}</s-text>
+                          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px", marginTop: "4px" }}>
+                            <Json value={(comparison.before[id] as Record<string, unknown>)[field]} />
+                            <Json value={(comparison.after[id] as Record<string, unknown>)[field]} />
+                          </div>
+                        </div>
+                      ))}
+                    </s-stack>
+                  </s-box>
+                ))}
+              </s-stack>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Versions">
+        {versions.length === 0 && <s-paragraph>No versions yet. Every save on the Rules page is recorded here.</s-paragraph>}
+        <s-stack direction="block" gap="base">
+          {versions.map((v) => (
+            <s-box key={v.id} padding="base" background="subdued" borderRadius="base">
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" }}>
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="base">
+                    <s-text type="strong">v{v.version}</s-text>
+                    <s-badge tone="neutral">{SOURCE_LABELS[v.source] || v.source}</s-badge>
+                    {!v.publishedAt && <s-badge tone="critical">not published</s-badge>}
+                  </s-stack>
+                  <s-text color="subdued">
+                    {new Date(v.createdAt).toLocaleString()} · {v.author ? `Staff ${v.author}` : "Unknown author"} · {describeDiff(v.diff)}
+                    {v.note ? ` · ${v.note}` : ""}
+                  </s-text>
+                </s-stack>
+                {v.version !== latest && (
+                  <s-button variant="secondary" onClick={() => rollback(v.version)}>Roll back</s-button>
+                )}
+              </div>
+            </s-box>
+          ))}
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
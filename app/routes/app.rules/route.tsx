@@ -1,38 +1,82 @@
 import * as React from "react";
 import type { ActionFunctionArgs, LoaderFunctionArgs } from "react-router";
-import { useLoaderData, useSubmit, useSearchParams } from "react-router";
+import { useActionData, useLoaderData, useNavigate, useSubmit, useSearchParams } from "react-router";
 import { authenticate } from "../../shopify.server";
-
-type Condition =
-  | { type: "cart_quantity_at_least"; threshold: number }
-  | { type: "cart_quantity_in_range"; min: number; max?: number }
-  | { type: "cart_total_at_least"; amount: number; currencyCode?: string }
-  | { type: "includes_any_variants"; variantIds: string[] }
-  | { type: "includes_any_products"; productIds: string[] }
-  | { type: "includes_any_collections"; collectionIds: string[] }
-  | { type: "product_quantity_in_range"; productId: string; min: number; max?: number };
-
-type Rule = {
-  id: string;
-  active: boolean;
-  group?: string;
-  conditions: Condition[];
-  action: { addVariantId: string; quantity?: number; titleOverride?: string };
-};
+import { syncFunctionInput } from "../../function-input.server";
+import { activateGiftDiscount, giftDiscountIds } from "../../gift-discount.server";
+import {
+  approveRuleDraft,
+  discardRuleDraft,
+  getRuleDraft,
+  publishDueDraft,
+  publishRuleDraft,
+  saveRuleDraft,
+  scheduleRuleDraft,
+} from "../../rule-drafts.server";
+import { describeDiff, diffRuleSets } from "../../rule-diff";
+import { publishedRules, validateRuleSet } from "../../rules.server";
+import { lookupNamedReferences, type ReferenceProblem } from "../../rule-references.server";
+import { COLLECTION_INDEX_FIELDS, collectionIndexShards } from "../../collection-index.server";
+import type { CollectionIndexStatus } from "../../collection-index-jobs.server";
+import {
+  GROUP_STRATEGIES,
+  MAX_CONDITION_DEPTH,
+  MAX_VARIANT_METAFIELDS,
+  WEEKDAYS,
+  cartOperations,
+  describeRuleError,
+  isConditionGroup,
+  mapReferences,
+  parseCollectionIndex,
+  parseGiftPrices,
+  parseRules,
+  parseSettings,
+  planGifts,
+  ruleActions,
+  scheduleStatus,
+  shopClock,
+  sortRules,
+  toProductGid,
+  validateRules,
+  type Condition,
+  type ConditionGroup,
+  type ConditionNode,
+  type ConditionResult,
+  type EngineCart,
+  type GiftDiscount,
+  type GiftMode,
+  type GroupStrategy,
+  type QuantityScaling,
+  type RecurringWindow,
+  type Rule,
+  type RuleAction,
+  type RuleFieldError,
+  type Settings,
+  type ShopClock,
+} from "../../../shared/rules";
 
 type Rules = Rule[];
 
 export async function loader({ request }: LoaderFunctionArgs) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  await publishDueDraft(admin, session.shop);
 
   // Query both rules and active transforms
   const response = await admin.graphql(`
     query GetRulesAndStatus {
       shop {
         id
+        ianaTimezone
         metafield(namespace: "auto_add2cart", key: "rules") {
           value
         }
+        settings: metafield(namespace: "auto_add2cart", key: "settings") {
+          value
+        }
+        giftPrices: metafield(namespace: "auto_add2cart", key: "gift_prices") {
+          value
+        }
+        ${COLLECTION_INDEX_FIELDS}
       }
       cartTransforms(first: 5) {
         nodes {
@@ -52,17 +96,45 @@ export async function loader({ request }: LoaderFunctionArgs) {
     console.error("Failed to parse rules JSON", e);
   }
 
+  let giftPrices: Record<string, { price: number; cost: number | null }> = {};
+  try {
+    giftPrices = data?.shop?.giftPrices?.value ? JSON.parse(data.shop.giftPrices.value) : {};
+  } catch (e) {
+    console.error("Failed to parse gift prices JSON", e);
+  }
+
   const isTransformActive = data?.cartTransforms?.nodes?.length > 0;
+  const isDiscountActive = (await giftDiscountIds(admin)).length > 0;
+
+  // The builder edits the draft when there is one; `rules` stays the live set
+  const draft = await getRuleDraft(session.shop);
+  const editing = draft ? draft.rules : rules;
 
   return {
     shopId: data?.shop?.id,
-    rules,
-    isTransformActive
+    rules: sortRules(editing),
+    draft: draft && {
+      author: draft.author,
+      updatedAt: draft.updatedAt,
+      publishAt: draft.publishAt,
+      approvedBy: draft.approvedBy,
+      approvedAt: draft.approvedAt,
+      changes: describeDiff(diffRuleSets(rules, draft.rules)),
+    },
+    currentUser: sessionToken?.sub ? String(sessionToken.sub) : null,
+    settings: parseSettings(data?.shop?.settings?.value),
+    giftPrices,
+    collectionIndex: collectionIndexShards(data?.shop).filter((v): v is string => Boolean(v)),
+    // Handle and SKU references are only resolved on publish; the previews need GIDs now
+    referenceIds: await lookupNamedReferences(admin, editing),
+    timezone: (data?.shop?.ianaTimezone || null) as string | null,
+    isTransformActive,
+    isDiscountActive
   };
 }
 
 export async function action({ request }: ActionFunctionArgs) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
@@ -83,7 +155,7 @@ export async function action({ request }: ActionFunctionArgs) {
     const appData = await appQuery.json();
     console.log("App Functions:", JSON.stringify(appData?.data?.shopifyFunctions?.nodes));
 
-    const func = appData?.data?.shopifyFunctions?.nodes?.find((f: any) =>
+    const func = appData?.data?.shopifyFunctions?.nodes?.find((f: { title: string; apiType: string }) =>
       f.title.includes("auto-add-2-cart") || f.apiType === "cart_transform"
     );
 
@@ -120,72 +192,123 @@ export async function action({ request }: ActionFunctionArgs) {
       return { ok: false, errors: createData.data.cartTransformCreate.userErrors };
     }
 
+    // 3. Hand the new transform the input variables for the current rules
+    await syncFunctionInput(admin, await publishedRules(admin));
+
     return { ok: true, message: "Function activated successfully!" };
   }
 
-  const rulesStr = String(formData.get("rules") || "[]");
-  console.log("[SAVE DEBUG] Rules to save:", rulesStr);
+  if (intent === "activate-discount") {
+    const result = await activateGiftDiscount(admin);
+    if (!result.ok) return result;
 
-  // 1. Get Shop ID
-  const shopResponse = await admin.graphql(`
-    query GetShopId {
-      shop {
-        id
-        name
-        myshopifyDomain
-      }
-    }
-  `);
-  const shopJson = await shopResponse.json();
-  const ownerId = shopJson?.data?.shop?.id;
-  console.log("[SAVE DEBUG] Shop:", shopJson?.data?.shop?.name, shopJson?.data?.shop?.myshopifyDomain);
-  console.log("[SAVE DEBUG] Owner ID:", ownerId);
-
-  if (!ownerId) {
-    console.log("[SAVE DEBUG] ERROR: Missing Shop ID");
-    return { ok: false, error: "Missing Shop ID" };
+    await syncFunctionInput(admin, await publishedRules(admin));
+
+    return result;
   }
 
-  // 2. Update Metafield
-  const mutationResponse = await admin.graphql(`
-    mutation SetRules($ownerId: ID!, $value: String!) {
-      metafieldsSet(metafields: [
-        {
-          ownerId: $ownerId,
-          namespace: "auto_add2cart",
-          key: "rules",
-          type: "json",
-          value: $value
-        }
-      ]) {
-        metafields {
+  if (intent === "settings") {
+    let groupStrategies: unknown = {};
+    try {
+      groupStrategies = JSON.parse(String(formData.get("groupStrategies") || "{}"));
+    } catch {
+      groupStrategies = {};
+    }
+    const settings = parseSettings({ giftMode: formData.get("giftMode"), groupStrategies, requireReview: formData.get("requireReview") === "true" });
+    const shopResponse = await admin.graphql(`
+      query GetShopId {
+        shop {
           id
-          namespace
-          key
         }
-        userErrors {
-          field
-          message
+      }
+    `);
+    const shopJson = await shopResponse.json();
+    const ownerId = shopJson?.data?.shop?.id;
+    if (!ownerId) {
+      return { ok: false, error: "Missing Shop ID" };
+    }
+
+    const settingsResponse = await admin.graphql(`
+      mutation SetSettings($ownerId: ID!, $value: String!) {
+        metafieldsSet(metafields: [
+          {
+            ownerId: $ownerId,
+            namespace: "auto_add2cart",
+            key: "settings",
+            type: "json",
+            value: $value
+          }
+        ]) {
+          userErrors {
+            field
+            message
+          }
         }
       }
+    `, {
+      variables: {
+        ownerId,
+        value: JSON.stringify(settings)
+      }
+    });
+    const settingsJson = await settingsResponse.json();
+    const settingsErrors = settingsJson?.data?.metafieldsSet?.userErrors;
+    if (settingsErrors && settingsErrors.length > 0) {
+      return { ok: false, errors: settingsErrors };
     }
-  `, {
-    variables: {
-      ownerId,
-      value: rulesStr
+    return { ok: true, message: "Settings saved" };
+  }
+
+  const author = sessionToken?.sub ? String(sessionToken.sub) : null;
+
+  if (intent === "publish") {
+    const { version, errors, ruleErrors } = await publishRuleDraft(admin, { shop: session.shop, author });
+    if (errors.length > 0) {
+      return { ok: false, errors, ruleErrors };
     }
-  });
+    return new Response("", {
+      status: 302,
+      headers: { Location: `/app/rules?published=${version}` }
+    });
+  }
+
+  if (intent === "discard") {
+    await discardRuleDraft(session.shop);
+    return { ok: true, message: "Draft discarded" };
+  }
 
-  const mutationJson = await mutationResponse.json();
-  console.log("[SAVE DEBUG] Mutation result:", JSON.stringify(mutationJson));
-  const userErrors = mutationJson?.data?.metafieldsSet?.userErrors;
+  if (intent === "approve") {
+    const error = await approveRuleDraft(session.shop, author);
+    if (error) {
+      return { ok: false, error };
+    }
+    return { ok: true, message: "Draft approved" };
+  }
 
-  if (userErrors && userErrors.length > 0) {
-    console.log("[SAVE DEBUG] User errors:", JSON.stringify(userErrors));
-    return { ok: false, errors: userErrors };
+  if (intent === "schedule") {
+    const value = String(formData.get("publishAt") || "");
+    const publishAt = value ? new Date(value) : null;
+    if (publishAt && (isNaN(publishAt.getTime()) || publishAt.getTime() <= Date.now())) {
+      return { ok: false, error: "Pick a publish time in the future" };
+    }
+    await scheduleRuleDraft(session.shop, publishAt);
+    return { ok: true, message: publishAt ? "Publish scheduled" : "Schedule cleared" };
+  }
+
+  // Saving only updates the draft; nothing reaches the storefront until it is published
+  const rulesStr = String(formData.get("rules") || "[]");
+  let submitted: unknown;
+  try {
+    submitted = JSON.parse(rulesStr);
+  } catch {
+    return { ok: false, error: "Rules are not valid JSON" };
+  }
+  const ruleErrors = await validateRuleSet(admin, submitted);
+  if (ruleErrors.length > 0) {
+    return { ok: false, error: `${ruleErrors.length} problem(s) found. Fix them and save again.`, ruleErrors };
   }
+  await saveRuleDraft({ shop: session.shop, rules: parseRules(submitted), author });
 
-  console.log("[SAVE DEBUG] Save successful, redirecting...");
   return new Response("", {
     status: 302,
     headers: { Location: "/app/rules?saved=1" }
@@ -193,20 +316,24 @@ export async function action({ request }: ActionFunctionArgs) {
 }
 
 export default function RulesPage() {
-  const { rules, isTransformActive } = useLoaderData<typeof loader>();
+  const { rules, draft, currentUser, settings, giftPrices, collectionIndex, referenceIds, timezone, isTransformActive, isDiscountActive } = useLoaderData<typeof loader>();
+  const result = useActionData<typeof action>();
   const submit = useSubmit();
+  const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
-  const [showSaved, setShowSaved] = React.useState(false);
+  const [showSaved, setShowSaved] = React.useState<string | null>(null);
 
-  // Show success message when redirected after save
+  // Show success message when redirected after a save or publish
   React.useEffect(() => {
-    if (searchParams.get("saved") === "1") {
-      setShowSaved(true);
-      // Remove the query param from URL
+    const published = searchParams.get("published");
+    if (searchParams.get("saved") === "1" || published) {
+      setShowSaved(published ? `Rules published as v${published}` : "Draft saved. Publish it to put the changes live.");
+      // Remove the query params from URL
       searchParams.delete("saved");
+      searchParams.delete("published");
       setSearchParams(searchParams, { replace: true });
       // Auto-hide after 5 seconds
-      const timer = setTimeout(() => setShowSaved(false), 5000);
+      const timer = setTimeout(() => setShowSaved(null), 5000);
       return () => clearTimeout(timer);
     }
   }, [searchParams, setSearchParams]);
@@ -217,10 +344,14 @@ export default function RulesPage() {
       active: true,
       group: "platform-fee",
       conditions: [{ type: "cart_quantity_in_range", min: 5, max: 9 }],
-      action: { addVariantId: "gid://shopify/ProductVariant/YOUR_VARIANT_ID", quantity: 1 },
+      actions: [{ addVariantId: "gid://shopify/ProductVariant/YOUR_VARIANT_ID", quantity: 1 }],
     },
   ];
 
+  const saveSettings = (next: Settings) => {
+    submit({ intent: "settings", giftMode: next.giftMode, groupStrategies: JSON.stringify(next.groupStrategies), requireReview: String(next.requireReview) }, { method: "post" });
+  };
+
   const handleSave = (r: Rules) => {
     const fd = new FormData();
     fd.append("rules", JSON.stringify(r));
@@ -231,17 +362,29 @@ export default function RulesPage() {
     <s-page heading="Auto-Add Rules">
       {showSaved && (
         <div style={{ marginBottom: '20px', backgroundColor: '#d4f5d4', padding: '12px 16px', borderRadius: '8px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <span style={{ fontWeight: 'bold', color: '#1a7f37' }}>✓ Rules saved successfully!</span>
-          <button onClick={() => setShowSaved(false)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '18px' }}>×</button>
+          <span style={{ fontWeight: 'bold', color: '#1a7f37' }}>✓ {showSaved}</span>
+          <button onClick={() => setShowSaved(null)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '18px' }}>×</button>
         </div>
       )}
-      {!isTransformActive && (
+      {result && (
+        <div style={{ marginBottom: '20px' }}>
+          <s-banner tone={result.ok ? "success" : "critical"}>
+            {"message" in result ? result.message
+              : "error" in result ? result.error
+              : "errors" in result ? (result.errors as Array<{ message: string }>).map((e) => e.message).join(", ")
+              : ""}
+          </s-banner>
+        </div>
+      )}
+
+      <DraftPanel draft={draft} currentUser={currentUser} timezone={timezone} requireReview={settings.requireReview} onIntent={(data) => submit(data, { method: "post" })} />
+      {!isTransformActive && settings.giftMode !== "storefront" && (
         <div style={{ marginBottom: '20px' }}>
           <s-box padding="base" background="subdued" borderRadius="base">
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
               <s-stack direction="block" gap="base">
                 <s-text type="strong">Action Required: Enable Rules Function</s-text>
-                <s-text>Your rules will not run on the storefront until the function is activated.</s-text>
+                <s-text>Cart Transform gifts will not be applied until the function is activated.</s-text>
               </s-stack>
               <s-button variant="primary" onClick={() => submit({ intent: "activate" }, { method: "post" })}>
                 Activate Now
@@ -251,21 +394,45 @@ export default function RulesPage() {
         </div>
       )}
 
+      {!isDiscountActive && rules.some((r) => ruleActions(r).some((a) => a.discount)) && (
+        <div style={{ marginBottom: '20px' }}>
+          <s-box padding="base" background="subdued" borderRadius="base">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <s-stack direction="block" gap="base">
+                <s-text type="strong">Action Required: Enable Gift Discount</s-text>
+                <s-text>Gifts are charged at full price until the gift discount is activated.</s-text>
+              </s-stack>
+              <s-button variant="primary" onClick={() => submit({ intent: "activate-discount" }, { method: "post" })}>
+                Activate Now
+              </s-button>
+            </div>
+          </s-box>
+        </div>
+      )}
+
       {rules?.length > 0 && (
         <s-button
           slot="primary-action"
           variant="primary"
-          onClick={() => (document.getElementById('save-all-btn') as any)?.click()}
+          onClick={() => document.getElementById('save-all-btn')?.click()}
         >
-          Save All Changes
+          Save Draft
         </s-button>
       )}
 
       <div style={{ display: 'grid', gridTemplateColumns: rules?.length > 0 ? '2fr 1fr' : '1fr', gap: '24px', alignItems: 'start' }}>
         <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
           <RuleBuilder
+            key={draft?.updatedAt || "live"}
             initialRules={rules}
+            serverErrors={result && "ruleErrors" in result && result.ruleErrors ? result.ruleErrors : []}
+            settings={settings}
+            giftPrices={giftPrices}
+            collectionIndex={collectionIndex}
+            referenceIds={referenceIds}
+            timezone={timezone}
             onSave={handleSave}
+            onSaveSettings={saveSettings}
           />
         </div>
 
@@ -276,57 +443,542 @@ export default function RulesPage() {
                 <s-text type="strong">Rules Guide</s-text>
                 <s-stack direction="block" gap="base">
                   <s-text type="strong">Conditions</s-text>
-                  <s-text color="subdued">Rules trigger only when ALL conditions are met.</s-text>
+                  <s-text color="subdued">Rules trigger only when ALL top-level conditions are met. Use groups for any-of and none-of logic.</s-text>
                 </s-stack>
                 <s-stack direction="block" gap="base">
                   <s-text type="strong">Exclusivity</s-text>
-                  <s-text color="subdued">Use "Groups" to make rules exclusive. Only the first matching rule in a group runs.</s-text>
+                  <s-text color="subdued">Use "Groups" to make rules exclusive. Only one matching rule per group runs: the first by priority, or the one with the highest-value or lowest-cost gift. Drag rules to change their priority.</s-text>
+                </s-stack>
+                <s-stack direction="block" gap="base">
+                  <s-text type="strong">Schedule</s-text>
+                  <s-text color="subdued">Times use the shop timezone{timezone ? ` (${timezone})` : ""}. The gift functions can compare at most 8 different times of day across all rules.</s-text>
                 </s-stack>
               </s-stack>
             </s-card>
 
             <s-card>
               <s-stack direction="block" gap="base" padding="base">
-                <s-text type="strong">Collection Indexing</s-text>
-                <s-paragraph>Functions cannot query collections in real-time. Index them here to use collection conditions.</s-paragraph>
-                <s-text-field
-                  label="Collection GIDs"
-                  placeholder="gid://shopify/Collection/123"
-                  id="col-idx-input"
+                <s-text type="strong">Gift Engine</s-text>
+                <s-paragraph>Choose where gifts are added. The Cart Transform also covers headless storefronts and checkout, where the theme script never runs.</s-paragraph>
+                <select
+                  value={settings.giftMode}
+                  onChange={(e: React.ChangeEvent<HTMLSelectElement>) => saveSettings({ ...settings, giftMode: e.target.value as GiftMode })}
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: "8px",
+                    border: "1px solid #c9cccf",
+                    backgroundColor: "white",
+                    fontSize: "14px",
+                    cursor: "pointer",
+                    height: "36px"
+                  }}
+                >
+                  <option value="storefront">Storefront script</option>
+                  <option value="cart_transform">Cart Transform</option>
+                  <option value="both">Both (de-duplicated)</option>
+                </select>
+              </s-stack>
+            </s-card>
+
+            <s-card>
+              <s-stack direction="block" gap="base" padding="base">
+                <s-text type="strong">Publishing</s-text>
+                <s-checkbox
+                  label="Require approval before publishing"
+                  details="Drafts, scheduled ones included, go live only once a staff member other than their last editor approved them."
+                  checked={settings.requireReview}
+                  onChange={(e) => saveSettings({ ...settings, requireReview: e.currentTarget.checked })}
                 />
-                <s-button tone="neutral" onClick={async () => {
-                  const val = (document.getElementById('col-idx-input') as any)?.value;
-                  const ids = val.trim() ? val.split(',').map((s: string) => s.trim()).filter(Boolean) : [];
-                  try {
-                    const res = await fetch('/api/collection-index', {
-                      method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
-                      body: ids.length ? JSON.stringify({ collectionIds: ids }) : undefined
-                    });
-                    const json = await res.json();
-                    alert(json.ok ? `Success! Indexed ${json.productsIndexed} products.` : 'Indexing failed.');
-                  } catch {
-                    alert('Network error.');
-                  }
-                }}>Rebuild Index</s-button>
+              </s-stack>
+            </s-card>
+
+            <s-card>
+              <s-stack direction="block" gap="base" padding="base">
+                <CollectionIndexPanel />
               </s-stack>
             </s-card>
           </div>
         )}
       </div>
+
+      <div style={{ marginTop: '24px' }}>
+        <ReferenceCheckPanel key={draft?.updatedAt || "live"} />
+      </div>
+
+      <div style={{ marginTop: '24px' }}>
+        <RuleTransferPanel onApplied={() => navigate("/app/rules?saved=1")} />
+      </div>
     </s-page>
   );
 }
 
-function RuleBuilder({ initialRules, onSave }: { initialRules: Rules; onSave: (rules: Rules) => void }) {
-  const [rules, setRules] = React.useState<Rules>(initialRules);
+type GiftPriceMap = Record<string, { price: number; cost: number | null }>;
+
+// Priorities follow the on-screen order, so dragging a card is the only way to change them.
+function withPriorities(rules: Rules): Rules {
+  return rules.map((r, i) => ({ ...r, priority: i + 1 }));
+}
+
+type DraftInfo = {
+  author: string | null;
+  updatedAt: string;
+  publishAt: string | null;
+  approvedBy: string | null;
+  approvedAt: string | null;
+  changes: string;
+};
+
+// "2026-11-27T08:00" for a datetime-local input, in the browser's timezone
+function localInputValue(iso: string): string {
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function DraftPanel({ draft, currentUser, timezone, requireReview, onIntent }: {
+  draft: DraftInfo | null;
+  currentUser: string | null;
+  timezone: string | null;
+  requireReview: boolean;
+  onIntent: (data: Record<string, string>) => void;
+}) {
+  const [publishAt, setPublishAt] = React.useState(draft?.publishAt ? localInputValue(draft.publishAt) : "");
+  // Saving the draft clears its schedule
+  React.useEffect(() => {
+    setPublishAt(draft?.publishAt ? localInputValue(draft.publishAt) : "");
+  }, [draft?.publishAt]);
+
+  if (!draft) {
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        <s-text color="subdued">These are the live rules. Saving creates a draft that can be reviewed and published.</s-text>
+      </div>
+    );
+  }
+
+  const isOwnDraft = !!currentUser && draft.author === currentUser;
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <s-box padding="base" background="subdued" borderRadius="base">
+        <s-stack direction="block" gap="base">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+            <s-stack direction="block" gap="base">
+              <s-stack direction="inline" gap="base">
+                <s-text type="strong">Draft</s-text>
+                {draft.approvedBy
+                  ? <s-badge tone="success">approved by {draft.approvedBy}</s-badge>
+                  : <s-badge tone="warning">awaiting review</s-badge>}
+                {draft.publishAt && <s-badge tone="info">publishes {new Date(draft.publishAt).toLocaleString()}</s-badge>}
+              </s-stack>
+              <s-text color="subdued">
+                Last edited {new Date(draft.updatedAt).toLocaleString()}{draft.author ? ` by ${draft.author}` : ""} · {draft.changes} compared to the live rules
+              </s-text>
+            </s-stack>
+            <s-stack direction="inline" gap="base">
+              {!draft.approvedBy && (
+                <s-button
+                  variant="secondary"
+                  disabled={isOwnDraft}
+                  onClick={() => onIntent({ intent: "approve" })}
+                >
+                  Approve
+                </s-button>
+              )}
+              <s-button
+                variant="secondary"
+                tone="critical"
+                onClick={() => {
+                  if (confirm("Discard the draft and go back to the live rules?")) onIntent({ intent: "discard" });
+                }}
+              >
+                Discard
+              </s-button>
+              <s-button
+                variant="primary"
+                disabled={requireReview && !draft.approvedBy}
+                onClick={() => {
+                  if (draft.approvedBy || confirm("This draft has not been reviewed. Publish it anyway?")) onIntent({ intent: "publish" });
+                }}
+              >
+                Publish
+              </s-button>
+            </s-stack>
+          </div>
+          {requireReview && !draft.approvedBy && (
+            <s-text color="subdued">
+              {isOwnDraft ? "Your edits need approval from another staff member." : "This draft needs approval before it can be published."}
+            </s-text>
+          )}
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+            <s-text>Publish at</s-text>
+            <input
+              type="datetime-local"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              style={{ padding: "8px 12px", borderRadius: "8px", border: "1px solid #c9cccf", fontSize: "14px", height: "36px" }}
+            />
+            <s-button
+              variant="secondary"
+              disabled={!publishAt}
+              onClick={() => onIntent({ intent: "schedule", publishAt: new Date(publishAt).toISOString() })}
+            >
+              Schedule
+            </s-button>
+            {draft.publishAt && (
+              <s-button variant="tertiary" onClick={() => { setPublishAt(""); onIntent({ intent: "schedule", publishAt: "" }); }}>
+                Clear schedule
+              </s-button>
+            )}
+          </div>
+          <s-text color="subdued">
+            Scheduled drafts go live within a few minutes of that time. Editing the draft clears its schedule. The time is in your browser&apos;s timezone{timezone ? `; the shop uses ${timezone}` : ""}.
+          </s-text>
+        </s-stack>
+      </s-box>
+    </div>
+  );
+}
+
+type ImportReport = {
+  created: string[];
+  updated: string[];
+  removed: string[];
+  unchanged: string[];
+  errors: RuleFieldError[];
+};
+
+const INDEX_POLL_MS = 3000;
+
+// Rebuilds run in the background as a Bulk Operation; this polls their status
+// until they finish.
+function CollectionIndexPanel() {
+  const [ids, setIds] = React.useState("");
+  const [status, setStatus] = React.useState<CollectionIndexStatus | null>(null);
+  const [error, setError] = React.useState<string | null>(null);
+  const busy = status?.status === "running" || status?.status === "processing" || status?.status === "queued";
+
+  const refresh = React.useCallback(async () => {
+    try {
+      const res = await fetch("/api/collection-index/status");
+      if (!res.ok) throw new Error(String(res.status));
+      setStatus((await res.json()).status);
+    } catch {
+      setError("Could not load the index status");
+    }
+  }, []);
+
+  React.useEffect(() => { refresh(); }, [refresh]);
+  React.useEffect(() => {
+    if (!busy) return;
+    const timer = setTimeout(refresh, INDEX_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [busy, status, refresh]);
+
+  const rebuild = async () => {
+    setError(null);
+    const collectionIds = ids.split(",").map((s) => s.trim()).filter(Boolean);
+    try {
+      const res = await fetch("/api/collection-index", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: collectionIds.length ? JSON.stringify({ collectionIds }) : undefined,
+      });
+      const json = await res.json();
+      if (json.status) setStatus(json.status);
+      else setError(json.message || "Indexing failed");
+    } catch {
+      setError("Network error");
+    }
+  };
+
+  return (
+    <s-stack direction="block" gap="base" padding="base">
+      <s-text type="strong">Collection Indexing</s-text>
+      <s-paragraph>Functions cannot query collections in real-time, so the collections your rules use are indexed when the rules are published and kept current as products and collections change. Rebuild here to index specific collections, or leave the field empty to rebuild everything.</s-paragraph>
+      <s-text-field
+        label="Collection GIDs"
+        placeholder="gid://shopify/Collection/123"
+        value={ids}
+        onInput={(e) => setIds(e.currentTarget.value)}
+      />
+      <s-stack direction="inline" gap="base">
+        <s-button tone="neutral" disabled={busy} onClick={rebuild}>Rebuild Index</s-button>
+        {busy && <s-spinner size="base" accessibilityLabel="Indexing collections" />}
+      </s-stack>
+
+      {status?.status === "running" && (
+        <s-stack direction="block" gap="small-200">
+          <div style={{ height: "8px", borderRadius: "4px", background: "#e3e3e3", overflow: "hidden" }}>
+            <div style={{ width: `${Math.round((status.progress ?? 0) * 100)}%`, height: "100%", background: "#303030", transition: "width 0.3s" }} />
+          </div>
+          <s-text color="subdued">
+            {status.progress === null ? "Reading collections..." : `Reading collections: ${Math.round(status.progress * 100)}%`}
+          </s-text>
+        </s-stack>
+      )}
+      {status?.status === "processing" && <s-text color="subdued">Writing the index...</s-text>}
+      {status?.queued && <s-text color="subdued">Another rebuild is queued and starts when this one finishes.</s-text>}
+      {status?.status === "failed" && <s-banner tone="critical">Last rebuild failed: {status.error || "unknown error"}</s-banner>}
+      {error && <s-banner tone="critical">{error}</s-banner>}
+
+      <s-text color="subdued">
+        {status?.lastIndexedAt
+          ? `Last indexed ${new Date(status.lastIndexedAt).toLocaleString()}${status.productsIndexed !== null ? ` · ${status.productsIndexed} products` : ""}`
+          : "Not indexed yet"}
+      </s-text>
+    </s-stack>
+  );
+}
+
+const PROBLEM_TONES: Record<ReferenceProblem["problem"], "critical" | "warning"> = {
+  unresolved: "critical",
+  deleted: "critical",
+  archived: "warning",
+  draft: "warning",
+};
+
+// Looks up every product, variant and collection the edited rules point at.
+// Missing and unresolvable items block publishing; archived and draft
+// products are only flagged, since the merchant may be about to reactivate them.
+function ReferenceCheckPanel() {
+  const [problems, setProblems] = React.useState<ReferenceProblem[] | null>(null);
+  const [source, setSource] = React.useState<"draft" | "live">("live");
+  const [busy, setBusy] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+
+  const check = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/rules/references");
+      if (!res.ok) throw new Error(String(res.status));
+      const json = await res.json();
+      setProblems(json.problems);
+      setSource(json.source);
+    } catch {
+      setError("Could not check references");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <s-section heading="Broken references">
+      <s-stack direction="block" gap="base">
+        <s-paragraph>
+          Finds rules that point at deleted, archived or draft products, or at handles and SKUs that no longer match anything in this store.
+        </s-paragraph>
+        <s-stack direction="inline" gap="base">
+          <s-button variant="secondary" disabled={busy} onClick={check}>{busy ? "Checking..." : "Check references"}</s-button>
+        </s-stack>
+        {error && <s-banner tone="critical">{error}</s-banner>}
+        {problems && problems.length === 0 && (
+          <s-banner tone="success">Every reference in the {source} rules points at an active item.</s-banner>
+        )}
+        {problems && problems.length > 0 && (
+          <s-box padding="base" background="subdued" borderRadius="base">
+            <s-stack direction="block" gap="base">
+              <s-text type="strong">{problems.length} problem(s) in the {source} rules</s-text>
+              {problems.map((p, i) => (
+                <s-stack key={i} direction="inline" gap="base">
+                  <s-badge tone={PROBLEM_TONES[p.problem]}>{p.problem}</s-badge>
+                  <s-text>{describeRuleError(p)}</s-text>
+                </s-stack>
+              ))}
+            </s-stack>
+          </s-box>
+        )}
+      </s-stack>
+    </s-section>
+  );
+}
+
+// Export downloads and imports go through fetch so App Bridge adds the session token
+function RuleTransferPanel({ onApplied }: { onApplied: () => void }) {
+  const [file, setFile] = React.useState<{ name: string; content: string } | null>(null);
+  const [mode, setMode] = React.useState<"replace" | "merge">("replace");
+  const [report, setReport] = React.useState<ImportReport | null>(null);
+  const [busy, setBusy] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+  const [byHandle, setByHandle] = React.useState(false);
+
+  const download = async (format: "json" | "csv") => {
+    setError(null);
+    try {
+      const res = await fetch(`/api/rules/export?format=${format}${byHandle ? "&refs=handles" : ""}`);
+      if (!res.ok) throw new Error(String(res.status));
+      const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `auto-add-rules.${format}`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError("Export failed");
+    }
+  };
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/rules/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          format: file.name.toLowerCase().endsWith(".csv") ? "csv" : "json",
+          content: file.content,
+          mode,
+          dryRun,
+        }),
+      });
+      const json = await res.json();
+      if (json.report) setReport(json.report);
+      if (!json.report) setError(json.error || "Import failed");
+      if (json.applied) {
+        setFile(null);
+        setReport(null);
+        onApplied();
+      }
+    } catch {
+      setError("Import failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const summary: Array<[string, string[], "success" | "info" | "critical" | "neutral"]> = report ? [
+    ["Create", report.created, "success"],
+    ["Update", report.updated, "info"],
+    ["Remove", report.removed, "critical"],
+    ["Unchanged", report.unchanged, "neutral"],
+  ] : [];
+
+  return (
+    <s-section heading="Import & Export">
+      <s-stack direction="block" gap="base">
+        <s-paragraph>
+          Move rules between stores as JSON, or edit them in a spreadsheet as CSV with one row per rule, action and condition.
+          Products, variants and collections can be given as <code>handle:my-product</code> or <code>sku:ABC-1</code>; they are kept as written and looked up in this store when the rules are published.
+        </s-paragraph>
+        <s-checkbox
+          label="Export handles and SKUs instead of ids (for copying rules to another store)"
+          checked={byHandle}
+          onChange={(e) => setByHandle(e.currentTarget.checked)}
+        />
+        <s-stack direction="inline" gap="base">
+          <s-button variant="secondary" onClick={() => download("json")}>Export JSON</s-button>
+          <s-button variant="secondary" onClick={() => download("csv")}>Export CSV</s-button>
+        </s-stack>
+
+        <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap" }}>
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={async (e) => {
+              const picked = e.target.files?.[0];
+              setReport(null);
+              setFile(picked ? { name: picked.name, content: await picked.text() } : null);
+            }}
+          />
+          <select
+            value={mode}
+            onChange={(e) => { setMode(e.target.value as "replace" | "merge"); setReport(null); }}
+            style={{ padding: "8px 12px", borderRadius: "8px", border: "1px solid #c9cccf", backgroundColor: "white", fontSize: "14px", height: "36px" }}
+          >
+            <option value="replace">Replace all rules</option>
+            <option value="merge">Merge by rule id</option>
+          </select>
+          <s-button variant="secondary" disabled={!file || busy} onClick={() => runImport(true)}>Check import</s-button>
+          <s-button
+            variant="primary"
+            disabled={!report || report.errors.length > 0 || busy}
+            onClick={() => runImport(false)}
+          >
+            Import as draft
+          </s-button>
+        </div>
+
+        {error && <s-banner tone="critical">{error}</s-banner>}
+
+        {report && (
+          <s-box padding="base" background="subdued" borderRadius="base">
+            <s-stack direction="block" gap="base">
+              <s-text type="strong">Dry run{file ? ` of ${file.name}` : ""}</s-text>
+              {summary.map(([label, ids, tone]) => (
+                <s-stack key={label} direction="inline" gap="base">
+                  <s-badge tone={tone}>{label}: {ids.length}</s-badge>
+                  <s-text color="subdued">{ids.join(", ")}</s-text>
+                </s-stack>
+              ))}
+              {report.errors.length > 0 && (
+                <s-banner tone="critical">
+                  <ul style={{ margin: 0, paddingLeft: "18px" }}>
+                    {report.errors.map((e, i) => <li key={i}>{describeRuleError(e)}</li>)}
+                  </ul>
+                </s-banner>
+              )}
+            </s-stack>
+          </s-box>
+        )}
+      </s-stack>
+    </s-section>
+  );
+}
+
+function RuleBuilder({ initialRules, serverErrors, settings, giftPrices, collectionIndex, referenceIds, timezone, onSave, onSaveSettings }: {
+  initialRules: Rules;
+  serverErrors: RuleFieldError[]; // from the last save; dropped once the rules change
+  settings: Settings;
+  giftPrices: GiftPriceMap;
+  collectionIndex: string[]; // stored shards
+  referenceIds: Record<string, string>; // "kind|handle:…" → GID, from the loader
+  timezone: string | null;
+  onSave: (rules: Rules) => void;
+  onSaveSettings: (settings: Settings) => void;
+}) {
+  const [rules, setRulesState] = React.useState<Rules>(initialRules);
+  const [dragIdx, setDragIdx] = React.useState<number | null>(null);
+  const [staleErrors, setStaleErrors] = React.useState(false);
+  const clock = React.useMemo(() => shopClock(timezone), [timezone]);
+  // What the engine sees once published. References added since the page
+  // loaded stay unresolved, so they simply don't match in the previews.
+  const engineRules = React.useMemo(
+    () => mapReferences(rules, (ref) => referenceIds[`${ref.kind}|${ref.value}`] ?? ref.value),
+    [rules, referenceIds],
+  );
+
+  React.useEffect(() => setStaleErrors(false), [serverErrors]);
+  const setRules = (next: Rules) => {
+    setRulesState(next);
+    setStaleErrors(true);
+  };
+
+  // Shape errors show as the merchant edits; lookups like missing variants
+  // only come back from the server
+  const shapeErrors = React.useMemo(() => validateRules(rules), [rules]);
+  const errorsFor = (idx: number) => {
+    const own = shapeErrors.filter((e) => e.ruleIndex === idx);
+    const fromServer = staleErrors ? [] : serverErrors.filter((e) => e.ruleIndex === idx && !own.some((o) => o.field === e.field));
+    return [...own, ...fromServer];
+  };
+
+  const moveRule = (from: number, to: number) => {
+    if (from === to) return;
+    const copy = [...rules];
+    const [moved] = copy.splice(from, 1);
+    copy.splice(to, 0, moved);
+    setRules(withPriorities(copy));
+  };
 
   const addRule = () => {
     setRules([...rules, {
       id: `rule-${Date.now().toString().slice(-4)}`,
       active: true,
       conditions: [],
-      action: { addVariantId: "", quantity: 1 }
+      actions: [{ addVariantId: "", quantity: 1 }]
     }]);
   };
 
@@ -354,7 +1006,7 @@ function RuleBuilder({ initialRules, onSave }: { initialRules: Rules; onSave: (r
     );
   }
 
-  const isValid = rules.every(r => r.id.trim() && r.action.addVariantId.trim());
+  const isValid = shapeErrors.length === 0;
 
   return (
     <s-stack direction="block" gap="base">
@@ -364,56 +1016,319 @@ function RuleBuilder({ initialRules, onSave }: { initialRules: Rules; onSave: (r
       </s-stack>
 
       {rules.map((r, idx) => (
-        <RuleCard
+        <div
           key={r.id}
-          rule={r}
-          onUpdate={(updated) => updateRule(idx, updated)}
-          onRemove={() => removeRule(idx)}
-        />
+          onDragOver={(e) => { if (dragIdx !== null) e.preventDefault(); }}
+          onDrop={(e) => {
+            if (dragIdx === null) return;
+            e.preventDefault();
+            moveRule(dragIdx, idx);
+            setDragIdx(null);
+          }}
+          style={{ opacity: dragIdx === idx ? 0.5 : 1 }}
+        >
+          <RuleCard
+            rule={r}
+            priority={idx + 1}
+            clock={clock}
+            errors={errorsFor(idx)}
+            onDragStart={() => setDragIdx(idx)}
+            onDragEnd={() => setDragIdx(null)}
+            onUpdate={(updated) => updateRule(idx, updated)}
+            onRemove={() => removeRule(idx)}
+          />
+        </div>
       ))}
 
+      <GroupResolutionPanel
+        rules={engineRules}
+        settings={settings}
+        giftPrices={giftPrices}
+        clock={clock}
+        onSaveSettings={onSaveSettings}
+      />
+
+      <RuleSimulator
+        rules={engineRules}
+        settings={settings}
+        giftPrices={giftPrices}
+        collectionIndex={collectionIndex}
+        clock={clock}
+      />
+
       <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '12px' }}>
-        <s-button id="save-all-btn" variant="primary" onClick={() => onSave(rules)} disabled={!isValid}>Save All Changes</s-button>
+        <s-button id="save-all-btn" variant="primary" onClick={() => onSave(withPriorities(rules))} disabled={!isValid}>Save Draft</s-button>
       </div>
     </s-stack>
   );
 }
 
-function RuleCard({ rule, onUpdate, onRemove }: { rule: Rule; onUpdate: (r: Rule) => void; onRemove: () => void }) {
-  const [selectedCondType, setSelectedCondType] = React.useState<Condition["type"] | "">("");
+const GROUP_STRATEGY_LABELS: Record<GroupStrategy, string> = {
+  first_match: "First match (priority)",
+  highest_value: "Highest-value gift",
+  lowest_cost: "Lowest-cost gift",
+};
 
-  const addCondition = () => {
-    if (!selectedCondType) return;
-
-    let newCond: Condition;
-    switch (selectedCondType) {
-      case "cart_quantity_at_least": newCond = { type: selectedCondType, threshold: 1 }; break;
-      case "cart_total_at_least": newCond = { type: selectedCondType, amount: 10 }; break;
-      case "cart_quantity_in_range": newCond = { type: selectedCondType, min: 1, max: 10 }; break;
-      case "includes_any_variants": newCond = { type: selectedCondType, variantIds: [] }; break;
-      case "includes_any_products": newCond = { type: selectedCondType, productIds: [] }; break;
-      case "includes_any_collections": newCond = { type: selectedCondType, collectionIds: [] }; break;
-      case "product_quantity_in_range": newCond = { type: selectedCondType, productId: "", min: 1 }; break;
-      default: return;
-    }
+// Shows which rule each exclusivity group would pick for a sample cart, using
+// the unsaved rules and the gift prices snapshotted at the last save.
+function GroupResolutionPanel({ rules, settings, giftPrices, clock, onSaveSettings }: {
+  rules: Rules;
+  settings: Settings;
+  giftPrices: GiftPriceMap;
+  clock: ShopClock;
+  onSaveSettings: (settings: Settings) => void;
+}) {
+  const [items, setItems] = React.useState(1);
+  const [total, setTotal] = React.useState(50);
+  const [productIds, setProductIds] = React.useState("");
 
-    onUpdate({
-      ...rule,
-      conditions: [...rule.conditions, newCond]
+  const groups = Array.from(new Set(rules.map((r) => (r.group || "").trim()).filter(Boolean)));
+  const plan = React.useMemo(() => {
+    const products = productIds.split(",").map((s) => toProductGid(s.trim())).filter((id): id is string => Boolean(id));
+    const lineCount = Math.max(products.length, 1);
+    const cart: EngineCart = {
+      // Units and total are spread evenly over one line per product
+      lines: Array.from({ length: lineCount }, (_, i) => ({
+        id: `preview-${i}`,
+        variantId: null,
+        productId: products[i] ?? null,
+        quantity: Math.max(1, Math.round(items / lineCount)),
+        totalAmount: total / lineCount,
+        autoAdded: false,
+      })),
+      currencyCode: null,
+      customer: null,
+    };
+    return planGifts(rules, cart, {
+      collectionIndex: new Map(),
+      clock,
+      choices: {},
+      giftPrices: parseGiftPrices(giftPrices),
+      groupStrategies: settings.groupStrategies,
     });
-    setSelectedCondType("");
-  };
+  }, [rules, items, total, productIds, clock, giftPrices, settings.groupStrategies]);
 
-  const updateCondition = (cIdx: number, updatedCond: Condition) => {
-    const nextConditions = [...rule.conditions];
-    nextConditions[cIdx] = updatedCond;
-    onUpdate({ ...rule, conditions: nextConditions });
+  if (groups.length === 0) return null;
+
+  return (
+    <s-box padding="base" borderWidth="base" borderRadius="base">
+      <s-stack direction="block" gap="base">
+        <s-text type="strong">Group Resolution</s-text>
+        <s-paragraph>Choose how each exclusivity group picks its rule, then preview which rule wins for a sample guest cart.</s-paragraph>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 2fr", gap: "12px" }}>
+          <s-number-field label="Items" value={String(items)} onInput={(e) => setItems(Number(e.currentTarget.value) || 0)} />
+          <s-number-field label="Cart total" value={String(total)} onInput={(e) => setTotal(Number(e.currentTarget.value) || 0)} />
+          <s-text-field label="Product IDs (optional)" placeholder="gid://shopify/Product/1, ..." value={productIds} onInput={(e) => setProductIds(e.currentTarget.value)} />
+        </div>
+        {groups.map((group) => {
+          const strategy = settings.groupStrategies[group] || "first_match";
+          const resolution = plan.groups.find((g) => g.group === group);
+          return (
+            <s-box key={group} padding="base" background="subdued" borderRadius="base">
+              <s-stack direction="block" gap="base">
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" }}>
+                  <s-badge tone="info">{group}</s-badge>
+                  <select
+                    value={strategy}
+                    onChange={(e: React.ChangeEvent<HTMLSelectElement>) => onSaveSettings({
+                      ...settings,
+                      groupStrategies: { ...settings.groupStrategies, [group]: e.target.value as GroupStrategy },
+                    })}
+                    style={{ padding: "8px 12px", borderRadius: "8px", border: "1px solid #c9cccf", backgroundColor: "white", fontSize: "14px", height: "36px" }}
+                  >
+                    {GROUP_STRATEGIES.map((value) => <option key={value} value={value}>{GROUP_STRATEGY_LABELS[value]}</option>)}
+                  </select>
+                </div>
+                {!resolution && <s-text color="subdued">No rule in this group matches this cart.</s-text>}
+                {resolution?.candidates.map((c) => (
+                  <s-stack key={c.ruleId} direction="inline" gap="base">
+                    <s-text type={c.ruleId === resolution.winner ? "strong" : undefined}>{c.ruleId}</s-text>
+                    {strategy !== "first_match" && (
+                      <s-text color="subdued">{c.score === null ? "price unknown (save rules to refresh prices)" : c.score.toFixed(2)}</s-text>
+                    )}
+                    {c.ruleId === resolution.winner && <s-badge tone="success">wins</s-badge>}
+                  </s-stack>
+                ))}
+              </s-stack>
+            </s-box>
+          );
+        })}
+      </s-stack>
+    </s-box>
+  );
+}
+
+type SimulatorLine = {
+  variantId: string;
+  productId: string;
+  label: string;
+  quantity: number;
+  autoAdded: boolean;
+};
+
+// Runs the storefront engine (planGifts + cartOperations) against a
+// hypothetical cart, using the unsaved rules.
+function RuleSimulator({ rules, settings, giftPrices, collectionIndex, clock }: {
+  rules: Rules;
+  settings: Settings;
+  giftPrices: GiftPriceMap;
+  collectionIndex: string[]; // stored shards
+  clock: ShopClock;
+}) {
+  const [lines, setLines] = React.useState<SimulatorLine[]>([]);
+  const [subtotal, setSubtotal] = React.useState(50);
+  const [currency, setCurrency] = React.useState("");
+  const [loggedIn, setLoggedIn] = React.useState(false);
+  const [orders, setOrders] = React.useState(0);
+  const [tags, setTags] = React.useState("");
+
+  const updateLine = (idx: number, patch: Partial<SimulatorLine>) => {
+    setLines(lines.map((l, i) => (i === idx ? { ...l, ...patch } : l)));
   };
 
-  const removeCondition = (cIdx: number) => {
-    const nextConditions = [...rule.conditions];
-    nextConditions.splice(cIdx, 1);
-    onUpdate({ ...rule, conditions: nextConditions });
+  const result = React.useMemo(() => {
+    // The subtotal is spread over the shopper's own lines by quantity; gifts count as free
+    const paidUnits = lines.filter((l) => !l.autoAdded).reduce((sum, l) => sum + l.quantity, 0);
+    const cart: EngineCart = {
+      lines: lines.map((l, i) => ({
+        id: `line-${i + 1}`,
+        variantId: l.variantId,
+        productId: l.productId,
+        quantity: l.quantity,
+        totalAmount: l.autoAdded || paidUnits === 0 ? 0 : (subtotal * l.quantity) / paidUnits,
+        autoAdded: l.autoAdded,
+      })),
+      currencyCode: currency.trim().toUpperCase() || null,
+      customer: loggedIn
+        ? { id: null, numberOfOrders: orders, tags: tags.split(",").map((t) => t.trim()).filter(Boolean) }
+        : null,
+    };
+    const plan = planGifts(rules, cart, {
+      collectionIndex: parseCollectionIndex(collectionIndex),
+      clock,
+      choices: {},
+      giftPrices: parseGiftPrices(giftPrices),
+      groupStrategies: settings.groupStrategies,
+    });
+    return { plan, operations: cartOperations(plan.gifts, cart) };
+  }, [lines, subtotal, currency, loggedIn, orders, tags, rules, collectionIndex, clock, giftPrices, settings.groupStrategies]);
+
+  const lineLabels = new Map(lines.map((l, i) => [`line-${i + 1}`, l.label]));
+  const lineLabel = (lineId: string) => lineLabels.get(lineId) || lineId;
+
+  return (
+    <s-box padding="base" borderWidth="base" borderRadius="base">
+      <s-stack direction="block" gap="base">
+        <s-text type="strong">Simulator</s-text>
+        <s-paragraph>Build a test cart to see which rules match and what the storefront script would change. Nothing is saved.</s-paragraph>
+
+        <VariantPicker onPick={(variantId, label, productId) => setLines([...lines, { variantId, productId, label, quantity: 1, autoAdded: false }])} />
+        {lines.map((l, idx) => (
+          <div key={idx} style={{ display: "flex", gap: "12px", alignItems: "flex-end" }}>
+            <div style={{ flex: 1 }}>
+              <s-text>{l.label}</s-text>
+            </div>
+            <s-number-field label="Qty" value={String(l.quantity)} onInput={(e) => updateLine(idx, { quantity: Math.max(0, Number(e.currentTarget.value) || 0) })} />
+            <label style={{ display: "flex", gap: "4px", alignItems: "center", fontSize: "13px" }}>
+              <input type="checkbox" checked={l.autoAdded} onChange={(e) => updateLine(idx, { autoAdded: e.target.checked })} />
+              Auto-added gift
+            </label>
+            <s-button tone="critical" variant="tertiary" onClick={() => setLines(lines.filter((_, i) => i !== idx))}>×</s-button>
+          </div>
+        ))}
+
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px" }}>
+          <s-number-field label="Subtotal" value={String(subtotal)} onInput={(e) => setSubtotal(Number(e.currentTarget.value) || 0)} />
+          <s-text-field label="Currency" placeholder="USD" value={currency} onInput={(e) => setCurrency(e.currentTarget.value)} />
+        </div>
+        <label style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+          <input type="checkbox" checked={loggedIn} onChange={(e) => setLoggedIn(e.target.checked)} />
+          Logged-in customer
+        </label>
+        {loggedIn && (
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 2fr", gap: "12px" }}>
+            <s-number-field label="Previous orders" value={String(orders)} onInput={(e) => setOrders(Math.max(0, Number(e.currentTarget.value) || 0))} />
+            <s-text-field label="Customer tags" placeholder="vip, wholesale" value={tags} onInput={(e) => setTags(e.currentTarget.value)} />
+          </div>
+        )}
+
+        <div style={{ height: "1px", background: "var(--s-border-subdued, #e1e3e5)", margin: "4px 0" }} />
+
+        {result.plan.evaluations.map((ev) => (
+          <s-box key={ev.ruleId} padding="base" background="subdued" borderRadius="base">
+            <s-stack direction="block" gap="base">
+              <s-stack direction="inline" gap="base">
+                <s-text type="strong">{ev.ruleId}</s-text>
+                <s-badge tone={ev.matched ? "success" : "neutral"}>{ev.matched ? "matches" : "no match"}</s-badge>
+              </s-stack>
+              {ev.reason && <s-text color="subdued">Skipped: {ev.reason}</s-text>}
+              {ev.conditions.length === 0 && !ev.reason && <s-text color="subdued">No conditions: applies to every cart.</s-text>}
+              <ConditionResultList results={ev.conditions} />
+            </s-stack>
+          </s-box>
+        ))}
+
+        {result.plan.groups.map((g) => (
+          <s-text key={g.group}>Group {g.group} ({GROUP_STRATEGY_LABELS[g.strategy]}): {g.winner} wins.</s-text>
+        ))}
+        {result.plan.choices.map((c) => (
+          <s-text key={c.key}>{c.ruleId} asks the shopper to choose one of {c.variantIds.length} gifts.</s-text>
+        ))}
+
+        <s-text type="strong">Cart changes</s-text>
+        {settings.giftMode === "cart_transform" && (
+          <s-text color="subdued">Gift mode is Cart Transform: the function adds these gifts as expanded lines instead of the script.</s-text>
+        )}
+        {result.operations.length === 0 && <s-text color="subdued">No changes.</s-text>}
+        {result.operations.map((op, i) => (
+          <s-text key={i}>
+            {op.type === "add" && `Add ${op.quantity} × ${op.variantId} (${op.ruleId})`}
+            {op.type === "update" && `Set ${lineLabel(op.lineId)} to ${op.quantity} (${op.ruleId})`}
+            {op.type === "remove" && `Remove ${lineLabel(op.lineId)}`}
+          </s-text>
+        ))}
+      </s-stack>
+    </s-box>
+  );
+}
+
+function ConditionResultList({ results }: { results: ConditionResult[] }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+      {results.map((r, i) => (
+        <div key={i}>
+          <span style={{ color: r.passed ? "#1a7f37" : "#d72c0d", fontWeight: 600 }}>{r.passed ? "✓" : "✗"}</span>{" "}
+          <span>{r.type.split("_").join(" ")}</span>{" "}
+          <span style={{ color: "#6d7175" }}>{r.reason}</span>
+          {r.children && (
+            <div style={{ marginLeft: "20px", marginTop: "4px" }}>
+              <ConditionResultList results={r.children} />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const SCHEDULE_TONES = { live: "success", scheduled: "warning", expired: "neutral" } as const;
+
+function RuleCard({ rule, priority, clock, errors, onDragStart, onDragEnd, onUpdate, onRemove }: {
+  rule: Rule;
+  priority: number;
+  clock: ShopClock;
+  errors: RuleFieldError[];
+  onDragStart: () => void;
+  onDragEnd: () => void;
+  onUpdate: (r: Rule) => void;
+  onRemove: () => void;
+}) {
+  const schedule = scheduleStatus(rule, clock);
+
+  // Saving always writes `actions`, which migrates rules still using the single `action`
+  const actions = ruleActions(rule);
+  const updateActions = (next: RuleAction[]) => {
+    onUpdate({ ...rule, actions: next, action: undefined });
   };
 
   return (
@@ -421,14 +1336,31 @@ function RuleCard({ rule, onUpdate, onRemove }: { rule: Rule; onUpdate: (r: Rule
       <s-stack direction="block" gap="base" padding="base">
         <s-stack direction="inline" gap="base" align="space-between" blockAlign="center">
           <s-stack direction="inline" gap="base" blockAlign="center">
+            <span
+              draggable
+              title="Drag to change priority"
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = "move";
+                e.dataTransfer.setData("text/plain", rule.id);
+                onDragStart();
+              }}
+              onDragEnd={onDragEnd}
+              style={{ cursor: "grab", color: "#8c9196", userSelect: "none", fontSize: "18px" }}
+            >
+              ⠿
+            </span>
+            <s-badge tone="neutral">#{priority}</s-badge>
             <s-heading>{rule.id || "Untitled Rule"}</s-heading>
             {rule.group && <s-badge tone="info">{rule.group}</s-badge>}
+            <span title={schedule.reason}>
+              <s-badge tone={SCHEDULE_TONES[schedule.status]}>{schedule.status}</s-badge>
+            </span>
           </s-stack>
           <s-stack direction="inline" gap="base" blockAlign="center">
-            <s-toggle
+            <s-switch
               label="Active"
               checked={rule.active}
-              onChange={(e: any) => onUpdate({ ...rule, active: e.target.checked })}
+              onChange={(e) => onUpdate({ ...rule, active: e.currentTarget.checked })}
             />
             <s-button tone="critical" variant="tertiary" onClick={onRemove}>
               Delete
@@ -436,146 +1368,689 @@ function RuleCard({ rule, onUpdate, onRemove }: { rule: Rule; onUpdate: (r: Rule
           </s-stack>
         </s-stack>
 
+        {errors.length > 0 && (
+          <s-banner tone="critical">
+            <ul style={{ margin: 0, paddingLeft: "18px" }}>
+              {errors.map((e, i) => (
+                <li key={i}><code>{e.field}</code>: {e.message}</li>
+              ))}
+            </ul>
+          </s-banner>
+        )}
+
         <div style={{ height: "1px", background: "var(--s-border-subdued, #e1e3e5)", margin: "4px 0" }} />
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
           <s-text-field
             label="Rule ID"
             value={rule.id}
-            onInput={(e: any) => onUpdate({ ...rule, id: e.target.value })}
+            onInput={(e) => onUpdate({ ...rule, id: e.currentTarget.value })}
             autocomplete="off"
           />
           <s-text-field
             label="Group (Exclusivity)"
             placeholder="e.g. tier-rewards"
             value={rule.group || ""}
-            onInput={(e: any) => onUpdate({ ...rule, group: e.target.value })}
+            onInput={(e) => onUpdate({ ...rule, group: e.currentTarget.value })}
             autocomplete="off"
           />
         </div>
 
+        <s-text-field
+          label="Progress message (optional)"
+          placeholder="e.g. Spend {amount} more for a free tote"
+          details="Shown by the Gift progress theme block while this gift is the nearest one. Use {amount}, {quantity}, {product} and {gift}; leave empty for the theme's default text."
+          value={rule.progressMessage || ""}
+          onInput={(e) => onUpdate({ ...rule, progressMessage: e.currentTarget.value || undefined })}
+          autocomplete="off"
+        />
+
+        <ScheduleEditor rule={rule} onUpdate={onUpdate} />
+
         <s-box padding="base" background="subdued" borderRadius="base">
           <s-stack direction="block" gap="base">
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" }}>
               <s-text type="strong">Conditions</s-text>
               <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
-                <select
-                  value={selectedCondType}
-                  onChange={(e: any) => setSelectedCondType(e.target.value)}
-                  style={{
-                    padding: "8px 12px",
-                    borderRadius: "8px",
-                    border: "1px solid #c9cccf",
-                    backgroundColor: "white",
-                    fontSize: "14px",
-                    cursor: "pointer",
-                    minWidth: "180px",
-                    height: "36px"
-                  }}
-                >
-                  <option value="">+ Add condition...</option>
-                  <option value="cart_quantity_at_least">Items Count ≥</option>
-                  <option value="cart_quantity_in_range">Items Count Range</option>
-                  <option value="cart_total_at_least">Cart Total ≥</option>
-                  <option value="includes_any_variants">Includes Variants</option>
-                  <option value="includes_any_products">Includes Products</option>
-                  <option value="includes_any_collections">Includes Collections</option>
-                  <option value="product_quantity_in_range">Specific Product Range</option>
-                </select>
-                <s-button onClick={addCondition} disabled={!selectedCondType} variant="secondary">
-                  Add
+                <AddConditionSelect onAdd={(c) => onUpdate({ ...rule, conditions: [...rule.conditions, c] })} />
+                <s-button variant="secondary" onClick={() => onUpdate({ ...rule, conditions: [...rule.conditions, { type: "any", conditions: [] }] })}>
+                  Add Group
                 </s-button>
               </div>
             </div>
 
-            {rule.conditions.length === 0 && <s-text color="subdued">This rule applies to all carts.</s-text>}
-
-            {rule.conditions.map((c, cIdx) => (
-              <s-box key={cIdx} padding="base" background="subdued" borderRadius="base" borderWidth="base">
-                <s-stack direction="inline" gap="base">
-                  <div style={{ flex: 1 }}>
-                    <s-badge tone="neutral">{c.type.split('_').join(' ').toUpperCase()}</s-badge>
-                    <div style={{ marginTop: '8px' }}>
-                      {c.type === "cart_quantity_at_least" && <s-number-field label="Min items" value={String(c.threshold)} onInput={(e: any) => updateCondition(cIdx, { ...c, threshold: Number(e.target.value) })} />}
-                      {c.type === "cart_quantity_in_range" && <s-stack direction="inline" gap="base">
-                        <s-number-field label="Min" value={String(c.min)} onInput={(e: any) => updateCondition(cIdx, { ...c, min: Number(e.target.value) })} />
-                        <s-number-field label="Max" value={String(c.max ?? "")} onInput={(e: any) => updateCondition(cIdx, { ...c, max: e.target.value === "" ? undefined : Number(e.target.value) })} />
-                      </s-stack>}
-                      {c.type === "cart_total_at_least" && <s-stack direction="inline" gap="base">
-                        <s-number-field label="Amount" value={String(c.amount)} onInput={(e: any) => updateCondition(cIdx, { ...c, amount: Number(e.target.value) })} />
-                        <s-text-field label="Currency" value={c.currencyCode || ""} onInput={(e: any) => updateCondition(cIdx, { ...c, currencyCode: e.target.value })} placeholder="USD" />
-                      </s-stack>}
-                      {["includes_any_variants", "includes_any_products", "includes_any_collections"].includes(c.type) && (
-                        <s-stack direction="block" gap="base">
-                          <s-text-field
-                            placeholder="GID1, GID2..."
-                            value={((c as any).variantIds || (c as any).productIds || (c as any).collectionIds || []).join(',')}
-                            onInput={(e: any) => {
-                              const val = e.target.value.split(',').map((s: string) => s.trim()).filter(Boolean);
-                              if (c.type === "includes_any_variants") updateCondition(cIdx, { ...c, variantIds: val });
-                              else if (c.type === "includes_any_products") updateCondition(cIdx, { ...c, productIds: val });
-                              else if (c.type === "includes_any_collections") updateCondition(cIdx, { ...c, collectionIds: val });
-                            }}
-                          />
-                          {c.type === "includes_any_variants" && <VariantPicker onPick={(vid) => { const s = new Set(c.variantIds); s.add(vid); updateCondition(cIdx, { ...c, variantIds: Array.from(s) }); }} />}
-                          {c.type === "includes_any_products" && <ProductPicker onPick={(pid) => { const s = new Set(c.productIds); s.add(pid); updateCondition(cIdx, { ...c, productIds: Array.from(s) }); }} />}
-                          {c.type === "includes_any_collections" && <CollectionPicker onPick={(cid) => { const s = new Set(c.collectionIds); s.add(cid); updateCondition(cIdx, { ...c, collectionIds: Array.from(s) }); }} />}
-                        </s-stack>
-                      )}
-                      {c.type === "product_quantity_in_range" && (
-                        <s-stack direction="block" gap="base">
-                          <s-text-field label="Product ID" value={c.productId} onInput={(e: any) => updateCondition(cIdx, { ...c, productId: e.target.value })} />
-                          <ProductPicker onPick={(pid) => updateCondition(cIdx, { ...c, productId: pid })} />
-                          <s-stack direction="inline" gap="base">
-                            <s-number-field label="Min" value={String(c.min)} onInput={(e: any) => updateCondition(cIdx, { ...c, min: Number(e.target.value) })} />
-                            <s-number-field label="Max" value={String(c.max ?? "")} onInput={(e: any) => updateCondition(cIdx, { ...c, max: e.target.value === "" ? undefined : Number(e.target.value) })} />
-                          </s-stack>
-                        </s-stack>
-                      )}
-                    </div>
-                  </div>
-                  <s-button tone="critical" variant="tertiary" onClick={() => removeCondition(cIdx)}>×</s-button>
-                </s-stack>
-              </s-box>
-            ))}
+            {rule.conditions.length === 0
+              ? <s-text color="subdued">This rule applies to all carts.</s-text>
+              : <s-text color="subdued">All of these must match. Drag a condition onto a group to nest it, or back here to un-nest it.</s-text>}
+
+            <ConditionTree nodes={rule.conditions} onChange={(conditions) => onUpdate({ ...rule, conditions })} />
           </s-stack>
         </s-box>
 
         <s-stack direction="block" gap="base">
-          <s-text type="strong">Action: Add to Cart</s-text>
-          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: "16px", alignItems: "end" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" }}>
+            <s-text type="strong">Actions</s-text>
+            <div style={{ display: "flex", gap: "8px" }}>
+              <s-button variant="secondary" onClick={() => updateActions([...actions, { addVariantId: "", quantity: 1 }])}>
+                Add Product
+              </s-button>
+              <s-button variant="secondary" onClick={() => updateActions([...actions, { type: "gift_choice", variantIds: [], quantity: 1 }])}>
+                Add Gift Choice
+              </s-button>
+            </div>
+          </div>
+          {actions.length === 0 && <s-text color="subdued">Add at least one action.</s-text>}
+          {actions.map((a, aIdx) => (
+            <ActionEditor
+              key={aIdx}
+              action={a}
+              onUpdate={(next) => updateActions(actions.map((x, i) => (i === aIdx ? next : x)))}
+              onRemove={() => updateActions(actions.filter((_, i) => i !== aIdx))}
+            />
+          ))}
+        </s-stack>
+      </s-stack>
+    </s-card>
+  );
+}
+
+type NodePath = number[];
+
+const GROUP_LABELS = { all: "All of", any: "Any of", not: "None of" } as const;
+
+function samePath(a: NodePath | null, b: NodePath): boolean {
+  return Boolean(a) && a!.length === b.length && a!.every((v, i) => v === b[i]);
+}
+
+// Applies `fn` to the member list of the group at `groupPath` ([] is the rule itself).
+function editGroup(nodes: ConditionNode[], groupPath: NodePath, fn: (list: ConditionNode[]) => ConditionNode[]): ConditionNode[] {
+  if (groupPath.length === 0) return fn(nodes);
+  const [head, ...rest] = groupPath;
+  return nodes.map((n, i) => (i === head && isConditionGroup(n) ? { ...n, conditions: editGroup(n.conditions, rest, fn) } : n));
+}
+
+function nodeAt(nodes: ConditionNode[], path: NodePath): ConditionNode | undefined {
+  let list = nodes;
+  for (const i of path.slice(0, -1)) {
+    const n = list[i];
+    if (!isConditionGroup(n)) return undefined;
+    list = n.conditions;
+  }
+  return list[path[path.length - 1]];
+}
+
+// Moves the node at `from` to the end of the group at `toGroup`.
+function moveNode(nodes: ConditionNode[], from: NodePath, toGroup: NodePath): ConditionNode[] {
+  const node = nodeAt(nodes, from);
+  const parent = from.slice(0, -1);
+  const idx = from[from.length - 1];
+  // Not into itself or one of its own members, and not where it already is
+  if (!node || from.every((v, i) => toGroup[i] === v) || samePath(parent, toGroup)) return nodes;
+
+  // Removing the node shifts later siblings, including the target's ancestor
+  const target = [...toGroup];
+  const d = parent.length;
+  if (target.length > d && parent.every((v, i) => target[i] === v) && target[d] > idx) target[d] -= 1;
+
+  const removed = editGroup(nodes, parent, (list) => list.filter((_, i) => i !== idx));
+  return editGroup(removed, target, (list) => [...list, node]);
+}
+
+function newCondition(type: Condition["type"]): Condition {
+  switch (type) {
+    case "cart_quantity_at_least": return { type, threshold: 1 };
+    case "cart_total_at_least": return { type, amount: 10 };
+    case "subtotal_in_range": return { type, min: 50, excludeGifts: true };
+    case "cart_quantity_in_range": return { type, min: 1, max: 10 };
+    case "includes_any_variants": return { type, variantIds: [] };
+    case "includes_any_products": return { type, productIds: [] };
+    case "includes_any_collections": return { type, collectionIds: [] };
+    case "product_quantity_in_range": return { type, productId: "", min: 1 };
+    case "customer_is_logged_in": return { type };
+    case "first_order_only": return { type };
+    case "customer_order_count_in_range": return { type, min: 1 };
+    case "customer_has_tag": return { type, tags: [] };
+    case "includes_product_with_tag": return { type, tags: [] };
+    case "includes_vendor": return { type, vendors: [] };
+    case "includes_product_type": return { type, productTypes: [] };
+    case "includes_variant_with_metafield": return { type, namespace: "custom", key: "" };
+  }
+}
+
+function AddConditionSelect({ onAdd }: { onAdd: (c: Condition) => void }) {
+  const [selectedCondType, setSelectedCondType] = React.useState<Condition["type"] | "">("");
+
+  return (
+    <>
+      <select
+        value={selectedCondType}
+        onChange={(e: React.ChangeEvent<HTMLSelectElement>) => setSelectedCondType(e.target.value as Condition["type"])}
+        style={{
+          padding: "8px 12px",
+          borderRadius: "8px",
+          border: "1px solid #c9cccf",
+          backgroundColor: "white",
+          fontSize: "14px",
+          cursor: "pointer",
+          minWidth: "180px",
+          height: "36px"
+        }}
+      >
+        <option value="">+ Add condition...</option>
+        <option value="cart_quantity_at_least">Items Count ≥</option>
+        <option value="cart_quantity_in_range">Items Count Range</option>
+        <option value="cart_total_at_least">Cart Total ≥</option>
+        <option value="subtotal_in_range">Subtotal Range</option>
+        <option value="includes_any_variants">Includes Variants</option>
+        <option value="includes_any_products">Includes Products</option>
+        <option value="includes_any_collections">Includes Collections</option>
+        <option value="product_quantity_in_range">Specific Product Range</option>
+        <option value="customer_is_logged_in">Customer Logged In</option>
+        <option value="first_order_only">First Order Only</option>
+        <option value="customer_order_count_in_range">Customer Orders Range</option>
+        <option value="customer_has_tag">Customer Has Tag</option>
+        <option value="includes_product_with_tag">Includes Product Tag</option>
+        <option value="includes_vendor">Includes Vendor</option>
+        <option value="includes_product_type">Includes Product Type</option>
+        <option value="includes_variant_with_metafield">Includes Variant Metafield</option>
+      </select>
+      <s-button
+        onClick={() => {
+          if (!selectedCondType) return;
+          onAdd(newCondition(selectedCondType));
+          setSelectedCondType("");
+        }}
+        disabled={!selectedCondType}
+        variant="secondary"
+      >
+        Add
+      </s-button>
+    </>
+  );
+}
+
+type TreeOps = {
+  edit: (groupPath: NodePath, fn: (list: ConditionNode[]) => ConditionNode[]) => void;
+  dragging: NodePath | null;
+  setDragging: (path: NodePath | null) => void;
+  drop: (groupPath: NodePath) => void;
+};
+
+// Drag handlers for a group box (or the rule's top level) that accepts nodes.
+function dropTarget(ops: TreeOps, groupPath: NodePath) {
+  return {
+    onDragOver: (e: React.DragEvent) => {
+      if (!ops.dragging) return;
+      e.preventDefault();
+      e.stopPropagation();
+    },
+    onDrop: (e: React.DragEvent) => {
+      if (!ops.dragging) return;
+      e.preventDefault();
+      e.stopPropagation();
+      ops.drop(groupPath);
+    },
+  };
+}
+
+function ConditionTree({ nodes, onChange }: { nodes: ConditionNode[]; onChange: (nodes: ConditionNode[]) => void }) {
+  const [dragging, setDragging] = React.useState<NodePath | null>(null);
+  const ops: TreeOps = {
+    edit: (groupPath, fn) => onChange(editGroup(nodes, groupPath, fn)),
+    dragging,
+    setDragging,
+    drop: (groupPath) => {
+      if (dragging) onChange(moveNode(nodes, dragging, groupPath));
+      setDragging(null);
+    },
+  };
+
+  return (
+    <div {...dropTarget(ops, [])} style={{ minHeight: dragging ? "40px" : undefined }}>
+      <ConditionList nodes={nodes} path={[]} ops={ops} />
+    </div>
+  );
+}
+
+function ConditionList({ nodes, path, ops }: { nodes: ConditionNode[]; path: NodePath; ops: TreeOps }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+      {nodes.map((node, i) => {
+        const nodePath = [...path, i];
+        const onUpdate = (next: ConditionNode) => ops.edit(path, (list) => list.map((n, j) => (j === i ? next : n)));
+        const onRemove = () => ops.edit(path, (list) => list.filter((_, j) => j !== i));
+        return (
+          <div key={i} style={{ display: "flex", gap: "4px", alignItems: "flex-start", opacity: samePath(ops.dragging, nodePath) ? 0.5 : 1 }}>
+            <span
+              draggable
+              title="Drag onto a group to nest"
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = "move";
+                e.dataTransfer.setData("text/plain", nodePath.join("."));
+                ops.setDragging(nodePath);
+              }}
+              onDragEnd={() => ops.setDragging(null)}
+              style={{ cursor: "grab", padding: "12px 4px", color: "#8c9196", userSelect: "none" }}
+            >
+              ⠿
+            </span>
+            <div style={{ flex: 1 }}>
+              {isConditionGroup(node)
+                ? <ConditionGroupEditor group={node} path={nodePath} ops={ops} onUpdate={onUpdate} onRemove={onRemove} />
+                : <ConditionEditor cond={node} onUpdate={onUpdate} onRemove={onRemove} />}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function ConditionGroupEditor({ group, path, ops, onUpdate, onRemove }: { group: ConditionGroup; path: NodePath; ops: TreeOps; onUpdate: (g: ConditionGroup) => void; onRemove: () => void }) {
+  return (
+    <div {...dropTarget(ops, path)} style={{ border: "1px dashed #c9cccf", borderRadius: "8px", padding: "12px", background: "white" }}>
+      <s-stack direction="block" gap="base">
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+          <select
+            value={group.type}
+            onChange={(e: React.ChangeEvent<HTMLSelectElement>) => onUpdate({ ...group, type: e.target.value as ConditionGroup["type"] })}
+            style={{ padding: "8px 12px", borderRadius: "8px", border: "1px solid #c9cccf", backgroundColor: "white", fontSize: "14px", height: "36px" }}
+          >
+            {Object.entries(GROUP_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <AddConditionSelect onAdd={(c) => onUpdate({ ...group, conditions: [...group.conditions, c] })} />
+            {path.length < MAX_CONDITION_DEPTH && (
+              <s-button variant="tertiary" onClick={() => onUpdate({ ...group, conditions: [...group.conditions, { type: "all", conditions: [] }] })}>
+                + Group
+              </s-button>
+            )}
+            <s-button tone="critical" variant="tertiary" onClick={onRemove}>×</s-button>
+          </div>
+        </div>
+        {group.conditions.length === 0 && <s-text color="subdued">Drop conditions here or add one.</s-text>}
+        <ConditionList nodes={group.conditions} path={path} ops={ops} />
+      </s-stack>
+    </div>
+  );
+}
+
+// The ids an includes_any_* condition lists
+function listedIds(c: Condition): string[] {
+  if (c.type === "includes_any_variants") return c.variantIds || [];
+  if (c.type === "includes_any_products") return c.productIds || [];
+  if (c.type === "includes_any_collections") return c.collectionIds || [];
+  return [];
+}
+
+function ConditionEditor({ cond: c, onUpdate, onRemove }: { cond: Condition; onUpdate: (c: Condition) => void; onRemove: () => void }) {
+  return (
+      <s-box padding="base" background="subdued" borderRadius="base" borderWidth="base">
+        <s-stack direction="inline" gap="base">
+          <div style={{ flex: 1 }}>
+            <s-badge tone="neutral">{c.type.split('_').join(' ').toUpperCase()}</s-badge>
+            <div style={{ marginTop: '8px' }}>
+              {c.type === "cart_quantity_at_least" && <s-number-field label="Min items" value={String(c.threshold)} onInput={(e) => onUpdate({ ...c, threshold: Number(e.currentTarget.value) })} />}
+              {c.type === "cart_quantity_in_range" && <s-stack direction="inline" gap="base">
+                <s-number-field label="Min" value={String(c.min)} onInput={(e) => onUpdate({ ...c, min: Number(e.currentTarget.value) })} />
+                <s-number-field label="Max" value={String(c.max ?? "")} onInput={(e) => onUpdate({ ...c, max: e.currentTarget.value === "" ? undefined : Number(e.currentTarget.value) })} />
+              </s-stack>}
+              {c.type === "cart_total_at_least" && <s-stack direction="inline" gap="base">
+                <s-number-field label="Amount" value={String(c.amount)} onInput={(e) => onUpdate({ ...c, amount: Number(e.currentTarget.value) })} />
+                <s-text-field label="Currency" value={c.currencyCode || ""} onInput={(e) => onUpdate({ ...c, currencyCode: e.currentTarget.value })} placeholder="USD" />
+              </s-stack>}
+              {c.type === "subtotal_in_range" && (
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="base">
+                    <s-number-field label="Min" value={String(c.min)} onInput={(e) => onUpdate({ ...c, min: Number(e.currentTarget.value) })} />
+                    <s-number-field label="Max" value={String(c.max ?? "")} onInput={(e) => onUpdate({ ...c, max: e.currentTarget.value === "" ? undefined : Number(e.currentTarget.value) })} />
+                    <s-text-field label="Currency" value={c.currencyCode || ""} onInput={(e) => onUpdate({ ...c, currencyCode: e.currentTarget.value || undefined })} placeholder="USD" />
+                  </s-stack>
+                  <s-text color="subdued">Counts lines matching any of the products, collections or tags below; leave them all empty to count the whole cart.</s-text>
+                  <s-text-field
+                    label="Products"
+                    placeholder="GID1, GID2..."
+                    value={(c.productIds || []).join(',')}
+                    onInput={(e) => onUpdate({ ...c, productIds: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                  />
+                  <ProductPicker byReference onPick={(pid) => onUpdate({ ...c, productIds: Array.from(new Set([...(c.productIds || []), pid])) })} />
+                  <s-text-field
+                    label="Collections"
+                    placeholder="GID1, GID2..."
+                    value={(c.collectionIds || []).join(',')}
+                    onInput={(e) => onUpdate({ ...c, collectionIds: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                  />
+                  <CollectionPicker onPick={(cid) => onUpdate({ ...c, collectionIds: Array.from(new Set([...(c.collectionIds || []), cid])) })} />
+                  <s-text-field
+                    label="Product tags"
+                    placeholder="winter, bundle"
+                    value={(c.tags || []).join(',')}
+                    onInput={(e) => onUpdate({ ...c, tags: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                  />
+                  <s-checkbox label="Leave out auto-added gifts" checked={!!c.excludeGifts} onChange={(e) => onUpdate({ ...c, excludeGifts: e.currentTarget.checked || undefined })} />
+                  <s-checkbox label="Use prices before discounts" checked={!!c.beforeDiscounts} onChange={(e) => onUpdate({ ...c, beforeDiscounts: e.currentTarget.checked || undefined })} />
+                </s-stack>
+              )}
+              {["includes_any_variants", "includes_any_products", "includes_any_collections"].includes(c.type) && (
+                <s-stack direction="block" gap="base">
+                  <s-text-field
+                    placeholder="GID1, GID2..."
+                    value={listedIds(c).join(',')}
+                    onInput={(e) => {
+                      const val = e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean);
+                      if (c.type === "includes_any_variants") onUpdate({ ...c, variantIds: val });
+                      else if (c.type === "includes_any_products") onUpdate({ ...c, productIds: val });
+                      else if (c.type === "includes_any_collections") onUpdate({ ...c, collectionIds: val });
+                    }}
+                  />
+                  {c.type === "includes_any_variants" && <VariantPicker byReference onPick={(vid) => { const s = new Set(c.variantIds); s.add(vid); onUpdate({ ...c, variantIds: Array.from(s) }); }} />}
+                  {c.type === "includes_any_products" && <ProductPicker byReference onPick={(pid) => { const s = new Set(c.productIds); s.add(pid); onUpdate({ ...c, productIds: Array.from(s) }); }} />}
+                  {c.type === "includes_any_collections" && <CollectionPicker onPick={(cid) => { const s = new Set(c.collectionIds); s.add(cid); onUpdate({ ...c, collectionIds: Array.from(s) }); }} />}
+                </s-stack>
+              )}
+              {c.type === "product_quantity_in_range" && (
+                <s-stack direction="block" gap="base">
+                  <s-text-field label="Product ID" value={c.productId} onInput={(e) => onUpdate({ ...c, productId: e.currentTarget.value })} />
+                  <ProductPicker byReference onPick={(pid) => onUpdate({ ...c, productId: pid })} />
+                  <s-stack direction="inline" gap="base">
+                    <s-number-field label="Min" value={String(c.min)} onInput={(e) => onUpdate({ ...c, min: Number(e.currentTarget.value) })} />
+                    <s-number-field label="Max" value={String(c.max ?? "")} onInput={(e) => onUpdate({ ...c, max: e.currentTarget.value === "" ? undefined : Number(e.currentTarget.value) })} />
+                  </s-stack>
+                </s-stack>
+              )}
+              {c.type === "customer_is_logged_in" && <s-text color="subdued">Only logged-in customers qualify.</s-text>}
+              {c.type === "first_order_only" && <s-text color="subdued">Only logged-in customers without previous orders qualify.</s-text>}
+              {c.type === "customer_order_count_in_range" && <s-stack direction="inline" gap="base">
+                <s-number-field label="Min orders" value={String(c.min)} onInput={(e) => onUpdate({ ...c, min: Number(e.currentTarget.value) })} />
+                <s-number-field label="Max orders" value={String(c.max ?? "")} onInput={(e) => onUpdate({ ...c, max: e.currentTarget.value === "" ? undefined : Number(e.currentTarget.value) })} />
+              </s-stack>}
+              {c.type === "customer_has_tag" && (
+                <s-text-field
+                  label="Customer tags"
+                  placeholder="vip, wholesale"
+                  value={c.tags.join(',')}
+                  onInput={(e) => onUpdate({ ...c, tags: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                />
+              )}
+              {c.type === "includes_product_with_tag" && (
+                <s-text-field
+                  label="Product tags"
+                  placeholder="winter, bundle"
+                  value={c.tags.join(',')}
+                  onInput={(e) => onUpdate({ ...c, tags: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                />
+              )}
+              {c.type === "includes_vendor" && (
+                <s-text-field
+                  label="Vendors"
+                  placeholder="Burton, Salomon"
+                  value={c.vendors.join(',')}
+                  onInput={(e) => onUpdate({ ...c, vendors: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                />
+              )}
+              {c.type === "includes_product_type" && (
+                <s-text-field
+                  label="Product types"
+                  placeholder="Snowboard, Helmet"
+                  value={c.productTypes.join(',')}
+                  onInput={(e) => onUpdate({ ...c, productTypes: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+                />
+              )}
+              {c.type === "includes_variant_with_metafield" && (
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="base">
+                    <s-text-field label="Namespace" value={c.namespace} onInput={(e) => onUpdate({ ...c, namespace: e.currentTarget.value.trim() })} />
+                    <s-text-field label="Key" value={c.key} onInput={(e) => onUpdate({ ...c, key: e.currentTarget.value.trim() })} />
+                    <s-text-field label="Value (optional)" value={c.value ?? ""} onInput={(e) => onUpdate({ ...c, value: e.currentTarget.value === "" ? undefined : e.currentTarget.value })} />
+                  </s-stack>
+                  <s-text color="subdued">Without a value, any variant with the metafield set matches. List metafields match when they contain the value. Rules can check up to {MAX_VARIANT_METAFIELDS} different metafields.</s-text>
+                </s-stack>
+              )}
+            </div>
+          </div>
+          <s-button tone="critical" variant="tertiary" onClick={onRemove}>×</s-button>
+        </s-stack>
+      </s-box>
+  );
+}
+
+function ActionEditor({ action, onUpdate, onRemove }: { action: RuleAction; onUpdate: (a: RuleAction) => void; onRemove: () => void }) {
+  const updateDiscount = (type: string) => {
+    let discount: GiftDiscount | undefined;
+    switch (type) {
+      case "free": discount = { type }; break;
+      case "percentage": discount = { type, value: 100 }; break;
+      case "fixed_amount": discount = { type, amount: 1 }; break;
+      default: discount = undefined;
+    }
+    onUpdate({ ...action, discount });
+  };
+
+  const updateScaling = (patch: Partial<QuantityScaling>) => {
+    onUpdate({ ...action, scaling: { per: 1, ...action.scaling, ...patch } });
+  };
+
+  return (
+    <s-box padding="base" borderRadius="base" borderWidth="base">
+      <s-stack direction="block" gap="base">
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <s-badge tone="neutral">{action.type === "gift_choice" ? "GIFT CHOICE" : "ADD TO CART"}</s-badge>
+          <s-button tone="critical" variant="tertiary" onClick={onRemove}>×</s-button>
+        </div>
+        {action.type === "gift_choice" ? (
+          <s-stack direction="block" gap="base">
+            <s-text-field
+              label="Variants to choose from"
+              placeholder="GID1, GID2..."
+              value={action.variantIds.join(',')}
+              onInput={(e) => onUpdate({ ...action, variantIds: e.currentTarget.value.split(',').map((s: string) => s.trim()).filter(Boolean) })}
+              autocomplete="off"
+            />
+            <VariantPicker byReference onPick={(vid) => onUpdate({ ...action, variantIds: Array.from(new Set([...action.variantIds, vid])) })} />
+            <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: "16px", alignItems: "end" }}>
+              <s-text-field
+                label="Picker heading (optional)"
+                placeholder="Choose your free gift"
+                value={action.prompt || ""}
+                onInput={(e) => onUpdate({ ...action, prompt: e.currentTarget.value || undefined })}
+                autocomplete="off"
+              />
+              <s-number-field
+                label={action.scaling ? "Quantity per step" : "Quantity"}
+                value={String(action.quantity || 1)}
+                onInput={(e) => onUpdate({ ...action, quantity: Number(e.currentTarget.value) })}
+                min={1}
+              />
+            </div>
+          </s-stack>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: "16px", alignItems: "end" }}>
+              <s-text-field
+                label="Variant ID"
+                value={action.addVariantId}
+                onInput={(e) => onUpdate({ ...action, addVariantId: e.currentTarget.value })}
+                autocomplete="off"
+              />
+              <s-number-field
+                label={action.scaling ? "Quantity per step" : "Quantity"}
+                value={String(action.quantity || 1)}
+                onInput={(e) => onUpdate({ ...action, quantity: Number(e.currentTarget.value) })}
+                min={1}
+              />
+            </div>
+            <VariantPicker
+              value={action.addVariantId}
+              byReference
+              onPick={(vid, label) => onUpdate({ ...action, addVariantId: vid, titleOverride: label })}
+            />
+          </s-stack>
+        )}
+        <s-checkbox
+          label="Scale with the cart (buy X get Y per X)"
+          checked={Boolean(action.scaling)}
+          onChange={(e) => onUpdate({ ...action, scaling: e.currentTarget.checked ? { per: 1 } : undefined })}
+        />
+        {action.scaling && (
+          <s-stack direction="block" gap="base">
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+              <s-number-field
+                label="Per units"
+                value={String(action.scaling.per)}
+                onInput={(e) => updateScaling({ per: Number(e.currentTarget.value) })}
+                min={1}
+              />
+              <s-number-field
+                label="Max gifts"
+                value={String(action.scaling.max ?? "")}
+                onInput={(e) => updateScaling({ max: e.currentTarget.value === "" ? undefined : Number(e.currentTarget.value) })}
+                min={0}
+              />
+            </div>
             <s-text-field
-              label="Variant ID"
-              value={rule.action.addVariantId}
-              onInput={(e: any) => onUpdate({ ...rule, action: { ...rule.action, addVariantId: e.target.value } })}
+              label="Count units of product (optional)"
+              placeholder="Whole cart"
+              value={action.scaling.productId || ""}
+              onInput={(e) => updateScaling({ productId: e.currentTarget.value || undefined })}
               autocomplete="off"
             />
+            <ProductPicker byReference onPick={(pid) => updateScaling({ productId: pid })} />
+            <s-text color="subdued">
+              Adds {action.quantity || 1} gift(s) for every {action.scaling.per || 1} unit(s){action.scaling.max != null ? `, up to ${action.scaling.max}` : ""}.
+            </s-text>
+          </s-stack>
+        )}
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px", alignItems: "end" }}>
+          <label style={{ display: "flex", flexDirection: "column", gap: "4px", fontSize: "13px" }}>
+            Gift price
+            <select
+              value={action.discount?.type || ""}
+              onChange={(e: React.ChangeEvent<HTMLSelectElement>) => updateDiscount(e.target.value)}
+              style={{
+                padding: "8px 12px",
+                borderRadius: "8px",
+                border: "1px solid #c9cccf",
+                backgroundColor: "white",
+                fontSize: "14px",
+                cursor: "pointer",
+                height: "36px"
+              }}
+            >
+              <option value="">Full price</option>
+              <option value="free">Free</option>
+              <option value="percentage">Percent off</option>
+              <option value="fixed_amount">Amount off each</option>
+            </select>
+          </label>
+          {action.discount?.type === "percentage" && (
             <s-number-field
-              label="Quantity"
-              value={String(rule.action.quantity || 1)}
-              onInput={(e: any) => onUpdate({ ...rule, action: { ...rule.action, quantity: Number(e.target.value) } })}
-              min={1}
+              label="Percent off"
+              value={String(action.discount.value)}
+              onInput={(e) => onUpdate({ ...action, discount: { type: "percentage", value: Number(e.currentTarget.value) } })}
+              min={0}
+              max={100}
             />
-          </div>
-          <div style={{ marginTop: "4px" }}>
-            <VariantPicker
-              value={rule.action.addVariantId}
-              onPick={(vid, label) =>
-                onUpdate({ ...rule, action: { ...rule.action, addVariantId: vid, titleOverride: label } })
-              }
+          )}
+          {action.discount?.type === "fixed_amount" && (
+            <s-number-field
+              label="Amount off each"
+              value={String(action.discount.amount)}
+              onInput={(e) => onUpdate({ ...action, discount: { type: "fixed_amount", amount: Number(e.currentTarget.value) } })}
+              min={0}
             />
-          </div>
-        </s-stack>
+          )}
+        </div>
       </s-stack>
-    </s-card>
+    </s-box>
+  );
+}
+
+function ScheduleEditor({ rule, onUpdate }: { rule: Rule; onUpdate: (r: Rule) => void }) {
+  const recurring = rule.recurring || {};
+  const updateRecurring = (patch: Partial<RecurringWindow>) => {
+    const next = { ...recurring, ...patch };
+    const empty = !(next.days && next.days.length) && !next.startTime && !next.endTime;
+    onUpdate({ ...rule, recurring: empty ? undefined : next });
+  };
+  const toggleDay = (day: number, on: boolean) => {
+    const days = new Set(recurring.days || []);
+    if (on) days.add(day); else days.delete(day);
+    updateRecurring({ days: Array.from(days).sort() });
+  };
+
+  return (
+    <s-stack direction="block" gap="base">
+      <s-text type="strong">Schedule</s-text>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+        <s-text-field
+          label="Starts at"
+          placeholder="2026-11-27T00:00"
+          value={rule.startsAt || ""}
+          onInput={(e) => onUpdate({ ...rule, startsAt: e.currentTarget.value || undefined })}
+          autocomplete="off"
+        />
+        <s-text-field
+          label="Ends at"
+          placeholder="2026-12-01T00:00"
+          value={rule.endsAt || ""}
+          onInput={(e) => onUpdate({ ...rule, endsAt: e.currentTarget.value || undefined })}
+          autocomplete="off"
+        />
+      </div>
+      <s-stack direction="inline" gap="base">
+        {WEEKDAYS.map((label, day) => (
+          <s-checkbox
+            key={label}
+            label={label}
+            checked={(recurring.days || []).includes(day)}
+            onChange={(e) => toggleDay(day, e.currentTarget.checked)}
+          />
+        ))}
+      </s-stack>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+        <s-text-field
+          label="Daily from"
+          placeholder="17:00"
+          value={recurring.startTime || ""}
+          onInput={(e) => updateRecurring({ startTime: e.currentTarget.value || undefined })}
+          autocomplete="off"
+        />
+        <s-text-field
+          label="Daily until"
+          placeholder="19:00"
+          value={recurring.endTime || ""}
+          onInput={(e) => updateRecurring({ endTime: e.currentTarget.value || undefined })}
+          autocomplete="off"
+        />
+      </div>
+      {!rule.startsAt && !rule.endsAt && !rule.recurring && <s-text color="subdued">No schedule: the rule runs whenever it is active.</s-text>}
+    </s-stack>
   );
 }
 
-function VariantPicker({ value, onPick }: { value?: string; onPick: (id: string, label: string) => void }) {
+// As returned by /api/product-search and /api/collection-search
+type SearchVariant = { id: string; title: string; sku: string | null };
+type SearchProduct = { id: string; title: string; handle: string | null; variants: SearchVariant[] };
+type SearchCollection = { id: string; title: string };
+
+// With `byReference` the picker can hand back `sku:` / `handle:` references
+// instead of GIDs, so the rule keeps working in a copied store.
+function VariantPicker({ value, byReference, onPick }: {
+  value?: string;
+  byReference?: boolean;
+  onPick: (id: string, label: string, productId: string) => void;
+}) {
   const [term, setTerm] = React.useState("");
   const [loading, setLoading] = React.useState(false);
-  const [results, setResults] = React.useState<any[]>([]);
+  const [results, setResults] = React.useState<SearchProduct[]>([]);
   const [open, setOpen] = React.useState(false);
+  const [useReference, setUseReference] = React.useState(false);
+
+  const pickedId = (p: SearchProduct, v: SearchVariant): string => {
+    if (!useReference) return v.id;
+    if (p.variants.length === 1 && p.handle) return `handle:${p.handle}`;
+    return v.sku ? `sku:${v.sku}` : v.id;
+  };
 
   const search = async () => {
     setLoading(true);
@@ -600,18 +2075,25 @@ function VariantPicker({ value, onPick }: { value?: string; onPick: (id: string,
     <s-box padding="base" background="subdued" borderRadius="base">
       <s-stack direction="block" gap="base">
         <s-stack direction="inline" gap="base">
-          <div style={{ flex: 1 }}><s-text-field placeholder="Search Snowboard..." value={term} onInput={(e: any) => setTerm(e.target.value)} /></div>
+          <div style={{ flex: 1 }}><s-text-field placeholder="Search Snowboard..." value={term} onInput={(e) => setTerm(e.currentTarget.value)} /></div>
           <s-button onClick={search} loading={loading}>Search</s-button>
           <s-button variant="tertiary" onClick={() => setOpen(false)}>Close</s-button>
         </s-stack>
+        {byReference && (
+          <s-checkbox
+            label="Reference by SKU or handle (survives copying the rules to another store)"
+            checked={useReference}
+            onChange={(e) => setUseReference(e.currentTarget.checked)}
+          />
+        )}
         <s-stack direction="block" gap="base">
           {results.map(p => (
             <div key={p.id}>
               <s-text type="strong">{p.title}</s-text>
               <s-stack direction="inline" gap="base" style={{ marginTop: '4px' }}>
-                {p.variants.map((v: any) => (
-                  <s-button key={v.id} variant={value === v.id ? "secondary" : "tertiary"} onClick={() => { onPick(v.id, `${p.title} - ${v.title}`); setOpen(false); }}>
-                    {v.title}
+                {p.variants.map((v) => (
+                  <s-button key={v.id} variant={value === v.id || value === pickedId(p, v) ? "secondary" : "tertiary"} onClick={() => { onPick(pickedId(p, v), `${p.title} - ${v.title}`, p.id); setOpen(false); }}>
+                    {v.title}{v.sku ? ` (${v.sku})` : ""}
                   </s-button>
                 ))}
               </s-stack>
@@ -623,9 +2105,10 @@ function VariantPicker({ value, onPick }: { value?: string; onPick: (id: string,
   );
 }
 
-function ProductPicker({ onPick }: { onPick: (id: string) => void }) {
+function ProductPicker({ byReference, onPick }: { byReference?: boolean; onPick: (id: string) => void }) {
   const [term, setTerm] = React.useState("");
-  const [results, setResults] = React.useState<any[]>([]);
+  const [results, setResults] = React.useState<SearchProduct[]>([]);
+  const [useReference, setUseReference] = React.useState(false);
   const search = async () => {
     const res = await fetch(`/api/product-search?q=${encodeURIComponent(term)}`);
     const json = await res.json();
@@ -634,17 +2117,24 @@ function ProductPicker({ onPick }: { onPick: (id: string) => void }) {
   return (
     <s-stack direction="block" gap="base">
       <s-stack direction="inline" gap="base" >
-        <div style={{ flex: 1 }}><s-text-field value={term} onInput={(e: any) => setTerm(e.target.value)} /></div>
+        <div style={{ flex: 1 }}><s-text-field value={term} onInput={(e) => setTerm(e.currentTarget.value)} /></div>
         <s-button onClick={search}>Search</s-button>
       </s-stack>
-      <s-stack direction="inline" gap="base">{results.map(p => <s-button key={p.id} variant="tertiary" onClick={() => onPick(p.id)}>{p.title}</s-button>)}</s-stack>
+      {byReference && (
+        <s-checkbox label="Reference by handle" checked={useReference} onChange={(e) => setUseReference(e.currentTarget.checked)} />
+      )}
+      <s-stack direction="inline" gap="base">
+        {results.map(p => (
+          <s-button key={p.id} variant="tertiary" onClick={() => onPick(useReference && p.handle ? `handle:${p.handle}` : p.id)}>{p.title}</s-button>
+        ))}
+      </s-stack>
     </s-stack>
   );
 }
 
 function CollectionPicker({ onPick }: { onPick: (id: string) => void }) {
   const [term, setTerm] = React.useState("");
-  const [results, setResults] = React.useState<any[]>([]);
+  const [results, setResults] = React.useState<SearchCollection[]>([]);
   const search = async () => {
     const res = await fetch(`/api/collection-search?q=${encodeURIComponent(term)}`);
     const json = await res.json();
@@ -653,7 +2143,7 @@ function CollectionPicker({ onPick }: { onPick: (id: string) => void }) {
   return (
     <s-stack direction="block" gap="base">
       <s-stack direction="inline" gap="base" >
-        <div style={{ flex: 1 }}><s-text-field value={term} onInput={(e: any) => setTerm(e.target.value)} /></div>
+        <div style={{ flex: 1 }}><s-text-field value={term} onInput={(e) => setTerm(e.currentTarget.value)} /></div>
         <s-button onClick={search}>Search</s-button>
       </s-stack>
       <s-stack direction="inline" gap="base">{results.map(c => <s-button key={c.id} variant="tertiary" onClick={() => onPick(c.id)}>{c.title}</s-button>)}</s-stack>
@@ -21,6 +21,7 @@ export default function App() {
       <s-app-nav>
         <s-link href="/app">Dashboard</s-link>
         <s-link href="/app/rules">Rules</s-link>
+        <s-link href="/app/history">History</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,13 @@
+import type { ActionFunctionArgs } from "react-router";
+import { authenticate } from "../shopify.server";
+import { finishBulkOperation } from "../collection-index-jobs.server";
+
+export const action = async ({ request }: ActionFunctionArgs) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (admin && payload?.admin_graphql_api_id) {
+    await finishBulkOperation(admin, String(payload.admin_graphql_api_id));
+  }
+  return new Response();
+};
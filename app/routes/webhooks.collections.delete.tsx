@@ -0,0 +1,14 @@
+import type { ActionFunctionArgs } from "react-router";
+import { authenticate } from "../shopify.server";
+import { removeCollection } from "../collection-index.server";
+
+export const action = async ({ request }: ActionFunctionArgs) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // No admin context once the app is uninstalled
+  if (admin && payload?.id) {
+    await removeCollection(admin, shop, payload.id);
+  }
+  return new Response();
+};
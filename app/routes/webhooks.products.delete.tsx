@@ -0,0 +1,15 @@
+import type { ActionFunctionArgs } from "react-router";
+import { authenticate } from "../shopify.server";
+import { syncProduct } from "../collection-index.server";
+import { toProductGid } from "../../shared/rules";
+
+export const action = async ({ request }: ActionFunctionArgs) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const productId = toProductGid(payload?.id);
+  if (admin && productId) {
+    await syncProduct(admin, shop, productId, true);
+  }
+  return new Response();
+};
@@ -0,0 +1,89 @@
+import { describe, expect, test } from "vitest";
+import { rulesFromCsv, rulesToCsv } from "./rule-csv";
+import type { Rule } from "../shared/rules";
+
+function roundTrip(rules: Rule[]) {
+  return rulesFromCsv(rulesToCsv(rules));
+}
+
+describe("rule CSV", () => {
+  test("round-trips rule fields, schedules and add_variant actions", () => {
+    const rules: Rule[] = [
+      {
+        id: "summer-tote",
+        active: false,
+        priority: 2,
+        group: "summer",
+        startsAt: "2026-06-01T09:00",
+        endsAt: "2026-08-31T18:00",
+        recurring: { days: [1, 2, 3], startTime: "09:00", endTime: "17:30" },
+        conditions: [{ type: "cart_total_at_least", amount: 50, currencyCode: "USD" }],
+        actions: [{ addVariantId: "gid://shopify/ProductVariant/999", quantity: 2, scaling: { per: 3, max: 4, productId: "gid://shopify/Product/1" } }],
+      },
+    ];
+    expect(roundTrip(rules)).toEqual({ rules, errors: [] });
+  });
+
+  test("keeps quoted commas, quotes and newlines", () => {
+    const rules: Rule[] = [
+      {
+        id: "vip, \"gold\"",
+        active: true,
+        group: "line one\nline two, with a comma",
+        progressMessage: "Spend {amount}, get \"{gift}\"",
+        conditions: [{ type: "customer_has_tag", tags: ["vip", "gold member"] }],
+        actions: [{ addVariantId: "handle:free-tote", quantity: 1 }],
+      },
+    ];
+    const csv = rulesToCsv(rules);
+    expect(csv).toContain("\"vip, \"\"gold\"\"\"");
+    expect(rulesFromCsv(csv)).toEqual({ rules, errors: [] });
+  });
+
+  test("nests condition groups by path", () => {
+    const rules: Rule[] = [
+      {
+        id: "grouped",
+        active: true,
+        conditions: [
+          { type: "cart_quantity_at_least", threshold: 3 },
+          {
+            type: "any",
+            conditions: [
+              { type: "includes_any_products", productIds: ["gid://shopify/Product/1", "handle:hat"] },
+              { type: "not", conditions: [{ type: "includes_any_collections", collectionIds: ["gid://shopify/Collection/7"] }] },
+            ],
+          },
+          { type: "product_quantity_in_range", productId: "gid://shopify/Product/2", min: 1, max: 5 },
+        ],
+        actions: [{ addVariantId: "gid://shopify/ProductVariant/1", quantity: 1 }],
+      },
+    ];
+    const csv = rulesToCsv(rules);
+    expect(csv).toMatch(/^grouped,condition,2\.2\.1,includes_any_collections,/m);
+    expect(rulesFromCsv(csv)).toEqual({ rules, errors: [] });
+  });
+
+  test("round-trips gift_choice and discount actions, with their extra fields", () => {
+    const rules: Rule[] = [
+      {
+        id: "choice",
+        active: true,
+        conditions: [{ type: "subtotal_in_range", min: 100, collectionIds: ["gid://shopify/Collection/3"], excludeGifts: true }],
+        actions: [
+          { type: "gift_choice", variantIds: ["gid://shopify/ProductVariant/1", "sku:MUG-1"], quantity: 1, prompt: "Pick one, please" },
+          { addVariantId: "gid://shopify/ProductVariant/5", quantity: 1, discount: { type: "percentage", value: 50 } },
+          { addVariantId: "gid://shopify/ProductVariant/6", quantity: 1, titleOverride: "Mug, on us", discount: { type: "fixed_amount", amount: 5, message: "$5 off" } },
+          { addVariantId: "gid://shopify/ProductVariant/7", quantity: 1, discount: { type: "free", message: "Free, \"really\"" } },
+        ],
+      },
+    ];
+    expect(roundTrip(rules)).toEqual({ rules, errors: [] });
+  });
+
+  test("reports rows it can't place", () => {
+    const csv = "rule_id,row,path,type\nr1,condition,2.1,cart_quantity_at_least\n";
+    const { errors } = rulesFromCsv(csv);
+    expect(errors.map((e) => e.message)).toEqual(["No group row at 2 above this condition", "Missing the rule row"]);
+  });
+});
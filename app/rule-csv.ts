@@ -0,0 +1,330 @@
+import { isConditionGroup, ruleActions, type ConditionGroup, type ConditionNode, type Rule, type RuleAction, type RuleFieldError } from "../shared/rules";
+
+// Flat CSV for editing rules in a spreadsheet. Every row names its rule; `row`
+// says what the row describes:
+// - rule: the rule's own fields (one per rule)
+// - action: one action; `path` is its position, 1, 2, ...
+// - condition: one condition or group; `path` is its position, with nested
+//   conditions under their group as 2.1, 2.2, ...
+// Lists use `|` between items. Fields without a column go to `extra` as JSON.
+export const RULE_CSV_COLUMNS = [
+  "rule_id",
+  "row",
+  "path",
+  "type",
+  "active",
+  "priority",
+  "group",
+  "starts_at",
+  "ends_at",
+  "days",
+  "start_time",
+  "end_time",
+  "quantity",
+  "threshold",
+  "min",
+  "max",
+  "amount",
+  "currency",
+  "product",
+  "refs",
+  "tags",
+  "scaling_per",
+  "scaling_max",
+  "scaling_product",
+  "discount_type",
+  "discount_value",
+  "extra",
+] as const;
+
+type Column = (typeof RULE_CSV_COLUMNS)[number];
+type Row = Partial<Record<Column, string>>;
+type Fields = Record<string, unknown>;
+
+const REF_KEYS: Record<string, string> = {
+  includes_any_variants: "variantIds",
+  includes_any_products: "productIds",
+  includes_any_collections: "collectionIds",
+};
+
+function cell(value: unknown): string {
+  if (value === undefined || value === null) return "";
+  const s = Array.isArray(value) ? value.join("|") : String(value);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function rest(fields: Fields, used: string[]): string | undefined {
+  const left = Object.fromEntries(Object.entries(fields).filter(([k, v]) => !used.includes(k) && v !== undefined));
+  return Object.keys(left).length ? JSON.stringify(left) : undefined;
+}
+
+function conditionRows(ruleId: string, nodes: ConditionNode[], prefix: string, rows: Row[]) {
+  nodes.forEach((node, i) => {
+    const path = `${prefix}${i + 1}`;
+    if (isConditionGroup(node)) {
+      rows.push({ rule_id: ruleId, row: "condition", path, type: node.type });
+      conditionRows(ruleId, node.conditions || [], `${path}.`, rows);
+      return;
+    }
+    const c = node as Fields;
+    const refKey = REF_KEYS[String(c.type)];
+    rows.push({
+      rule_id: ruleId,
+      row: "condition",
+      path,
+      type: cell(c.type),
+      threshold: cell(c.threshold),
+      min: cell(c.min),
+      max: cell(c.max),
+      amount: cell(c.amount),
+      currency: cell(c.currencyCode),
+      product: cell(c.productId),
+      refs: refKey ? cell(c[refKey]) : undefined,
+      tags: cell(c.tags),
+      extra: cell(rest(c, ["type", "threshold", "min", "max", "amount", "currencyCode", "productId", "tags", refKey])),
+    });
+  });
+}
+
+function actionRow(ruleId: string, a: RuleAction, i: number): Row {
+  const d = a.discount as Fields | undefined;
+  const extra = rest(a as Fields, ["type", "quantity", "addVariantId", "variantIds", "scaling", "discount"]);
+  const discountExtra = d && rest(d, ["type", "value", "amount"]);
+  const merged = extra || discountExtra
+    ? JSON.stringify({ ...(extra ? JSON.parse(extra) : {}), ...(discountExtra ? { discount: JSON.parse(discountExtra) } : {}) })
+    : undefined;
+  return {
+    rule_id: ruleId,
+    row: "action",
+    path: String(i + 1),
+    type: a.type || "add_variant",
+    quantity: cell(a.quantity),
+    refs: cell(a.type === "gift_choice" ? a.variantIds : a.addVariantId),
+    scaling_per: cell(a.scaling?.per),
+    scaling_max: cell(a.scaling?.max),
+    scaling_product: cell(a.scaling?.productId),
+    discount_type: cell(d?.type),
+    discount_value: cell(d ? (d.type === "percentage" ? d.value : d.amount) : undefined),
+    extra: cell(merged),
+  };
+}
+
+export function rulesToCsv(rules: Rule[]): string {
+  const rows: Row[] = [];
+  for (const rule of rules) {
+    rows.push({
+      rule_id: cell(rule.id),
+      row: "rule",
+      active: cell(rule.active),
+      priority: cell(rule.priority),
+      group: cell(rule.group),
+      starts_at: cell(rule.startsAt),
+      ends_at: cell(rule.endsAt),
+      days: cell(rule.recurring?.days),
+      start_time: cell(rule.recurring?.startTime),
+      end_time: cell(rule.recurring?.endTime),
+      extra: cell(rest(rule as Fields, ["id", "active", "priority", "group", "startsAt", "endsAt", "recurring", "conditions", "actions", "action"])),
+    });
+    ruleActions(rule).forEach((a, i) => rows.push(actionRow(cell(rule.id), a, i)));
+    conditionRows(cell(rule.id), rule.conditions || [], "", rows);
+  }
+  const lines = [RULE_CSV_COLUMNS.join(",")];
+  for (const row of rows) lines.push(RULE_CSV_COLUMNS.map((c) => row[c] ?? "").join(","));
+  return lines.join("\n") + "\n";
+}
+
+// RFC 4180 records: quoted fields may hold commas, quotes ("") and newlines
+function parseRecords(text: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+// Reads CSV written by rulesToCsv (or edited from it). Values are typed here;
+// whether they make sense is left to validateRules.
+export function rulesFromCsv(text: string): { rules: Rule[]; errors: RuleFieldError[] } {
+  const records = parseRecords(text.replace(/^\uFEFF/, ""));
+  const errors: RuleFieldError[] = [];
+  if (records.length === 0) return { rules: [], errors };
+
+  const header = records[0].map((h) => h.trim());
+  const missing = ["rule_id", "row"].filter((c) => !header.includes(c));
+  if (missing.length) {
+    return { rules: [], errors: [{ ruleIndex: -1, ruleId: null, field: "header", message: `Missing column(s): ${missing.join(", ")}` }] };
+  }
+
+  const rules: Rule[] = [];
+  const byId = new Map<string, { rule: Rule; index: number; hasRuleRow: boolean; groups: Map<string, ConditionNode[]> }>();
+
+  records.slice(1).forEach((record, r) => {
+    const line = r + 2;
+    const row: Row = {};
+    header.forEach((h, i) => {
+      if ((RULE_CSV_COLUMNS as readonly string[]).includes(h) && record[i] !== undefined) row[h as Column] = record[i].trim();
+    });
+    const ruleId = row.rule_id || "";
+    if (!ruleId) {
+      errors.push({ ruleIndex: -1, ruleId: null, field: `line ${line}`, message: "rule_id is required" });
+      return;
+    }
+
+    let entry = byId.get(ruleId);
+    if (!entry) {
+      const rule: Rule = { id: ruleId, active: true, conditions: [], actions: [] };
+      entry = { rule, index: rules.length, hasRuleRow: false, groups: new Map([["", rule.conditions]]) };
+      byId.set(ruleId, entry);
+      rules.push(rule);
+    }
+    const { rule, index } = entry;
+    const report = (column: string, message: string) => errors.push({ ruleIndex: index, ruleId, field: `line ${line} › ${column}`, message });
+
+    const num = (column: Column): number | undefined => {
+      const raw = row[column];
+      if (!raw) return undefined;
+      const n = Number(raw);
+      if (!Number.isFinite(n)) {
+        report(column, `Not a number: ${raw}`);
+        return undefined;
+      }
+      return n;
+    };
+    const list = (column: Column): string[] | undefined => {
+      const raw = row[column];
+      return raw ? raw.split("|").map((s) => s.trim()).filter(Boolean) : undefined;
+    };
+    const text = (column: Column): string | undefined => row[column] || undefined;
+    const extra = (): Fields => {
+      if (!row.extra) return {};
+      try {
+        const parsed = JSON.parse(row.extra);
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+      } catch {
+        // reported below
+      }
+      report("extra", "Must be a JSON object");
+      return {};
+    };
+    const prune = <T extends Fields>(o: T): T =>
+      Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined)) as T;
+
+    switch (row.row) {
+      case "rule": {
+        if (entry.hasRuleRow) report("row", "Only one rule row per rule");
+        entry.hasRuleRow = true;
+        const active = (row.active || "true").toLowerCase();
+        if (active !== "true" && active !== "false") report("active", "Must be true or false");
+        const days = list("days")?.map(Number);
+        const recurring = prune({ days, startTime: text("start_time"), endTime: text("end_time") });
+        Object.assign(rule, prune({
+          ...extra(),
+          active: active !== "false",
+          priority: num("priority"),
+          group: text("group"),
+          startsAt: text("starts_at"),
+          endsAt: text("ends_at"),
+          recurring: Object.keys(recurring).length ? recurring : undefined,
+        }));
+        break;
+      }
+      case "action": {
+        const { discount: discountExtra, ...fields } = extra() as Fields & { discount?: Fields };
+        const type = row.type || "add_variant";
+        const scaling = prune({ per: num("scaling_per"), max: num("scaling_max"), productId: text("scaling_product") });
+        const discountType = text("discount_type");
+        const discountValue = num("discount_value");
+        const discount = discountType
+          ? prune({
+            ...(discountExtra || {}),
+            type: discountType,
+            value: discountType === "percentage" ? discountValue : undefined,
+            amount: discountType === "fixed_amount" ? discountValue : undefined,
+          })
+          : undefined;
+        const refs = list("refs") || [];
+        rule.actions!.push(prune({
+          ...fields,
+          type: type === "add_variant" ? undefined : type,
+          quantity: num("quantity"),
+          addVariantId: type === "gift_choice" ? undefined : refs[0] || "",
+          variantIds: type === "gift_choice" ? refs : undefined,
+          scaling: Object.keys(scaling).length ? scaling : undefined,
+          discount,
+        }) as RuleAction);
+        break;
+      }
+      case "condition": {
+        const path = row.path || "";
+        if (!/^\d+(\.\d+)*$/.test(path)) {
+          report("path", "Must look like 1 or 2.1");
+          return;
+        }
+        const parentPath = path.includes(".") ? path.slice(0, path.lastIndexOf(".")) : "";
+        const siblings = entry.groups.get(parentPath);
+        if (!siblings) {
+          report("path", `No group row at ${parentPath} above this condition`);
+          return;
+        }
+        const type = row.type || "";
+        if (type === "all" || type === "any" || type === "not") {
+          const group: ConditionGroup = { type, conditions: [] };
+          entry.groups.set(path, group.conditions);
+          siblings.push(group);
+          return;
+        }
+        const refKey = REF_KEYS[type];
+        siblings.push(prune({
+          ...extra(),
+          type,
+          threshold: num("threshold"),
+          min: num("min"),
+          max: num("max"),
+          amount: num("amount"),
+          currencyCode: text("currency"),
+          productId: text("product"),
+          tags: list("tags"),
+          ...(refKey ? { [refKey]: list("refs") || [] } : {}),
+        }) as ConditionNode);
+        break;
+      }
+      default:
+        report("row", "Must be rule, action or condition");
+    }
+  });
+
+  for (const { rule, index, hasRuleRow } of byId.values()) {
+    if (!hasRuleRow) errors.push({ ruleIndex: index, ruleId: rule.id, field: "row", message: "Missing the rule row" });
+  }
+  return { rules, errors };
+}
@@ -0,0 +1,41 @@
+import type { Rule } from "../shared/rules";
+
+// Shared by the server, which stores a diff with every version, and the history page.
+export type RuleSetDiff = {
+  added: string[]; // rule ids
+  removed: string[];
+  changed: Array<{ id: string; fields: string[] }>; // top-level rule keys that differ
+};
+
+function byId(rules: Rule[]): Map<string, Rule> {
+  return new Map(rules.map((r) => [r.id, r]));
+}
+
+export function diffRuleSets(before: Rule[], after: Rule[]): RuleSetDiff {
+  const prev = byId(before);
+  const next = byId(after);
+  const diff: RuleSetDiff = { added: [], removed: [], changed: [] };
+  for (const [id, rule] of next) {
+    const old = prev.get(id);
+    if (!old) {
+      diff.added.push(id);
+      continue;
+    }
+    const keys = new Set([...Object.keys(old), ...Object.keys(rule)]) as Set<keyof Rule>;
+    const fields = Array.from(keys).filter((k) => JSON.stringify(old[k]) !== JSON.stringify(rule[k]));
+    if (fields.length) diff.changed.push({ id, fields });
+  }
+  for (const id of prev.keys()) {
+    if (!next.has(id)) diff.removed.push(id);
+  }
+  return diff;
+}
+
+export function describeDiff(diff: RuleSetDiff): string {
+  const parts = [
+    diff.added.length && `${diff.added.length} added`,
+    diff.removed.length && `${diff.removed.length} removed`,
+    diff.changed.length && `${diff.changed.length} changed`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : "no changes";
+}
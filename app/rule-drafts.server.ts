@@ -0,0 +1,172 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { saveRuleSet, validateRuleSet } from "./rules.server";
+import { parseRules, parseSettings, type Rule, type RuleFieldError } from "../shared/rules";
+
+export type RuleDraftSummary = {
+  rules: Rule[];
+  author: string | null;
+  updatedAt: string;
+  publishAt: string | null;
+  approvedBy: string | null;
+  approvedAt: string | null;
+};
+
+export async function getRuleDraft(shop: string): Promise<RuleDraftSummary | null> {
+  const row = await prisma.ruleDraft.findUnique({ where: { shop } });
+  if (!row) return null;
+  return {
+    rules: parseRules(row.rules),
+    author: row.author,
+    updatedAt: row.updatedAt.toISOString(),
+    publishAt: row.publishAt ? row.publishAt.toISOString() : null,
+    approvedBy: row.approvedBy,
+    approvedAt: row.approvedAt ? row.approvedAt.toISOString() : null,
+  };
+}
+
+// Any edit withdraws an earlier approval and clears the schedule, so a
+// reviewer always signs off on the rules that will actually go live and
+// unfinished edits never publish themselves on a time set for earlier ones.
+export async function saveRuleDraft({ shop, rules, author }: { shop: string; rules: Rule[]; author: string | null }) {
+  const data = { rules: JSON.stringify(rules), author, approvedBy: null, approvedAt: null, publishAt: null };
+  await prisma.ruleDraft.upsert({ where: { shop }, create: { shop, ...data }, update: { ...data, version: { increment: 1 } } });
+}
+
+export async function discardRuleDraft(shop: string) {
+  await prisma.ruleDraft.deleteMany({ where: { shop } });
+}
+
+export async function approveRuleDraft(shop: string, reviewer: string | null): Promise<string | null> {
+  const draft = await prisma.ruleDraft.findUnique({ where: { shop } });
+  if (!draft) return "There is no draft to approve";
+  if (!reviewer) return "Unknown reviewer";
+  if (draft.author && draft.author === reviewer) return "A draft must be approved by someone other than its last editor";
+  await prisma.ruleDraft.update({ where: { shop }, data: { approvedBy: reviewer, approvedAt: new Date() } });
+  return null;
+}
+
+export async function scheduleRuleDraft(shop: string, publishAt: Date | null) {
+  await prisma.ruleDraft.update({ where: { shop }, data: { publishAt } });
+}
+
+// Whether the shop's settings hold drafts back until another staff member
+// approved them.
+async function requiresReview(admin: AdminApiContext): Promise<boolean> {
+  const res = await admin.graphql(`#graphql
+    query RuleDraftSettings {
+      shop {
+        settings: metafield(namespace: "auto_add2cart", key: "settings") { value }
+      }
+    }
+  `);
+  const json = await res.json();
+  return parseSettings(json?.data?.shop?.settings?.value).requireReview;
+}
+
+// A publish that died holding its claim stops blocking others after this long.
+const PUBLISH_CLAIM_MS = 5 * 60_000;
+
+// Publishes the draft as a new version and removes it. The draft is checked
+// again first, since gift variants may have been deleted since it was saved.
+// It is claimed for the publish so two requests racing on a scheduled draft
+// publish it once, and deleted only once it is live: a failed save leaves it
+// to retry, and an edit made meanwhile stays as the next draft.
+export async function publishRuleDraft(admin: AdminApiContext, { shop, author }: { shop: string; author: string | null }): Promise<{
+  version: number | null;
+  errors: Array<{ message: string }>;
+  ruleErrors: RuleFieldError[];
+}> {
+  const draft = await prisma.ruleDraft.findUnique({ where: { shop } });
+  if (!draft) return { version: null, errors: [{ message: "There is no draft to publish" }], ruleErrors: [] };
+  if (!draft.approvedBy && await requiresReview(admin)) {
+    return { version: null, errors: [{ message: "The draft needs approval from another staff member before it can be published" }], ruleErrors: [] };
+  }
+
+  const ruleErrors = await validateRuleSet(admin, parseRules(draft.rules));
+  if (ruleErrors.length) return { version: null, errors: [{ message: "Fix the rule errors before publishing" }], ruleErrors };
+
+  const now = new Date();
+  const claimed = await prisma.ruleDraft.updateMany({
+    where: {
+      shop,
+      version: draft.version,
+      OR: [{ publishingSince: null }, { publishingSince: { lt: new Date(now.getTime() - PUBLISH_CLAIM_MS) } }],
+    },
+    data: { publishingSince: now },
+  });
+  if (claimed.count === 0) return { version: null, errors: [{ message: "The draft changed or is being published, try again" }], ruleErrors: [] };
+
+  try {
+    const { version, errors } = await saveRuleSet(admin, {
+      shop,
+      rules: parseRules(draft.rules),
+      author,
+      source: "draft",
+      note: draft.approvedBy ? `Approved by ${draft.approvedBy}` : undefined,
+    });
+    if (errors.length === 0) {
+      await prisma.ruleDraft.deleteMany({ where: { shop, version: draft.version } });
+    }
+    return { version, errors, ruleErrors: [] };
+  } finally {
+    // Still there if saving failed or the draft was edited meanwhile
+    await prisma.ruleDraft.updateMany({ where: { shop }, data: { publishingSince: null } });
+  }
+}
+
+// Publishes a scheduled draft once its time has passed. Run for every shop by
+// publishDueDrafts and on loading the admin rules page. A draft that still needs approval waits, and goes live on the
+// first run after it was approved.
+export async function publishDueDraft(admin: AdminApiContext, shop: string) {
+  const due = await prisma.ruleDraft.findFirst({ where: { shop, publishAt: { lte: new Date() } } });
+  if (!due) return;
+  if (!due.approvedBy && await requiresReview(admin)) return;
+  const { errors, ruleErrors } = await publishRuleDraft(admin, { shop, author: due.author });
+  if (ruleErrors.length) {
+    // Unschedule so every run doesn't retry a draft that can't go live
+    console.error("Scheduled draft failed validation", shop, ruleErrors);
+    await scheduleRuleDraft(shop, null);
+  } else if (errors.length) {
+    console.error("Failed to publish scheduled draft", shop, errors);
+  }
+}
+
+// Publishes every shop's scheduled draft whose time has passed. A shop that
+// fails is logged and left for the next run.
+export async function publishDueDrafts(): Promise<{ shops: number; failed: number }> {
+  const rows = await prisma.ruleDraft.findMany({ where: { publishAt: { lte: new Date() } }, select: { shop: true } });
+  let failed = 0;
+  for (const { shop } of rows as Array<{ shop: string }>) {
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      await publishDueDraft(admin, shop);
+    } catch (e) {
+      failed++;
+      console.error("Failed to publish due draft", shop, e);
+    }
+  }
+  return { shops: rows.length, failed };
+}
+
+const DUE_DRAFTS_INTERVAL_MS = 5 * 60_000;
+
+declare global {
+  // eslint-disable-next-line no-var
+  var dueDraftsTimer: ReturnType<typeof setInterval> | undefined;
+}
+
+// Runs publishDueDrafts every few minutes inside a long-running server (Fly,
+// Docker, `npm run start`). Vercel functions don't outlive their request, so
+// there the cron in vercel.json calls api.publish-due-drafts instead. Each
+// machine runs its own timer; the publish claim keeps them from publishing a
+// draft twice. Set DISABLE_DUE_DRAFTS_TIMER to rely on an external cron only.
+export function startDueDraftsTimer() {
+  if (process.env.VERCEL || process.env.DISABLE_DUE_DRAFTS_TIMER || global.dueDraftsTimer) return;
+  global.dueDraftsTimer = setInterval(() => {
+    publishDueDrafts().catch((e) => console.error("Failed to publish due drafts", e));
+  }, DUE_DRAFTS_INTERVAL_MS);
+  // Don't keep the process alive for the timer alone
+  global.dueDraftsTimer.unref();
+}
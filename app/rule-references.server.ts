@@ -0,0 +1,238 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import {
+  HANDLE_PREFIX,
+  SKU_PREFIX,
+  isNamedReference,
+  mapReferences,
+  ruleReferences,
+  toProductGid,
+  toVariantGid,
+  type ReferenceKind,
+  type Rule,
+  type RuleFieldError,
+} from "../shared/rules";
+
+const LOOKUP_BATCH = 25;
+const NODES_BATCH = 250;
+
+type Lookup = { kind: ReferenceKind; value: string };
+type Resolved = { id: string } | { error: string };
+type LookupNode = {
+  id?: string;
+  nodes?: Array<{ id: string }>;
+  variants?: { nodes: Array<{ id: string }> };
+} | null | undefined;
+
+// Why a reference is flagged. `unresolved` and `deleted` block publishing; a
+// gift that is archived or still a draft can't be sold, so it is only warned about.
+export type ReferenceProblem = RuleFieldError & {
+  value: string;
+  problem: "unresolved" | "deleted" | "archived" | "draft";
+};
+
+const GID_RESOURCE: Record<ReferenceKind, string> = {
+  variant: "ProductVariant",
+  product: "Product",
+  collection: "Collection",
+};
+
+function toGid(kind: ReferenceKind, value: string): string | null {
+  if (kind === "variant") return toVariantGid(value);
+  if (kind === "product") return toProductGid(value);
+  return value.startsWith("gid://") ? value : `gid://shopify/Collection/${value}`;
+}
+
+function isIdOf(kind: ReferenceKind, value: string): boolean {
+  return /^\d+$/.test(value) || value.startsWith(`gid://shopify/${GID_RESOURCE[kind]}/`);
+}
+
+function lookupField(lookup: Lookup, alias: string, variable: string): string {
+  if (lookup.value.startsWith(SKU_PREFIX)) {
+    return `${alias}: productVariants(first: 2, query: ${variable}) { nodes { id } }`;
+  }
+  if (lookup.kind === "collection") {
+    return `${alias}: collectionByIdentifier(identifier: { handle: ${variable} }) { id }`;
+  }
+  if (lookup.kind === "variant") {
+    return `${alias}: productByIdentifier(identifier: { handle: ${variable} }) { variants(first: 2) { nodes { id } } }`;
+  }
+  return `${alias}: productByIdentifier(identifier: { handle: ${variable} }) { id }`;
+}
+
+function readResult(lookup: Lookup, node: LookupNode): Resolved {
+  const name = lookup.value;
+  if (lookup.value.startsWith(SKU_PREFIX)) {
+    if (lookup.kind !== "variant") return { error: `${name}: SKUs only identify variants` };
+    const nodes = node?.nodes || [];
+    if (nodes.length === 0) return { error: `No variant has ${name}` };
+    if (nodes.length > 1) return { error: `More than one variant has ${name}` };
+    return { id: nodes[0].id };
+  }
+  if (!node) return { error: `No ${lookup.kind === "collection" ? "collection" : "product"} has ${name}` };
+  if (lookup.kind === "variant") {
+    const nodes = node.variants?.nodes || [];
+    if (nodes.length !== 1) return { error: `${name} has several variants; use sku:<sku> instead` };
+    return { id: nodes[0].id };
+  }
+  return node.id ? { id: node.id } : { error: `No product has ${name}` };
+}
+
+async function resolveLookups(admin: AdminApiContext, lookups: Lookup[]): Promise<Map<string, Resolved>> {
+  const results = new Map<string, Resolved>();
+  for (let i = 0; i < lookups.length; i += LOOKUP_BATCH) {
+    const batch = lookups.slice(i, i + LOOKUP_BATCH);
+    const variables: Record<string, string> = {};
+    const fields = batch.map((lookup, j) => {
+      variables[`v${j}`] = lookup.value.startsWith(SKU_PREFIX)
+        ? `sku:${JSON.stringify(lookup.value.slice(SKU_PREFIX.length))}`
+        : lookup.value.slice(HANDLE_PREFIX.length);
+      return lookupField(lookup, `r${j}`, `$v${j}`);
+    });
+    const signature = batch.map((_, j) => `$v${j}: String!`).join(", ");
+    const res = await admin.graphql(`query ResolveRuleReferences(${signature}) {\n${fields.join("\n")}\n}`, { variables });
+    const json = await res.json();
+    batch.forEach((lookup, j) => {
+      results.set(`${lookup.kind}|${lookup.value}`, readResult(lookup, json?.data?.[`r${j}`]));
+    });
+  }
+  return results;
+}
+
+async function resolveNamed(admin: AdminApiContext, rules: Rule[]) {
+  const lookups = new Map<string, Lookup>();
+  for (const ref of ruleReferences(rules)) {
+    if (isNamedReference(ref.value)) lookups.set(`${ref.kind}|${ref.value}`, { kind: ref.kind, value: ref.value });
+  }
+  const results = lookups.size ? await resolveLookups(admin, Array.from(lookups.values())) : new Map<string, Resolved>();
+  const ids: Record<string, string> = {};
+  for (const [key, result] of results) {
+    if ("id" in result) ids[key] = result.id;
+  }
+  return { ids, results };
+}
+
+// GIDs for every handle and SKU reference in `rules`, keyed by "kind|reference".
+// References that can't be resolved are missing from the map.
+export async function lookupNamedReferences(admin: AdminApiContext, rules: Rule[]): Promise<Record<string, string>> {
+  const { ids } = await resolveNamed(admin, rules);
+  return ids;
+}
+
+// Replaces handle and SKU references, and numeric product and variant ids,
+// with GIDs. References that can't be resolved are left as they are and
+// reported. Collection ids stay as written, since the collection index is
+// keyed by them.
+export async function resolveRuleReferences(admin: AdminApiContext, rules: Rule[]): Promise<{ rules: Rule[]; errors: ReferenceProblem[] }> {
+  const { results } = await resolveNamed(admin, rules);
+
+  const errors: ReferenceProblem[] = [];
+  const resolved = mapReferences(rules, (ref) => {
+    if (!isNamedReference(ref.value)) {
+      return ref.kind !== "collection" && /^\d+$/.test(ref.value) ? toGid(ref.kind, ref.value) as string : ref.value;
+    }
+    const result = results.get(`${ref.kind}|${ref.value}`);
+    if (result && "id" in result) return result.id;
+    errors.push({
+      ruleIndex: ref.ruleIndex,
+      ruleId: rules[ref.ruleIndex]?.id ?? null,
+      field: ref.field,
+      value: ref.value,
+      problem: "unresolved",
+      message: result?.error || `Could not resolve ${ref.value}`,
+    });
+    return ref.value;
+  });
+  return { rules: resolved, errors };
+}
+
+type StatusNode = { id: string; status?: string; product?: { status: string } } | null;
+
+// Flags references to items that are gone, archived or not yet active. Handles
+// and SKUs are resolved first, so a renamed handle shows up as unresolved.
+export async function checkRuleReferences(admin: AdminApiContext, rules: Rule[]): Promise<ReferenceProblem[]> {
+  const { rules: resolved, errors: problems } = await resolveRuleReferences(admin, rules);
+  const unresolved = new Set(problems.map((p) => `${p.ruleIndex}|${p.field}`));
+
+  const refs = ruleReferences(resolved).filter((ref) => !unresolved.has(`${ref.ruleIndex}|${ref.field}`) && isIdOf(ref.kind, ref.value));
+  const gids = Array.from(new Set(refs.map((ref) => toGid(ref.kind, ref.value) as string)));
+  const found = new Map<string, StatusNode>();
+  for (let i = 0; i < gids.length; i += NODES_BATCH) {
+    const res = await admin.graphql(
+      `#graphql
+      query CheckRuleReferences($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          id
+          ... on ProductVariant { product { status } }
+          ... on Product { status }
+        }
+      }
+    `,
+      { variables: { ids: gids.slice(i, i + NODES_BATCH) } },
+    );
+    const json = await res.json();
+    for (const node of (json?.data?.nodes || []) as StatusNode[]) {
+      if (node?.id) found.set(node.id, node);
+    }
+  }
+
+  // Report what the merchant wrote, not the GID a handle resolved to
+  const written = new Map(ruleReferences(rules).map((ref) => [`${ref.ruleIndex}|${ref.field}`, ref.value]));
+  for (const ref of refs) {
+    const node = found.get(toGid(ref.kind, ref.value) as string);
+    const original = written.get(`${ref.ruleIndex}|${ref.field}`) ?? ref.value;
+    const base = { ruleIndex: ref.ruleIndex, ruleId: rules[ref.ruleIndex]?.id ?? null, field: ref.field, value: original };
+    if (!node) {
+      problems.push({ ...base, problem: "deleted", message: `${original} no longer exists` });
+      continue;
+    }
+    const status = node.status || node.product?.status;
+    if (status === "ARCHIVED") problems.push({ ...base, problem: "archived", message: `${original} is archived` });
+    else if (status === "DRAFT") problems.push({ ...base, problem: "draft", message: `${original} is a draft product` });
+  }
+  return problems;
+}
+
+type NamingNode = {
+  id: string;
+  handle?: string;
+  sku?: string | null;
+  product?: { handle: string; variantsCount?: { count: number } };
+} | null;
+
+// The reverse of resolving, for exports meant for another store: variants
+// become `sku:` (or `handle:` when the product has one variant), products and
+// collections `handle:`. Ids that can't be named are kept.
+export async function nameRuleReferences(admin: AdminApiContext, rules: Rule[]): Promise<Rule[]> {
+  const refs = ruleReferences(rules).filter((ref) => isIdOf(ref.kind, ref.value));
+  const gids = Array.from(new Set(refs.map((ref) => toGid(ref.kind, ref.value) as string)));
+  const names = new Map<string, string>();
+  for (let i = 0; i < gids.length; i += NODES_BATCH) {
+    const res = await admin.graphql(
+      `#graphql
+      query NameRuleReferences($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          id
+          ... on ProductVariant { sku product { handle variantsCount { count } } }
+          ... on Product { handle }
+          ... on Collection { handle }
+        }
+      }
+    `,
+      { variables: { ids: gids.slice(i, i + NODES_BATCH) } },
+    );
+    const json = await res.json();
+    for (const node of (json?.data?.nodes || []) as NamingNode[]) {
+      if (!node?.id) continue;
+      if (node.product) {
+        if (node.product.variantsCount?.count === 1) names.set(node.id, HANDLE_PREFIX + node.product.handle);
+        else if (node.sku) names.set(node.id, SKU_PREFIX + node.sku);
+      } else if (node.handle) {
+        names.set(node.id, HANDLE_PREFIX + node.handle);
+      }
+    }
+  }
+  return mapReferences(rules, (ref) => {
+    if (!isIdOf(ref.kind, ref.value)) return ref.value;
+    return names.get(toGid(ref.kind, ref.value) as string) ?? ref.value;
+  });
+}
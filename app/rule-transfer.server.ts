@@ -0,0 +1,95 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import { getRuleDraft } from "./rule-drafts.server";
+import { publishedRules, validateRuleSet } from "./rules.server";
+import { diffRuleSets } from "./rule-diff";
+import { rulesFromCsv, rulesToCsv } from "./rule-csv";
+import { RULES_SCHEMA_VERSION, parseRules, type Rule, type RuleFieldError } from "../shared/rules";
+
+export type TransferFormat = "json" | "csv";
+// replace: the import becomes the whole rule set; merge: imported rules are
+// added or overwrite the rule with the same id, the rest are kept
+export type ImportMode = "replace" | "merge";
+
+export type ImportReport = {
+  created: string[];
+  updated: string[];
+  removed: string[];
+  unchanged: string[];
+  errors: RuleFieldError[];
+  rules: Rule[]; // the rule set the import would save
+};
+
+// What the rules page edits: the draft when there is one, else the live rules.
+export async function editableRules(admin: AdminApiContext, shop: string): Promise<{ rules: Rule[]; source: "draft" | "live" }> {
+  const draft = await getRuleDraft(shop);
+  if (draft) return { rules: draft.rules, source: "draft" };
+  return { rules: await publishedRules(admin), source: "live" };
+}
+
+export function exportRules(rules: Rule[], format: TransferFormat, meta: { shop: string; source: "draft" | "live" }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `auto-add-rules-${meta.shop.replace(/\.myshopify\.com$/, "")}-${stamp}.${format}`;
+  if (format === "csv") {
+    return { body: rulesToCsv(rules), contentType: "text/csv; charset=utf-8", filename };
+  }
+  const body = JSON.stringify({ schemaVersion: RULES_SCHEMA_VERSION, exportedAt: new Date().toISOString(), ...meta, rules }, null, 2);
+  return { body, contentType: "application/json; charset=utf-8", filename };
+}
+
+// Accepts an export envelope or a bare rule array, as pasted from the admin block.
+function rulesFromJson(content: string): { rules: Rule[]; errors: RuleFieldError[] } {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { rules: [], errors: [{ ruleIndex: -1, ruleId: null, field: "file", message: "Not valid JSON" }] };
+  }
+  const envelope = Array.isArray(parsed) ? { rules: parsed } : (parsed as { schemaVersion?: unknown; rules?: unknown }) || {};
+  if (typeof envelope.schemaVersion === "number" && envelope.schemaVersion > RULES_SCHEMA_VERSION) {
+    return {
+      rules: [],
+      errors: [{ ruleIndex: -1, ruleId: null, field: "schemaVersion", message: `Exported with schema version ${envelope.schemaVersion}; this app reads up to ${RULES_SCHEMA_VERSION}` }],
+    };
+  }
+  if (!Array.isArray(envelope.rules)) {
+    return { rules: [], errors: [{ ruleIndex: -1, ruleId: null, field: "rules", message: "No rules list found" }] };
+  }
+  return { rules: envelope.rules as Rule[], errors: [] };
+}
+
+// Parses, validates and diffs an import against the editable rules without
+// saving anything.
+export async function planRuleImport(
+  admin: AdminApiContext,
+  shop: string,
+  { format, content, mode }: { format: TransferFormat; content: string; mode: ImportMode },
+): Promise<ImportReport> {
+  const parsed = format === "csv" ? rulesFromCsv(content) : rulesFromJson(content);
+  const { rules: current } = await editableRules(admin, shop);
+  const report: ImportReport = { created: [], updated: [], removed: [], unchanged: [], errors: parsed.errors, rules: [] };
+  if (parsed.errors.length) return report;
+
+  // Handle and SKU references are kept as written and resolved when published
+  const imported = parsed.rules;
+
+  // Only the imported rules are checked; merged-in ones were checked when saved.
+  // Nothing is merged or diffed until every entry is a valid rule.
+  report.errors = await validateRuleSet(admin, imported);
+  if (report.errors.length) return report;
+
+  let next = imported;
+  if (mode === "merge") {
+    const importedIds = new Set(imported.map((r) => r.id));
+    next = [...current.filter((r) => !importedIds.has(r.id)), ...imported];
+  }
+  next = parseRules(next);
+  report.rules = next;
+
+  const diff = diffRuleSets(current, next);
+  const changed = new Set(diff.changed.map((c) => c.id));
+  report.created = diff.added;
+  report.updated = diff.changed.map((c) => c.id);
+  report.removed = diff.removed;
+  report.unchanged = next.map((r) => r.id).filter((id) => !changed.has(id) && !diff.added.includes(id));
+  return report;
+}
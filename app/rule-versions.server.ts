@@ -0,0 +1,90 @@
+import prisma from "./db.server";
+import { diffRuleSets, type RuleSetDiff } from "./rule-diff";
+import { parseRules, type Rule } from "../shared/rules";
+
+// Where a version came from. "import" is the metafield as it was before the
+// shop's first recorded save.
+export type RuleVersionSource = "app" | "admin_block" | "rollback" | "import" | "draft";
+
+type RuleVersionRow = NonNullable<Awaited<ReturnType<typeof prisma.ruleVersion.findFirst>>>;
+
+export type RuleVersionSummary = {
+  id: number;
+  version: number;
+  author: string | null;
+  source: string;
+  note: string | null;
+  createdAt: string;
+  publishedAt: string | null;
+  diff: RuleSetDiff;
+};
+
+function parseDiff(raw: string): RuleSetDiff {
+  try {
+    const parsed = JSON.parse(raw);
+    return { added: parsed.added || [], removed: parsed.removed || [], changed: parsed.changed || [] };
+  } catch {
+    return { added: [], removed: [], changed: [] };
+  }
+}
+
+export async function hasRuleVersions(shop: string): Promise<boolean> {
+  return (await prisma.ruleVersion.count({ where: { shop } })) > 0;
+}
+
+// Two saves at once can both pick the same next number; the loser's insert
+// hits @@unique([shop, version]) and numbers itself again.
+const RECORD_ATTEMPTS = 5;
+
+// Stores `rules` as the shop's next version, diffed against the latest one.
+export async function recordRuleVersion({ shop, rules, author, source, note }: {
+  shop: string;
+  rules: Rule[];
+  author: string | null;
+  source: RuleVersionSource;
+  note?: string;
+}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await prisma.ruleVersion.findFirst({ where: { shop }, orderBy: { version: "desc" } });
+    const previous = latest ? parseRules(latest.rules) : [];
+    try {
+      return await prisma.ruleVersion.create({
+        data: {
+          shop,
+          version: (latest?.version ?? 0) + 1,
+          rules: JSON.stringify(rules),
+          diff: JSON.stringify(diffRuleSets(previous, rules)),
+          author,
+          source,
+          note: note || null,
+        },
+      });
+    } catch (error) {
+      // P2002: another save took this version number
+      if ((error as { code?: string })?.code !== "P2002" || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+}
+
+export async function markRuleVersionPublished(id: number) {
+  await prisma.ruleVersion.update({ where: { id }, data: { publishedAt: new Date() } });
+}
+
+export async function listRuleVersions(shop: string, take = 50): Promise<RuleVersionSummary[]> {
+  const rows = await prisma.ruleVersion.findMany({ where: { shop }, orderBy: { version: "desc" }, take });
+  return rows.map((row: RuleVersionRow) => ({
+    id: row.id,
+    version: row.version,
+    author: row.author,
+    source: row.source,
+    note: row.note,
+    createdAt: row.createdAt.toISOString(),
+    publishedAt: row.publishedAt ? row.publishedAt.toISOString() : null,
+    diff: parseDiff(row.diff),
+  }));
+}
+
+export async function getRuleVersionRules(shop: string, version: number): Promise<Rule[] | null> {
+  const row = await prisma.ruleVersion.findUnique({ where: { shop_version: { shop, version } } });
+  return row ? parseRules(row.rules) : null;
+}
@@ -0,0 +1,121 @@
+import type { AdminApiContext } from "@shopify/shopify-app-react-router/server";
+import { indexNewCollections } from "./collection-index-jobs.server";
+import { syncFunctionInput } from "./function-input.server";
+import { syncGiftPrices } from "./gift-prices.server";
+import { checkRuleReferences, resolveRuleReferences } from "./rule-references.server";
+import {
+  hasRuleVersions,
+  markRuleVersionPublished,
+  recordRuleVersion,
+  type RuleVersionSource,
+} from "./rule-versions.server";
+import {
+  describeRuleError,
+  parseRules,
+  validateRules,
+  type Rule,
+  type RuleFieldError,
+} from "../shared/rules";
+
+type UserError = { field?: string[] | null; message: string };
+
+// Writes `rules` to the `auto_add2cart/rules` metafield the functions and the
+// storefront read, then refreshes the data derived from them, including the
+// collection index for collections the new rules name. Handle and SKU
+// references are resolved here, so the metafield only holds GIDs.
+export async function publishRules(admin: AdminApiContext, shop: string, saved: Rule[]): Promise<UserError[]> {
+  const { rules, errors: unresolved } = await resolveRuleReferences(admin, saved);
+  if (unresolved.length) {
+    return unresolved.map((e) => ({ field: [e.ruleId || String(e.ruleIndex), e.field], message: describeRuleError(e) }));
+  }
+
+  const shopRes = await admin.graphql(`#graphql
+    query PublishRulesOwner { shop { id metafield(namespace: "auto_add2cart", key: "rules") { value } } }
+  `);
+  const shopJson = await shopRes.json();
+  const ownerId: string | undefined = shopJson?.data?.shop?.id;
+  if (!ownerId) return [{ message: "Missing Shop ID" }];
+  const previous = parseRules(shopJson?.data?.shop?.metafield?.value);
+
+  const mfRes = await admin.graphql(
+    `#graphql
+    mutation PublishRules($ownerId: ID!, $value: String!) {
+      metafieldsSet(metafields: [
+        { ownerId: $ownerId, namespace: "auto_add2cart", key: "rules", type: "json", value: $value }
+      ]) {
+        userErrors { field message }
+      }
+    }
+  `,
+    { variables: { ownerId, value: JSON.stringify(rules) } },
+  );
+  const mfData = await mfRes.json();
+  const errors: UserError[] = mfData?.data?.metafieldsSet?.userErrors || [];
+  if (errors.length) return errors;
+
+  try {
+    await syncFunctionInput(admin, rules);
+  } catch (e) {
+    console.error("Failed to sync function input", e);
+  }
+  try {
+    await syncGiftPrices(admin, rules);
+  } catch (e) {
+    console.error("Failed to sync gift prices", e);
+  }
+  try {
+    await indexNewCollections(admin, shop, previous, rules);
+  } catch (e) {
+    console.error("Failed to index new collections", e);
+  }
+  return [];
+}
+
+// Shape checks from the shared schema plus the lookups only the server can do:
+// handles and SKUs must resolve, and referenced items must still exist.
+// Archived and draft items are left to the references check as warnings.
+export async function validateRuleSet(admin: AdminApiContext, rules: unknown): Promise<RuleFieldError[]> {
+  const errors = validateRules(rules);
+  if (!Array.isArray(rules)) return errors;
+
+  for (const problem of await checkRuleReferences(admin, rules as Rule[])) {
+    if (problem.problem !== "unresolved" && problem.problem !== "deleted") continue;
+    // Malformed ids were already reported by the shape checks
+    if (errors.some((e) => e.ruleIndex === problem.ruleIndex && e.field === problem.field)) continue;
+    const { ruleIndex, ruleId, field, message } = problem;
+    errors.push({ ruleIndex, ruleId, field, message });
+  }
+  return errors;
+}
+
+export async function publishedRules(admin: AdminApiContext): Promise<Rule[]> {
+  const res = await admin.graphql(`#graphql
+    query PublishedRules { shop { metafield(namespace: "auto_add2cart", key: "rules") { value } } }
+  `);
+  const json = await res.json();
+  return parseRules(json?.data?.shop?.metafield?.value);
+}
+
+// Records `rules` as a new version and publishes it. The version is kept even
+// when publishing fails, without `publishedAt`, so nothing a merchant saved is lost.
+export async function saveRuleSet(admin: AdminApiContext, { shop, rules, author, source, note }: {
+  shop: string;
+  rules: Rule[];
+  author: string | null;
+  source: RuleVersionSource;
+  note?: string;
+}) {
+  // The first recorded save keeps what was live before it as the baseline
+  if (!(await hasRuleVersions(shop))) {
+    const baseline = await publishedRules(admin);
+    if (baseline.length) {
+      const imported = await recordRuleVersion({ shop, rules: baseline, author: null, source: "import" });
+      await markRuleVersionPublished(imported.id);
+    }
+  }
+
+  const version = await recordRuleVersion({ shop, rules, author, source, note });
+  const errors = await publishRules(admin, shop, rules);
+  if (errors.length === 0) await markRuleVersionPublished(version.id);
+  return { version: version.version, errors };
+}
@@ -2,6 +2,12 @@
 import {render} from 'preact';
 import {useState, useEffect, useRef} from 'preact/hooks';
 
+// Mirrors GROUP_TYPES and MAX_CONDITION_DEPTH in shared/rules/evaluate.ts
+const GROUP_TYPES = ['all', 'any', 'not'];
+const MAX_GROUP_DEPTH = 5;
+// Mirrors RULES_SCHEMA_VERSION in shared/rules/validate.ts
+const RULES_SCHEMA_VERSION = 1;
+
 export default async () => {
   render(<Extension />, document.body);
 }
@@ -20,6 +26,8 @@ function Extension() {
   const [collectionResults, setCollectionResults] = useState([]); // [{id,title}]
   const [indexCollections, setIndexCollections] = useState(''); // comma-separated collection GIDs for index rebuild
   const [validationErrors, setValidationErrors] = useState([]);
+  const [isDraft, setIsDraft] = useState(false); // showing unpublished rules
+  const [serverErrors, setServerErrors] = useState([]); // [{ruleIndex, ruleId, field, message}] from the last save
 
   const s = /** @type {any} */ (shopify);
 
@@ -30,6 +38,8 @@ function Extension() {
       const json = await res.json();
       const next = json.rules || [];
       setRules(next);
+      setIsDraft(!!json.draft);
+      setServerErrors([]);
       setValidationErrors(validateAll(next));
     } catch (e) {
       setError('Failed to load rules');
@@ -43,11 +53,19 @@ function Extension() {
       const el = textRef.current;
       let next = rules;
       try { next = el && el.value ? JSON.parse(el.value) : rules; } catch (err) { /* keep last rules if invalid */ }
-      const res = await (s.fetch ? s.fetch('/api/rules', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules: next }) }) : fetch('/api/rules', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules: next }) }));
+      const body = JSON.stringify({ schemaVersion: RULES_SCHEMA_VERSION, rules: next });
+      const res = await (s.fetch ? s.fetch('/api/rules', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body }) : fetch('/api/rules', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body }));
       const json = await res.json();
-      if (!json.ok) throw new Error('Save failed');
       setRules(next);
       setValidationErrors(validateAll(next));
+      if (!json.ok) {
+        // Keep the edits so the errors can be fixed in place
+        setServerErrors(json.errors || []);
+        setError(json.errors?.length ? 'The server rejected some rules' : 'Failed to save rules');
+        return;
+      }
+      setIsDraft(true);
+      setServerErrors([]);
     } catch (e) {
       setError('Failed to save rules');
     } finally { setLoading(false); }
@@ -112,16 +130,57 @@ function Extension() {
     const errs = [];
     if (!r || typeof r !== 'object') { errs.push('Invalid rule'); return errs; }
     if (!r.id || !String(r.id).trim()) errs.push('Missing rule id');
-    if (!r.action || !r.action.addVariantId || !String(r.action.addVariantId).trim()) errs.push('Missing action.addVariantId');
-    if (Array.isArray(r.conditions)) {
-      r.conditions.forEach((c, i) => {
-        if (!c || !c.type) { errs.push(`Condition #${i+1}: missing type`); return; }
+    if (r.priority != null && (typeof r.priority !== 'number' || !Number.isFinite(r.priority))) errs.push('priority must be a number');
+    const actions = Array.isArray(r.actions) ? r.actions : (r.action ? [r.action] : []);
+    if (actions.length === 0) errs.push('Missing action');
+    actions.forEach((a, i) => {
+      const label = Array.isArray(r.actions) ? `actions[${i}]` : 'action';
+      if (!a || typeof a !== 'object') { errs.push(`${label}: invalid`); return; }
+      if (a.type === 'gift_choice') {
+        if (!Array.isArray(a.variantIds) || a.variantIds.length === 0) errs.push(`${label}: add at least one variant to choose from`);
+      } else if (!a.addVariantId || !String(a.addVariantId).trim()) {
+        errs.push(`Missing ${label}.addVariantId`);
+      }
+      if (a.scaling) {
+        const sc = a.scaling;
+        if (typeof sc.per !== 'number' || sc.per < 1) errs.push(`${label}.scaling: per must be >= 1`);
+        if (sc.max != null && (typeof sc.max !== 'number' || sc.max < 0)) errs.push(`${label}.scaling: max must be >= 0`);
+      }
+      if (a.discount) {
+        const d = a.discount;
+        if (!['free', 'percentage', 'fixed_amount'].includes(d.type)) errs.push(`${label}.discount: type must be free, percentage or fixed_amount`);
+        if (d.type === 'percentage' && (typeof d.value !== 'number' || d.value <= 0 || d.value > 100)) errs.push(`${label}.discount: value must be between 0 and 100`);
+        if (d.type === 'fixed_amount' && (typeof d.amount !== 'number' || d.amount <= 0)) errs.push(`${label}.discount: amount must be > 0`);
+      }
+    });
+    if (r.startsAt && r.endsAt && String(r.endsAt) <= String(r.startsAt)) errs.push('endsAt must be after startsAt');
+    if (r.recurring) {
+      const time = /^\d{1,2}:\d{2}$/;
+      if (r.recurring.startTime && !time.test(r.recurring.startTime)) errs.push('recurring.startTime must be HH:MM');
+      if (r.recurring.endTime && !time.test(r.recurring.endTime)) errs.push('recurring.endTime must be HH:MM');
+      if (r.recurring.days != null && (!Array.isArray(r.recurring.days) || r.recurring.days.some((d) => d < 0 || d > 6))) errs.push('recurring.days must be weekdays 0-6');
+    }
+    // Groups ({ type: 'all' | 'any' | 'not', conditions }) nest; the top level is an implicit 'all'
+    const validateConditions = (list, prefix, depth) => {
+      list.forEach((c, i) => {
+        const label = `Condition #${prefix}${i+1}`;
+        if (!c || !c.type) { errs.push(`${label}: missing type`); return; }
+        if (GROUP_TYPES.includes(c.type)) {
+          if (!Array.isArray(c.conditions) || c.conditions.length === 0) { errs.push(`${label} (${c.type} group): add at least one condition`); return; }
+          if (depth >= MAX_GROUP_DEPTH) { errs.push(`${label}: groups nested deeper than ${MAX_GROUP_DEPTH}`); return; }
+          validateConditions(c.conditions, `${label}.`, depth + 1);
+          return;
+        }
         if (c.type === 'cart_quantity_at_least' && (typeof c.threshold !== 'number' || c.threshold < 0)) errs.push('cart_quantity_at_least: threshold must be >= 0');
         if (c.type === 'cart_quantity_in_range') {
           if (typeof c.min !== 'number' || c.min < 0) errs.push('cart_quantity_in_range: min must be >= 0');
           if (c.max != null && (typeof c.max !== 'number' || c.max < c.min)) errs.push('cart_quantity_in_range: max must be >= min');
         }
         if (c.type === 'cart_total_at_least' && (typeof c.amount !== 'number' || c.amount < 0)) errs.push('cart_total_at_least: amount must be >= 0');
+        if (c.type === 'subtotal_in_range') {
+          if (typeof c.min !== 'number' || c.min < 0) errs.push('subtotal_in_range: min must be >= 0');
+          if (c.max != null && (typeof c.max !== 'number' || c.max < c.min)) errs.push('subtotal_in_range: max must be >= min');
+        }
         if (c.type === 'includes_any_variants' && (!Array.isArray(c.variantIds) || c.variantIds.length === 0)) errs.push('includes_any_variants: add at least one variant');
         if (c.type === 'includes_any_products' && (!Array.isArray(c.productIds) || c.productIds.length === 0)) errs.push('includes_any_products: add at least one product');
         if (c.type === 'includes_any_collections' && (!Array.isArray(c.collectionIds) || c.collectionIds.length === 0)) errs.push('includes_any_collections: add at least one collection');
@@ -130,8 +189,18 @@ function Extension() {
           if (typeof c.min !== 'number' || c.min < 0) errs.push('product_quantity_in_range: min must be >= 0');
           if (c.max != null && (typeof c.max !== 'number' || c.max < c.min)) errs.push('product_quantity_in_range: max must be >= min');
         }
+        if (c.type === 'customer_order_count_in_range') {
+          if (typeof c.min !== 'number' || c.min < 0) errs.push('customer_order_count_in_range: min must be >= 0');
+          if (c.max != null && (typeof c.max !== 'number' || c.max < c.min)) errs.push('customer_order_count_in_range: max must be >= min');
+        }
+        if (c.type === 'customer_has_tag' && (!Array.isArray(c.tags) || c.tags.length === 0)) errs.push('customer_has_tag: add at least one tag');
+        if (c.type === 'includes_product_with_tag' && (!Array.isArray(c.tags) || c.tags.length === 0)) errs.push('includes_product_with_tag: add at least one tag');
+        if (c.type === 'includes_vendor' && (!Array.isArray(c.vendors) || c.vendors.length === 0)) errs.push('includes_vendor: add at least one vendor');
+        if (c.type === 'includes_product_type' && (!Array.isArray(c.productTypes) || c.productTypes.length === 0)) errs.push('includes_product_type: add at least one product type');
+        if (c.type === 'includes_variant_with_metafield' && (!c.namespace || !c.key)) errs.push('includes_variant_with_metafield: namespace and key required');
       });
-    }
+    };
+    if (Array.isArray(r.conditions)) validateConditions(r.conditions, '', 0);
     return errs;
   }
 
@@ -152,6 +221,7 @@ function Extension() {
       <s-stack direction="block">
         <s-text type="strong">Auto Add2Cart Admin Block — {target}</s-text>
         {error && <s-banner tone="critical">{error}</s-banner>}
+        {isDraft && <s-banner tone="info">Editing a draft. Changes go live once the draft is published from the app&apos;s Rules page.</s-banner>}
         {loading ? (
           <s-text>Loading…</s-text>
         ) : (
@@ -168,7 +238,7 @@ function Extension() {
                 setMode('builder');
               }}>Visual Builder</s-button>
               <s-button onClick={loadRules}>Refresh</s-button>
-              <s-button tone="neutral" onClick={saveRules} disabled={validationErrors.length > 0}>Save</s-button>
+              <s-button tone="neutral" onClick={saveRules} disabled={validationErrors.length > 0}>Save draft</s-button>
             </s-stack>
 
             {mode === 'json' && (
@@ -180,6 +250,13 @@ function Extension() {
                 {validationErrors.length > 0 && (
                   <s-banner tone="critical">{validationErrors.length} rule(s) have issues. Switch to Visual Builder to resolve.</s-banner>
                 )}
+                {serverErrors.length > 0 && (
+                  <s-banner tone="critical">
+                    {serverErrors.map((e, i) => (
+                      <s-text key={i}>{e.ruleId || (e.ruleIndex >= 0 ? `Rule ${e.ruleIndex + 1}` : 'Rules')}{e.field ? ` › ${e.field}` : ''}: {e.message}</s-text>
+                    ))}
+                  </s-banner>
+                )}
               </>
             )}
             {mode === 'builder' && (
@@ -187,6 +264,7 @@ function Extension() {
                 searchProducts={searchProducts} productResults={productResults}
                 fetchProducts={fetchProducts} fetchCollections={fetchCollections}
                 searching={searching} onValidate={(all) => setValidationErrors(all)} validateAll={validateAll} validateRule={validateRule}
+                serverErrors={serverErrors}
               />
             )}
 
@@ -314,7 +392,7 @@ function QuickPickers({ prodTerm, setProdTerm, collTerm, setCollTerm, searching,
   );
 }
 
-function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchProducts, fetchCollections, searching, onValidate, validateAll, validateRule }) {
+function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchProducts, fetchCollections, searching, onValidate, validateAll, validateRule, serverErrors }) {
   const [selectedCond, setSelectedCond] = useState('');
   const [variantTerm, setVariantTerm] = useState('');
   const [variantOpen, setVariantOpen] = useState(false);
@@ -328,6 +406,16 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
     copy[idx] = { ...copy[idx], ...next };
     setRules(copy);
   }
+  // The form edits a rule's first action; rules saved by the app keep them in `actions`
+  function firstAction(r) {
+    return (Array.isArray(r.actions) ? r.actions[0] : r.action) || {};
+  }
+  function updateFirstAction(idx, patch) {
+    const r = rules[idx];
+    const next = { ...firstAction(r), ...patch };
+    if (Array.isArray(r.actions)) updateRule(idx, { actions: [next, ...r.actions.slice(1)] });
+    else updateRule(idx, { action: next });
+  }
   function removeRule(idx) {
     const copy = [...rules];
     copy.splice(idx, 1);
@@ -339,10 +427,19 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
     if (type === 'cart_quantity_at_least') r.conditions.push({ type, threshold: 1 });
     if (type === 'cart_quantity_in_range') r.conditions.push({ type, min: 1 });
     if (type === 'cart_total_at_least') r.conditions.push({ type, amount: 1 });
+    if (type === 'subtotal_in_range') r.conditions.push({ type, min: 50, excludeGifts: true });
     if (type === 'includes_any_variants') r.conditions.push({ type, variantIds: [] });
     if (type === 'includes_any_products') r.conditions.push({ type, productIds: [] });
     if (type === 'includes_any_collections') r.conditions.push({ type, collectionIds: [] });
     if (type === 'product_quantity_in_range') r.conditions.push({ type, productId: '', min: 1 });
+    if (type === 'customer_is_logged_in') r.conditions.push({ type });
+    if (type === 'first_order_only') r.conditions.push({ type });
+    if (type === 'customer_order_count_in_range') r.conditions.push({ type, min: 1 });
+    if (type === 'customer_has_tag') r.conditions.push({ type, tags: [] });
+    if (type === 'includes_product_with_tag') r.conditions.push({ type, tags: [] });
+    if (type === 'includes_vendor') r.conditions.push({ type, vendors: [] });
+    if (type === 'includes_product_type') r.conditions.push({ type, productTypes: [] });
+    if (type === 'includes_variant_with_metafield') r.conditions.push({ type, namespace: 'custom', key: '' });
     setRules(copy);
   }
 
@@ -374,12 +471,16 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
           position: 'relative',
         }}>
           {validateRule(r).length > 0 && (<s-banner tone="critical">{validateRule(r).join(' • ')}</s-banner>)}
+          {serverErrors.some((e) => e.ruleIndex === idx) && (
+            <s-banner tone="critical">{serverErrors.filter((e) => e.ruleIndex === idx).map((e) => `${e.field}: ${e.message}`).join(' • ')}</s-banner>
+          )}
           <div style={{ display: 'flex', gap: 18, alignItems: 'center', flexWrap: 'wrap', marginBottom: 18 }}>
             <span style={{ fontWeight: 700, fontSize: 22, color: '#0f172a', display: 'flex', alignItems: 'center', gap: 8 }}>
               <span style={{ fontSize: 26 }}>🧩</span> Rule: {r.id || idx}
             </span>
             <s-text-field label="Rule ID" value={r.id || ''} onInput={(e) => updateRule(idx, { id: (/** @type {any} */(e.target)).value })} style={{ minWidth: 180, fontSize: 16 }} />
             <s-text-field label="Group (optional)" value={r.group || ''} onInput={(e) => updateRule(idx, { group: (/** @type {any} */(e.target)).value })} style={{ minWidth: 180, fontSize: 16 }} />
+            <s-text-field label="Progress message (optional)" placeholder="Spend {amount} more for {gift}" value={r.progressMessage || ''} onInput={(e) => updateRule(idx, { progressMessage: (/** @type {any} */(e.target)).value || undefined })} style={{ minWidth: 260, fontSize: 16 }} />
             <s-button tone="neutral" onClick={() => updateRule(idx, { active: !r.active })} style={{ fontWeight: 600, borderRadius: 8, background: r.active ? '#d1fae5' : '#f1f5f9', color: r.active ? '#047857' : '#64748b', border: 'none', padding: '8px 18px' }}>{r.active ? 'Active' : 'Inactive'}</s-button>
             <s-button tone="neutral" onClick={() => onValidate && onValidate(validateAll(rules))} style={{ borderRadius: 8, background: '#f1f5f9', color: '#334155', border: 'none', padding: '8px 18px' }}>Validate</s-button>
             <s-button tone="neutral" onClick={() => { if (onValidate) onValidate(validateAll(rules)); }} style={{ borderRadius: 8, background: '#f1f5f9', color: '#334155', border: 'none', padding: '8px 18px' }}>Save This Rule</s-button>
@@ -391,16 +492,28 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
               <option value="cart_quantity_at_least">Cart quantity ≥</option>
               <option value="cart_quantity_in_range">Cart quantity between</option>
               <option value="cart_total_at_least">Cart total ≥</option>
+              <option value="subtotal_in_range">Subtotal between</option>
               <option value="includes_any_variants">Includes variants</option>
               <option value="includes_any_products">Includes products</option>
               <option value="includes_any_collections">Includes collections</option>
               <option value="product_quantity_in_range">Specific product quantity between</option>
+              <option value="customer_is_logged_in">Customer is logged in</option>
+              <option value="first_order_only">First order only</option>
+              <option value="customer_order_count_in_range">Customer order count between</option>
+              <option value="customer_has_tag">Customer has tag</option>
+              <option value="includes_product_with_tag">Includes product tag</option>
+              <option value="includes_vendor">Includes vendor</option>
+              <option value="includes_product_type">Includes product type</option>
+              <option value="includes_variant_with_metafield">Includes variant metafield</option>
             </s-select>
             <s-button onClick={() => selectedCond && addCondition(idx, selectedCond)} disabled={!selectedCond}>Add</s-button>
           </div>
           {(r.conditions||[]).map((c, cIdx) => (
             <div key={cIdx} style={{ display: 'flex', gap: 12, marginTop: 12, flexWrap: 'wrap', alignItems: 'center', background: '#f9fafb', borderRadius: 8, padding: '8px 12px' }}>
               <span style={{ background: '#e0e7ef', color: '#334155', borderRadius: 6, padding: '2px 10px', fontWeight: 600, fontSize: 13 }}>{c.type}</span>
+              {GROUP_TYPES.includes(c.type) && (
+                <s-text>{(c.conditions || []).length} nested conditions. Edit groups in the app or in JSON mode.</s-text>
+              )}
               {c.type === 'cart_quantity_at_least' && (
                 <s-number-field label="Threshold" value={c.threshold}
                   onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].threshold = Number((/** @type {any} */(e.target)).value); setRules(copy); }} />
@@ -421,6 +534,26 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
                     onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].currencyCode = (/** @type {any} */(e.target)).value; setRules(copy); }} />
                 </>
               )}
+              {c.type === 'subtotal_in_range' && (
+                <>
+                  <s-number-field label="Min" value={c.min}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].min = Number((/** @type {any} */(e.target)).value); setRules(copy); }} />
+                  <s-number-field label="Max (optional)" value={c.max ?? ''}
+                    onInput={(e) => { const copy=[...rules]; const v=(/** @type {any} */(e.target)).value; copy[idx].conditions[cIdx].max = v===''?undefined:Number(v); setRules(copy); }} />
+                  <s-text-field label="Currency" value={c.currencyCode || ''}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].currencyCode = (/** @type {any} */(e.target)).value || undefined; setRules(copy); }} />
+                  <s-text-field label="Only product GIDs (comma-separated, optional)" value={(c.productIds||[]).join(',')}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].productIds = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+                  <s-text-field label="Only collection GIDs (comma-separated, optional)" value={(c.collectionIds||[]).join(',')}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].collectionIds = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+                  <s-text-field label="Only product tags (comma-separated, optional)" value={(c.tags||[]).join(',')}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].tags = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+                  <s-checkbox label="Leave out auto-added gifts" checked={!!c.excludeGifts}
+                    onChange={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].excludeGifts = (/** @type {any} */(e.target)).checked || undefined; setRules(copy); }} />
+                  <s-checkbox label="Use prices before discounts" checked={!!c.beforeDiscounts}
+                    onChange={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].beforeDiscounts = (/** @type {any} */(e.target)).checked || undefined; setRules(copy); }} />
+                </>
+              )}
               {c.type === 'includes_any_variants' && (
                 <>
                   <s-text-field label="Variant GIDs (comma-separated)" value={(c.variantIds||[]).join(',')}
@@ -474,6 +607,40 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
                     onInput={(e) => { const copy=[...rules]; const v=(/** @type {any} */(e.target)).value; copy[idx].conditions[cIdx].max = v===''?undefined:Number(v); setRules(copy); }} />
                 </>
               )}
+              {c.type === 'customer_order_count_in_range' && (
+                <>
+                  <s-number-field label="Min orders" value={c.min}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].min = Number((/** @type {any} */(e.target)).value); setRules(copy); }} />
+                  <s-number-field label="Max orders (optional)" value={c.max ?? ''}
+                    onInput={(e) => { const copy=[...rules]; const v=(/** @type {any} */(e.target)).value; copy[idx].conditions[cIdx].max = v===''?undefined:Number(v); setRules(copy); }} />
+                </>
+              )}
+              {c.type === 'customer_has_tag' && (
+                <s-text-field label="Customer tags (comma-separated)" value={(c.tags||[]).join(',')}
+                  onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].tags = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+              )}
+              {c.type === 'includes_product_with_tag' && (
+                <s-text-field label="Product tags (comma-separated)" value={(c.tags||[]).join(',')}
+                  onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].tags = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+              )}
+              {c.type === 'includes_vendor' && (
+                <s-text-field label="Vendors (comma-separated)" value={(c.vendors||[]).join(',')}
+                  onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].vendors = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+              )}
+              {c.type === 'includes_product_type' && (
+                <s-text-field label="Product types (comma-separated)" value={(c.productTypes||[]).join(',')}
+                  onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].productTypes = (/** @type {any} */(e.target)).value.split(',').map(s=>s.trim()).filter(Boolean); setRules(copy); }} />
+              )}
+              {c.type === 'includes_variant_with_metafield' && (
+                <>
+                  <s-text-field label="Metafield namespace" value={c.namespace || ''}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].namespace = (/** @type {any} */(e.target)).value.trim(); setRules(copy); }} />
+                  <s-text-field label="Metafield key" value={c.key || ''}
+                    onInput={(e) => { const copy=[...rules]; copy[idx].conditions[cIdx].key = (/** @type {any} */(e.target)).value.trim(); setRules(copy); }} />
+                  <s-text-field label="Value (optional; empty matches any)" value={c.value ?? ''}
+                    onInput={(e) => { const copy=[...rules]; const v=(/** @type {any} */(e.target)).value; copy[idx].conditions[cIdx].value = v===''?undefined:v; setRules(copy); }} />
+                </>
+              )}
               <s-button tone="critical" onClick={() => { const copy=[...rules]; copy[idx].conditions.splice(cIdx,1); setRules(copy); }}>Remove</s-button>
             </div>
           ))}
@@ -487,19 +654,24 @@ function RuleBuilder({ rules, setRules, searchProducts, productResults, fetchPro
               {variantOpen && variantOptions.length > 0 && (
                 <div style={{ position: 'absolute', top: '100%', left: 0, right: 0, background: 'white', border: '1px solid #e1e3e5', borderRadius: 8, boxShadow: '0 6px 24px rgba(0,0,0,0.10)', maxHeight: 260, overflowY: 'auto', zIndex: 10 }}>
                   {variantOptions.map(opt => (
-                    <button type="button" key={opt.id} style={{ padding: '10px 14px', textAlign: 'left', width: '100%', background: 'transparent', border: 'none', cursor: 'pointer', fontSize: 15, borderBottom: '1px solid #f1f5f9' }} onClick={() => { updateRule(idx, { action: { ...(r.action||{}), addVariantId: opt.id } }); setVariantOpen(false); }}>
+                    <button type="button" key={opt.id} style={{ padding: '10px 14px', textAlign: 'left', width: '100%', background: 'transparent', border: 'none', cursor: 'pointer', fontSize: 15, borderBottom: '1px solid #f1f5f9' }} onClick={() => { updateFirstAction(idx, { addVariantId: opt.id }); setVariantOpen(false); }}>
                       <span style={{ color: '#0f172a' }}>{opt.title}</span>
                     </button>
                   ))}
                 </div>
               )}
             </div>
-            <s-number-field label="Quantity" value={r.action?.quantity||1}
-              onInput={(e) => updateRule(idx, { action: { ...(r.action||{}), quantity: Number((/** @type {any} */(e.target)).value) } })} />
+            <s-number-field label="Quantity" value={firstAction(r).quantity||1}
+              onInput={(e) => updateFirstAction(idx, { quantity: Number((/** @type {any} */(e.target)).value) })} />
             <div style={{ gridColumn: '1 / span 2', display: 'flex', alignItems: 'center', gap: 10 }}>
               <span style={{ background: '#e0e7ef', color: '#334155', borderRadius: 6, padding: '2px 10px', fontWeight: 600, fontSize: 13 }}>Selected Variant ID</span>
-              <s-text-field value={r.action?.addVariantId||''} onInput={(e) => updateRule(idx, { action: { ...(r.action||{}), addVariantId: (/** @type {any} */(e.target)).value } })} style={{ minWidth: 260, fontSize: 15 }} />
+              <s-text-field value={firstAction(r).addVariantId||''} onInput={(e) => updateFirstAction(idx, { addVariantId: (/** @type {any} */(e.target)).value })} style={{ minWidth: 260, fontSize: 15 }} />
             </div>
+            {Array.isArray(r.actions) && r.actions.length > 1 && (
+              <div style={{ gridColumn: '1 / span 2' }}>
+                <s-text>This rule has {r.actions.length} actions. Edit the others in the app or in JSON mode.</s-text>
+              </div>
+            )}
           </div>
           <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
             <s-button tone="critical" onClick={() => removeRule(idx)}>Delete Rule</s-button>
@@ -3,261 +3,84 @@ import type {
   CartTransformRunResult,
   Operation,
 } from "../generated/api";
+import {
+  AUTO_ADD_PROPERTY,
+  functionCart,
+  functionContext,
+  isVariantLine,
+  logFunctionEvaluation,
+  parseRules,
+  parseSettings,
+  planGifts,
+  type EngineCart,
+  type PlannedGift,
+} from "../../../shared/rules";
 
-const NO_CHANGES: CartTransformRunResult = { operations: [] };
-
-type CurrencyCode = CartTransformRunInput["cart"]["lines"][number]["cost"]["totalAmount"]["currencyCode"]; // reuse type
+type CartLine = CartTransformRunInput["cart"]["lines"][number];
+type VariantMerchandise = Extract<CartLine["merchandise"], { __typename: "ProductVariant" }>;
 
-type RuleCondition =
-  | {
-    type: "cart_quantity_at_least";
-    threshold: number;
-  }
-  | {
-    type: "cart_total_at_least";
-    amount: number;
-    currencyCode?: CurrencyCode;
-  }
-  | {
-    type: "includes_any_variants";
-    variantIds: string[]; // GIDs for ProductVariant
-  }
-  | {
-    type: "cart_quantity_in_range";
-    min: number;
-    max?: number; // inclusive, if omitted no upper bound
-  }
-  | {
-    type: "includes_any_products";
-    productIds: string[]; // GIDs for Product
-  }
-  | {
-    type: "includes_any_collections";
-    collectionIds: string[]; // GIDs for Collection
-  }
-  | {
-    type: "product_quantity_in_range";
-    productId: string; // GID for Product
-    min: number;
-    max?: number;
-  };
-
-type RuleAction = {
-  addVariantId: string; // GID for ProductVariant to include as component
-  quantity?: number; // default 1
-  titleOverride?: string; // optional
-};
-
-type AutoAddRule = {
-  id: string;
-  active: boolean;
-  group?: string; // optional exclusivity group
-  conditions: RuleCondition[];
-  action: RuleAction;
-};
-
-function parseRules(input: CartTransformRunInput): AutoAddRule[] {
-  const raw = input.shop?.rules?.value;
-  if (!raw) return [];
-  try {
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) {
-      return parsed.filter(Boolean);
-    }
-    return [];
-  } catch {
-    return [];
-  }
-}
+const NO_CHANGES: CartTransformRunResult = { operations: [] };
 
-function parseCollectionIndex(input: CartTransformRunInput): Map<string, Set<string>> {
-  // Returns a map of productId -> set of collectionIds
-  const raw = input.shop?.collectionIndex?.value;
-  const map = new Map<string, Set<string>>();
-  if (!raw) return map;
-  try {
-    const parsed = JSON.parse(raw);
-    // Support either { productId: [collectionIds] } or { productId: { collections: [ids] } }
-    if (parsed && typeof parsed === "object") {
-      for (const [productId, v] of Object.entries(parsed as Record<string, unknown>)) {
-        let list: string[] = [];
-        if (Array.isArray(v)) {
-          list = (v as unknown[]).filter((x): x is string => typeof x === "string");
-        } else if (v && typeof v === "object") {
-          const obj = v as { collections?: unknown };
-          if (Array.isArray(obj.collections)) {
-            list = obj.collections.filter((x): x is string => typeof x === "string");
-          }
-        }
-        if (list.length) map.set(productId, new Set(list));
-      }
-    }
-  } catch (_e) {
-    return map;
-  }
-  return map;
+function variantInCart(cart: EngineCart, variantId: string): boolean {
+  return cart.lines.some((l) => l.variantId === variantId);
 }
 
-function cartQuantity(input: CartTransformRunInput): number {
-  return input.cart.lines.reduce((sum, l) => sum + l.quantity, 0);
+// Expanded components are multiplied by the anchor line's quantity, so gifts
+// can only hang off a line whose quantity divides every gift quantity; each
+// component then carries its share per anchor unit. A single-unit line always
+// fits and is preferred.
+function pickAnchorLine(input: CartTransformRunInput, gifts: PlannedGift[]): CartLine | null {
+  const candidates = input.cart.lines.filter((line) => isVariantLine(line) && line.autoAdded?.value !== "true");
+  const fits = (line: CartLine) => line.quantity > 0 && gifts.every((g) => g.quantity % line.quantity === 0);
+  return candidates.find((line) => line.quantity === 1) ?? candidates.find(fits) ?? null;
 }
 
-function cartTotalAmount(input: CartTransformRunInput): { amount: number; currency: CurrencyCode | null } {
-  // Sum line totals (presentment currency)
-  let amount = 0;
-  let currency: CurrencyCode | null = null;
-  for (const line of input.cart.lines) {
-    const a = parseFloat(line.cost.totalAmount.amount);
-    amount += isNaN(a) ? 0 : a;
-    currency = currency ?? line.cost.totalAmount.currencyCode;
+// Turns planned gifts into a single lineExpand on the anchor line: the anchor
+// keeps its own variant and gains each gift as an extra component. No price
+// adjustment is set, so the cart total stays the anchor line's price.
+function planOperations(input: CartTransformRunInput, gifts: PlannedGift[]): Operation[] {
+  if (gifts.length === 0) return [];
+  const anchor = pickAnchorLine(input, gifts);
+  if (!anchor) {
+    console.error("No product line whose quantity divides the gift quantities to attach gifts to");
+    return [];
   }
-  return { amount, currency };
-}
+  const merch = anchor.merchandise as VariantMerchandise;
+  const titles = gifts.map((g) => g.titleOverride).filter((t): t is string => Boolean(t));
 
-function includesAnyVariant(input: CartTransformRunInput, variantIds: string[]): boolean {
-  const set = new Set(variantIds);
-  for (const line of input.cart.lines) {
-    const merch = line.merchandise as { __typename?: string; id?: string };
-    if (merch && merch.__typename === "ProductVariant" && merch.id && set.has(merch.id)) {
-      return true;
-    }
-  }
-  return false;
+  return [
+    {
+      lineExpand: {
+        cartLineId: anchor.id,
+        title: titles.length ? [merch.product?.title, ...titles].filter(Boolean).join(" + ") : undefined,
+        expandedCartItems: [
+          { merchandiseId: merch.id as string, quantity: 1 },
+          ...gifts.map((g) => ({
+            merchandiseId: g.variantId,
+            quantity: g.quantity / anchor.quantity,
+            attributes: [{ key: AUTO_ADD_PROPERTY, value: "true" }],
+          })),
+        ],
+      },
+    },
+  ];
 }
 
-function variantInCart(input: CartTransformRunInput, variantId: string): boolean {
-  for (const line of input.cart.lines) {
-    const merch = line.merchandise as { __typename?: string; id?: string };
-    if (merch && merch.__typename === "ProductVariant" && merch.id === variantId) return true;
+export function cartTransformRun(input: CartTransformRunInput): CartTransformRunResult {
+  const settings = parseSettings(input.shop?.settings?.value);
+  if (settings.giftMode === "storefront") {
+    console.error("CartTransform Function: Passing through (gift mode is storefront)");
+    return NO_CHANGES;
   }
-  return false;
-}
 
-function ruleApplies(rule: AutoAddRule, input: CartTransformRunInput): boolean {
-  if (!rule.active) {
-    console.error(`Rule ${rule.id} skipped: not active`);
-    return false;
-  }
-  for (const cond of rule.conditions) {
-    switch (cond.type) {
-      case "cart_quantity_at_least": {
-        const q = cartQuantity(input);
-        if (q < cond.threshold) {
-          console.error(`Rule ${rule.id} condition failed: cart quantity ${q} < ${cond.threshold}`);
-          return false;
-        }
-        break;
-      }
-      case "cart_total_at_least": {
-        const { amount, currency } = cartTotalAmount(input);
-        if (amount < cond.amount) {
-          console.error(`Rule ${rule.id} condition failed: cart total ${amount} < ${cond.amount}`);
-          return false;
-        }
-        if (cond.currencyCode && currency && cond.currencyCode !== currency) {
-          console.error(`Rule ${rule.id} condition failed: currency mismatch ${currency} vs ${cond.currencyCode}`);
-          return false;
-        }
-        break;
-      }
-      case "includes_any_variants": {
-        if (!includesAnyVariant(input, cond.variantIds)) {
-          console.error(`Rule ${rule.id} condition failed: variants not in cart`);
-          return false;
-        }
-        break;
-      }
-      case "includes_any_products": {
-        const set = new Set(cond.productIds);
-        let found = false;
-        for (const line of input.cart.lines) {
-          const merch = line.merchandise as { __typename?: string; product?: { id?: string } };
-          if (merch && merch.__typename === "ProductVariant" && merch.product?.id && set.has(merch.product.id)) {
-            found = true;
-            break;
-          }
-        }
-        if (!found) {
-          console.error(`Rule ${rule.id} condition failed: none of products ${cond.productIds} in cart`);
-          return false;
-        }
-        break;
-      }
-      case "includes_any_collections": {
-        const idx = parseCollectionIndex(input);
-        const target = new Set(cond.collectionIds);
-        let found = false;
-        for (const line of input.cart.lines) {
-          const merch = line.merchandise as { __typename?: string; product?: { id?: string } };
-          const pid = merch && merch.__typename === "ProductVariant" ? merch.product?.id : undefined;
-          if (!pid) continue;
-          const colls = idx.get(pid);
-          if (!colls) continue;
-          for (const c of colls) {
-            if (target.has(c)) { found = true; break; }
-          }
-          if (found) break;
-        }
-        if (!found) {
-          console.error(`Rule ${rule.id} condition failed: collections not matched`);
-          return false;
-        }
-        break;
-      }
-      case "cart_quantity_in_range": {
-        const q = cartQuantity(input);
-        if (q < cond.min) {
-          console.error(`Rule ${rule.id} condition failed: quantity ${q} < min ${cond.min}`);
-          return false;
-        }
-        if (typeof cond.max === "number" && q > cond.max) {
-          console.error(`Rule ${rule.id} condition failed: quantity ${q} > max ${cond.max}`);
-          return false;
-        }
-        break;
-      }
-      case "product_quantity_in_range": {
-        let total = 0;
-        const targetPid = cond.productId.trim();
-        for (const line of input.cart.lines) {
-          const merch = line.merchandise as { __typename?: string; product?: { id?: string } };
-          const pid = merch && merch.__typename === "ProductVariant" ? merch.product?.id?.trim() : undefined;
-          if (pid) {
-            console.error(`Comparing cart pid [${pid}] with target [${targetPid}]`);
-          }
-          if (pid === targetPid) total += line.quantity;
-        }
-        if (total < cond.min) {
-          console.error(`Rule ${rule.id} condition failed: product ${targetPid} quantity ${total} < min ${cond.min}`);
-          return false;
-        }
-        if (typeof cond.max === "number" && total > cond.max) {
-          console.error(`Rule ${rule.id} condition failed: product ${targetPid} quantity ${total} > max ${cond.max}`);
-          return false;
-        }
-        break;
-      }
-      default:
-        console.error(`Rule ${rule.id} failed: unknown condition type`);
-        return false;
-    }
-  }
-  return true;
-}
+  const rules = parseRules(input.shop?.rules?.value);
+  if (rules.length === 0) return NO_CHANGES;
 
-function pickAnchorLineId(input: CartTransformRunInput): string | null {
-  // Prefer the first ProductVariant line
-  for (const line of input.cart.lines) {
-    const merch = line.merchandise as { __typename?: string; id?: string };
-    if (merch && merch.__typename === "ProductVariant") return line.id;
-  }
-  // Fallback to any line
-  return input.cart.lines[0]?.id ?? null;
-}
+  const cart = functionCart(input, rules);
+  const { gifts, evaluations } = planGifts(rules, cart, functionContext(input, settings, rules));
+  evaluations.forEach(logFunctionEvaluation);
 
-export function cartTransformRun(input: CartTransformRunInput): CartTransformRunResult {
-  // Cart Transform is disabled - all gift logic is handled by theme extension JavaScript
-  // This prevents conflicts between Cart Transform and the storefront JavaScript
-  console.error("CartTransform Function: Passing through (gift logic handled by theme JS)");
-  return NO_CHANGES;
-}
\ No newline at end of file
+  // Gifts already in the cart (added by the storefront script or by the shopper) are left alone.
+  const missing = gifts.filter((g) => !variantInCart(cart, g.variantId));
+  return { operations: planOperations(input, missing) };
+}
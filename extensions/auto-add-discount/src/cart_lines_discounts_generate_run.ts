@@ -0,0 +1,90 @@
+import {
+  DiscountClass,
+  ProductDiscountSelectionStrategy,
+  type CartLinesDiscountsGenerateRunInput,
+  type CartLinesDiscountsGenerateRunResult,
+  type ProductDiscountCandidate,
+  type ProductDiscountCandidateValue,
+} from "../generated/api";
+import {
+  functionCart,
+  functionContext,
+  logFunctionEvaluation,
+  parseRules,
+  parseSettings,
+  planGifts,
+  ruleActions,
+  type GiftDiscount,
+} from "../../../shared/rules";
+
+type CartLine = CartLinesDiscountsGenerateRunInput["cart"]["lines"][number];
+
+const NO_DISCOUNTS: CartLinesDiscountsGenerateRunResult = { operations: [] };
+
+function discountValue(discount: GiftDiscount): ProductDiscountCandidateValue | null {
+  switch (discount.type) {
+    case "free":
+      return { percentage: { value: 100 } };
+    case "percentage":
+      return discount.value > 0 ? { percentage: { value: Math.min(discount.value, 100) } } : null;
+    case "fixed_amount":
+      return discount.amount > 0 ? { fixedAmount: { amount: discount.amount, appliesToEachItem: true } } : null;
+    default:
+      return null;
+  }
+}
+
+function isGiftLine(line: CartLine, variantId: string): boolean {
+  return line.autoAdded?.value === "true" && line.merchandise.__typename === "ProductVariant" && line.merchandise.id === variantId;
+}
+
+// Re-plans the gifts from the rules instead of trusting the `_auto_added`
+// property alone: a shopper can set that property on any line, so only units a
+// matching rule would have added are discounted.
+export function cartLinesDiscountsGenerateRun(
+  input: CartLinesDiscountsGenerateRunInput,
+): CartLinesDiscountsGenerateRunResult {
+  if (!input.discount.discountClasses.includes(DiscountClass.Product)) {
+    return NO_DISCOUNTS;
+  }
+
+  const rules = parseRules(input.shop?.rules?.value);
+  if (!rules.some((r) => ruleActions(r).some((a) => a.discount))) return NO_DISCOUNTS;
+
+  // Group strategies must match the Cart Transform's so both pick the same rule
+  const settings = parseSettings(input.shop?.settings?.value);
+  const { gifts, evaluations } = planGifts(rules, functionCart(input, rules), functionContext(input, settings, rules));
+  evaluations.forEach(logFunctionEvaluation);
+
+  const candidates: ProductDiscountCandidate[] = [];
+  for (const gift of gifts) {
+    const { discount } = gift;
+    const value = discount ? discountValue(discount) : null;
+    if (!discount || !value) continue;
+
+    let remaining = gift.quantity;
+    for (const line of input.cart.lines) {
+      if (remaining <= 0) break;
+      if (!isGiftLine(line, gift.variantId)) continue;
+      const quantity = Math.min(line.quantity, remaining);
+      remaining -= quantity;
+      candidates.push({
+        message: discount.message || (discount.type === "free" ? "Free gift" : "Gift discount"),
+        targets: [{ cartLine: { id: line.id, quantity } }],
+        value,
+      });
+    }
+  }
+
+  if (candidates.length === 0) return NO_DISCOUNTS;
+  return {
+    operations: [
+      {
+        productDiscountsAdd: {
+          candidates,
+          selectionStrategy: ProductDiscountSelectionStrategy.All,
+        },
+      },
+    ],
+  };
+}
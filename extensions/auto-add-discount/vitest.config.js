@@ -0,0 +1,8 @@
+export default {
+  test: {
+    forceRerunTriggers: [
+      '**/tests/fixtures/**',
+      '**/src/**',
+    ],
+  },
+};
@@ -0,0 +1,681 @@
+/* Generated from shared/rules by npm run build:engine. Do not edit. */
+"use strict";
+(() => {
+  // shared/rules/schedule.ts
+  var WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  function shopClock(timeZone, at = /* @__PURE__ */ new Date()) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat("en-CA", {
+        timeZone: timeZone || void 0,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+      }).formatToParts(at);
+    } catch {
+      return shopClock(null, at);
+    }
+    const get = (type) => {
+      var _a, _b;
+      return (_b = (_a = parts.find((p) => p.type === type)) == null ? void 0 : _a.value) != null ? _b : "00";
+    };
+    return {
+      date: `${get("year")}-${get("month")}-${get("day")}`,
+      minutes: Number(get("hour")) * 60 + Number(get("minute"))
+    };
+  }
+  function parseTime(value) {
+    const m = /^(\d{1,2}):(\d{2})/.exec(value || "");
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  }
+  function parseDateTime(value) {
+    var _a;
+    const m = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?/.exec(value || "");
+    if (!m) return null;
+    return { date: m[1], minutes: (_a = parseTime(m[2])) != null ? _a : 0 };
+  }
+  function weekday(date) {
+    const [y, mo, d] = date.split("-").map(Number);
+    return new Date(Date.UTC(y, mo - 1, d)).getUTCDay();
+  }
+  function compareToClock(point, clock) {
+    if (clock.date !== point.date) return clock.date < point.date ? -1 : 1;
+    if (clock.minutes === null) return point.minutes === 0 ? 1 : 0;
+    return clock.minutes < point.minutes ? -1 : 1;
+  }
+  function scheduleStatus(rule, clock) {
+    const start = parseDateTime(rule.startsAt);
+    if (start) {
+      const cmp = compareToClock(start, clock);
+      if (cmp < 0) return { status: "scheduled", reason: `starts ${rule.startsAt}` };
+      if (cmp === 0) return { status: "scheduled", reason: `starts ${rule.startsAt} (time of day unknown)` };
+    }
+    const end = parseDateTime(rule.endsAt);
+    if (end) {
+      const cmp = compareToClock(end, clock);
+      if (cmp > 0) return { status: "expired", reason: `ended ${rule.endsAt}` };
+      if (cmp === 0) return { status: "scheduled", reason: `ends ${rule.endsAt} (time of day unknown)` };
+    }
+    const recurring = rule.recurring;
+    if ((recurring == null ? void 0 : recurring.days) && recurring.days.length > 0) {
+      const today = weekday(clock.date);
+      if (!recurring.days.includes(today)) {
+        return { status: "scheduled", reason: `not running on ${WEEKDAYS[today]}` };
+      }
+    }
+    const from = parseTime(recurring == null ? void 0 : recurring.startTime);
+    const to = parseTime(recurring == null ? void 0 : recurring.endTime);
+    if (from !== null || to !== null) {
+      if (clock.minutes === null) return { status: "scheduled", reason: "daily window needs time of day" };
+      const lo = from != null ? from : 0;
+      const hi = to != null ? to : 24 * 60;
+      const inside = lo <= hi ? clock.minutes >= lo && clock.minutes < hi : clock.minutes >= lo || clock.minutes < hi;
+      if (!inside) {
+        return { status: "scheduled", reason: `outside daily window ${(recurring == null ? void 0 : recurring.startTime) || "00:00"}-${(recurring == null ? void 0 : recurring.endTime) || "24:00"}` };
+      }
+    }
+    return { status: "live", reason: "live" };
+  }
+
+  // shared/rules/evaluate.ts
+  var AUTO_ADD_PROPERTY = "_auto_added";
+  var CUSTOMER_GID_PREFIX = "gid://shopify/Customer/";
+  var PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+  var VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+  function toCustomerGid(id) {
+    if (id === null || id === void 0 || id === "") return null;
+    const s = String(id).trim();
+    return s.startsWith("gid://") ? s : CUSTOMER_GID_PREFIX + s;
+  }
+  function toProductGid(id) {
+    if (id === null || id === void 0 || id === "") return null;
+    const s = String(id).trim();
+    return s.startsWith("gid://") ? s : PRODUCT_GID_PREFIX + s;
+  }
+  function toVariantGid(id) {
+    if (id === null || id === void 0 || id === "") return null;
+    const s = String(id).trim();
+    return s.startsWith("gid://") ? s : VARIANT_GID_PREFIX + s;
+  }
+  function triggerLines(cart) {
+    return cart.lines.filter((l) => !l.autoAdded);
+  }
+  function cartQuantity(cart) {
+    return triggerLines(cart).reduce((sum, l) => sum + l.quantity, 0);
+  }
+  function triggerQuantity(cart, productId) {
+    const pid = productId ? toProductGid(productId) : null;
+    return triggerLines(cart).filter((l) => !pid || l.productId === pid).reduce((sum, l) => sum + l.quantity, 0);
+  }
+  function cartTotal(cart) {
+    return cart.lines.reduce((sum, l) => sum + (isNaN(l.totalAmount) ? 0 : l.totalAmount), 0);
+  }
+  function subtotalLines(cond, cart, ctx) {
+    const products = new Set((cond.productIds || []).map((id) => toProductGid(id)));
+    const collections = new Set(cond.collectionIds || []);
+    const tags = new Set((cond.tags || []).map(normalize));
+    const scoped = products.size > 0 || collections.size > 0 || tags.size > 0;
+    return (cond.excludeGifts ? triggerLines(cart) : cart.lines).filter((l) => {
+      if (!scoped) return true;
+      if (l.productId && products.has(l.productId)) return true;
+      const colls = l.productId ? ctx.collectionIndex.get(l.productId) : void 0;
+      if (colls && Array.from(colls).some((c) => collections.has(c))) return true;
+      return (l.productTags || []).some((t) => tags.has(normalize(t)));
+    });
+  }
+  function lineAmount(line, beforeDiscounts) {
+    var _a;
+    const amount = beforeDiscounts ? (_a = line.subtotalAmount) != null ? _a : line.totalAmount : line.totalAmount;
+    return isNaN(amount) ? 0 : amount;
+  }
+  function scopedSubtotal(lines, beforeDiscounts) {
+    return Math.round(lines.reduce((sum, l) => sum + lineAmount(l, beforeDiscounts), 0) * 100) / 100;
+  }
+  function inRange(value, min, max) {
+    if (value < min) return `${value} < min ${min}`;
+    if (typeof max === "number" && value > max) return `${value} > max ${max}`;
+    return null;
+  }
+  function pass(type, reason) {
+    return { type, passed: true, reason };
+  }
+  function fail(type, reason) {
+    return { type, passed: false, reason };
+  }
+  function normalize(s) {
+    return String(s).trim().toLowerCase();
+  }
+  function metafieldMatches(value, expected) {
+    if (value === null || value === void 0 || value === "") return false;
+    if (expected === void 0 || expected === "") return true;
+    const list = value.startsWith("[") ? parseList(value) : null;
+    return list ? list.some((item) => String(item) === expected) : value === expected;
+  }
+  function parseList(value) {
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list : null;
+    } catch {
+      return null;
+    }
+  }
+  function evaluateCondition(cond, cart, ctx) {
+    var _a, _b, _c;
+    switch (cond.type) {
+      case "cart_quantity_at_least": {
+        const q = cartQuantity(cart);
+        return q >= cond.threshold ? pass(cond.type, `cart quantity ${q} >= ${cond.threshold}`) : fail(cond.type, `cart quantity ${q} < ${cond.threshold}`);
+      }
+      case "cart_quantity_in_range": {
+        const q = cartQuantity(cart);
+        const outside = inRange(q, cond.min, cond.max);
+        return outside ? fail(cond.type, `cart quantity ${outside}`) : pass(cond.type, `cart quantity ${q} in range`);
+      }
+      case "cart_total_at_least": {
+        const total = cartTotal(cart);
+        if (cond.currencyCode && cart.currencyCode && cond.currencyCode !== cart.currencyCode) {
+          return fail(cond.type, `currency mismatch ${cart.currencyCode} vs ${cond.currencyCode}`);
+        }
+        return total >= cond.amount ? pass(cond.type, `cart total ${total} >= ${cond.amount}`) : fail(cond.type, `cart total ${total} < ${cond.amount}`);
+      }
+      case "subtotal_in_range": {
+        if (cond.currencyCode && cart.currencyCode && cond.currencyCode !== cart.currencyCode) {
+          return fail(cond.type, `currency mismatch ${cart.currencyCode} vs ${cond.currencyCode}`);
+        }
+        const lines = subtotalLines(cond, cart, ctx);
+        const subtotal = scopedSubtotal(lines, cond.beforeDiscounts);
+        const outside = inRange(subtotal, cond.min, cond.max);
+        return outside ? fail(cond.type, `subtotal of ${lines.length} line(s) ${outside}`) : pass(cond.type, `subtotal ${subtotal} of ${lines.length} line(s) in range`);
+      }
+      case "cart_total_gte": {
+        const total = cartTotal(cart);
+        return total >= cond.value ? pass(cond.type, `cart total ${total} >= ${cond.value}`) : fail(cond.type, `cart total ${total} < ${cond.value}`);
+      }
+      case "includes_any_variants": {
+        const set = new Set((cond.variantIds || []).map((id) => toVariantGid(id)));
+        const hit = triggerLines(cart).find((l) => l.variantId && set.has(l.variantId));
+        return hit ? pass(cond.type, `variant ${hit.variantId} in cart`) : fail(cond.type, "none of the variants in cart");
+      }
+      case "includes_any_products": {
+        const set = new Set((cond.productIds || []).map((id) => toProductGid(id)));
+        const hit = triggerLines(cart).find((l) => l.productId && set.has(l.productId));
+        return hit ? pass(cond.type, `product ${hit.productId} in cart`) : fail(cond.type, "none of the products in cart");
+      }
+      case "includes_any_collections": {
+        const target = new Set(cond.collectionIds);
+        for (const line of triggerLines(cart)) {
+          const colls = line.productId ? ctx.collectionIndex.get(line.productId) : void 0;
+          if (!colls) continue;
+          for (const c of colls) {
+            if (target.has(c)) return pass(cond.type, `product ${line.productId} in collection ${c}`);
+          }
+        }
+        return fail(cond.type, "no product in the collections (is the collection index built?)");
+      }
+      case "product_quantity_in_range": {
+        const targetPid = toProductGid(cond.productId);
+        const total = targetPid ? triggerQuantity(cart, targetPid) : 0;
+        const outside = inRange(total, cond.min, cond.max);
+        return outside ? fail(cond.type, `product ${targetPid} quantity ${outside}`) : pass(cond.type, `product ${targetPid} quantity ${total} in range`);
+      }
+      case "customer_is_logged_in": {
+        return cart.customer ? pass(cond.type, "customer logged in") : fail(cond.type, "customer not logged in");
+      }
+      case "first_order_only": {
+        if (!cart.customer) return fail(cond.type, "customer not logged in");
+        const orders = (_a = cart.customer.numberOfOrders) != null ? _a : 0;
+        return orders === 0 ? pass(cond.type, "customer has no previous orders") : fail(cond.type, `customer has ${orders} previous orders`);
+      }
+      case "customer_order_count_in_range": {
+        if (!cart.customer) return fail(cond.type, "customer not logged in");
+        const orders = (_b = cart.customer.numberOfOrders) != null ? _b : 0;
+        const outside = inRange(orders, cond.min, cond.max);
+        return outside ? fail(cond.type, `customer order count ${outside}`) : pass(cond.type, `customer order count ${orders} in range`);
+      }
+      case "customer_has_tag": {
+        if (!cart.customer) return fail(cond.type, "customer not logged in");
+        const owned = new Set(cart.customer.tags.map((t) => t.trim().toLowerCase()));
+        const hit = (cond.tags || []).find((t) => owned.has(t.trim().toLowerCase()));
+        return hit ? pass(cond.type, `customer tagged ${hit}`) : fail(cond.type, "customer has none of the tags");
+      }
+      case "includes_product_with_tag": {
+        const wanted = new Set((cond.tags || []).map(normalize));
+        const hit = triggerLines(cart).find((l) => (l.productTags || []).some((t) => wanted.has(normalize(t))));
+        return hit ? pass(cond.type, `product ${hit.productId} has a tag`) : fail(cond.type, "no product with the tags in cart");
+      }
+      case "includes_vendor": {
+        const wanted = new Set((cond.vendors || []).map(normalize));
+        const hit = triggerLines(cart).find((l) => l.vendor && wanted.has(normalize(l.vendor)));
+        return hit ? pass(cond.type, `product ${hit.productId} by ${hit.vendor}`) : fail(cond.type, "no product from the vendors in cart");
+      }
+      case "includes_product_type": {
+        const wanted = new Set((cond.productTypes || []).map(normalize));
+        const hit = triggerLines(cart).find((l) => l.productType && wanted.has(normalize(l.productType)));
+        return hit ? pass(cond.type, `product ${hit.productId} is a ${hit.productType}`) : fail(cond.type, "no product of the types in cart");
+      }
+      case "includes_variant_with_metafield": {
+        const key = `${cond.namespace}.${cond.key}`;
+        const hit = triggerLines(cart).find((l) => {
+          var _a2;
+          return metafieldMatches((_a2 = l.metafields) == null ? void 0 : _a2[key], cond.value);
+        });
+        return hit ? pass(cond.type, `variant ${hit.variantId} has ${key}${cond.value === void 0 ? "" : ` = ${cond.value}`}`) : fail(cond.type, `no variant with ${key}${cond.value === void 0 ? "" : ` = ${cond.value}`} in cart`);
+      }
+      default:
+        return fail((_c = cond.type) != null ? _c : "unknown", "unknown condition type");
+    }
+  }
+  var GROUP_TYPES = /* @__PURE__ */ new Set(["all", "any", "not"]);
+  var MAX_CONDITION_DEPTH = 5;
+  function conditionGap(cond, cart, ctx) {
+    const below = (kind, current, target, max, productId) => {
+      if (current >= target) return null;
+      if (typeof max === "number" && max < target) return null;
+      return productId ? { kind, current, target, productId } : { kind, current, target };
+    };
+    const otherCurrency = (code) => Boolean(code && cart.currencyCode && code !== cart.currencyCode);
+    switch (cond.type) {
+      case "cart_quantity_at_least":
+        return below("quantity", cartQuantity(cart), cond.threshold);
+      case "cart_quantity_in_range":
+        return below("quantity", cartQuantity(cart), cond.min, cond.max);
+      case "cart_total_at_least":
+        return otherCurrency(cond.currencyCode) ? null : below("amount", Math.round(cartTotal(cart) * 100) / 100, cond.amount);
+      case "cart_total_gte":
+        return below("amount", Math.round(cartTotal(cart) * 100) / 100, cond.value);
+      case "subtotal_in_range":
+        if (otherCurrency(cond.currencyCode)) return null;
+        return below("amount", scopedSubtotal(subtotalLines(cond, cart, ctx), cond.beforeDiscounts), cond.min, cond.max);
+      case "product_quantity_in_range": {
+        const pid = toProductGid(cond.productId);
+        return pid ? below("quantity", triggerQuantity(cart, pid), cond.min, cond.max, pid) : null;
+      }
+      default:
+        return null;
+    }
+  }
+  function isConditionGroup(node) {
+    var _a;
+    return Boolean(node) && GROUP_TYPES.has((_a = node.type) != null ? _a : "");
+  }
+  function leafConditions(nodes) {
+    const leaves = [];
+    for (const node of nodes || []) {
+      if (isConditionGroup(node)) leaves.push(...leafConditions(node.conditions));
+      else if (node) leaves.push(node);
+    }
+    return leaves;
+  }
+  function evaluateNode(node, cart, ctx, depth = 0) {
+    if (!isConditionGroup(node)) return evaluateCondition(node, cart, ctx);
+    if (depth >= MAX_CONDITION_DEPTH) {
+      return fail(node.type, `nested deeper than ${MAX_CONDITION_DEPTH} groups`);
+    }
+    const children = (node.conditions || []).map((c) => evaluateNode(c, cart, ctx, depth + 1));
+    const passing = children.filter((c) => c.passed).length;
+    const passed = node.type === "all" ? passing === children.length : node.type === "any" ? passing > 0 : passing === 0;
+    return { type: node.type, passed, reason: `${node.type}: ${passing} of ${children.length} passed`, children };
+  }
+  function evaluateRule(rule, cart, ctx) {
+    if (!rule.active) {
+      return { ruleId: rule.id, matched: false, reason: "not active", conditions: [] };
+    }
+    const schedule = scheduleStatus(rule, ctx.clock);
+    if (schedule.status !== "live") {
+      return { ruleId: rule.id, matched: false, reason: `${schedule.status}: ${schedule.reason}`, conditions: [] };
+    }
+    if (triggerLines(cart).length === 0) {
+      return { ruleId: rule.id, matched: false, reason: "cart has no items", conditions: [] };
+    }
+    const conditions = (rule.conditions || []).map((c) => evaluateNode(c, cart, ctx));
+    return {
+      ruleId: rule.id,
+      matched: conditions.every((c) => c.passed),
+      conditions
+    };
+  }
+
+  // shared/rules/plan.ts
+  var GIFT_MODES = ["storefront", "cart_transform", "both"];
+  var GROUP_STRATEGIES = ["first_match", "highest_value", "lowest_cost"];
+  var DEFAULT_SETTINGS = { giftMode: "storefront", groupStrategies: {}, requireReview: false };
+  function defaultSettings() {
+    return { ...DEFAULT_SETTINGS, groupStrategies: {} };
+  }
+  function parseSettings(raw) {
+    let parsed = raw;
+    if (typeof raw === "string") {
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        return defaultSettings();
+      }
+    }
+    if (!parsed || typeof parsed !== "object") return defaultSettings();
+    const { giftMode, groupStrategies, requireReview } = parsed;
+    const strategies = {};
+    if (groupStrategies && typeof groupStrategies === "object") {
+      for (const [group, strategy] of Object.entries(groupStrategies)) {
+        if (GROUP_STRATEGIES.includes(strategy)) strategies[group] = strategy;
+      }
+    }
+    return {
+      giftMode: GIFT_MODES.includes(giftMode) ? giftMode : DEFAULT_SETTINGS.giftMode,
+      groupStrategies: strategies,
+      requireReview: requireReview === true
+    };
+  }
+  function parseGiftPrices(raw) {
+    const map = /* @__PURE__ */ new Map();
+    let parsed = raw;
+    if (typeof raw === "string") {
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        return map;
+      }
+    }
+    if (!parsed || typeof parsed !== "object") return map;
+    for (const [variantId, v] of Object.entries(parsed)) {
+      const entry = v;
+      const price = Number(entry == null ? void 0 : entry.price);
+      if (!entry || isNaN(price)) continue;
+      const cost = entry.cost === null || entry.cost === void 0 || isNaN(Number(entry.cost)) ? null : Number(entry.cost);
+      map.set(variantId, { price, cost });
+    }
+    return map;
+  }
+  var CHOICES_ATTRIBUTE = "_auto_add_choices";
+  function choiceKey(ruleId, actionIndex) {
+    return `${ruleId}:${actionIndex}`;
+  }
+  function parseChoices(raw) {
+    let parsed = raw;
+    if (typeof raw === "string") {
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        return {};
+      }
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+    const choices = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (typeof value === "string" && value) choices[key] = value;
+    }
+    return choices;
+  }
+  function ruleActions(rule) {
+    if (Array.isArray(rule.actions)) return rule.actions.filter(Boolean);
+    return rule.action ? [rule.action] : [];
+  }
+  function giftQuantity(action, cart) {
+    const base = Math.max(1, Math.floor((action == null ? void 0 : action.quantity) || 1));
+    const scaling = action == null ? void 0 : action.scaling;
+    if (!scaling || !(scaling.per > 0)) return base;
+    const steps = Math.floor(triggerQuantity(cart, scaling.productId) / scaling.per);
+    const quantity = steps * base;
+    return typeof scaling.max === "number" && scaling.max >= 0 ? Math.min(quantity, Math.floor(scaling.max)) : quantity;
+  }
+  function sortRules(rules) {
+    const rank = (r) => typeof r.priority === "number" && !isNaN(r.priority) ? r.priority : Infinity;
+    return rules.map((rule, index) => ({ rule, index })).sort((a, b) => rank(a.rule) - rank(b.rule) || a.index - b.index).map((r) => r.rule);
+  }
+  function giftVariant(rule, { action, index }, ctx) {
+    if (action.type !== "gift_choice") return toVariantGid(action.addVariantId);
+    const chosen = toVariantGid(ctx.choices[choiceKey(rule.id, index)]);
+    const options = (action.variantIds || []).map((id) => toVariantGid(id));
+    return chosen && options.includes(chosen) ? chosen : null;
+  }
+  function scoreRule({ rule, sized }, strategy, ctx) {
+    var _a, _b, _c;
+    if (strategy === "first_match") return null;
+    let total = 0;
+    for (const entry of sized) {
+      const variantId = (_b = giftVariant(rule, entry, ctx)) != null ? _b : entry.action.type === "gift_choice" ? toVariantGid((_a = entry.action.variantIds) == null ? void 0 : _a[0]) : null;
+      const prices = variantId ? ctx.giftPrices.get(variantId) : void 0;
+      if (!prices) return null;
+      const unit = strategy === "lowest_cost" ? (_c = prices.cost) != null ? _c : prices.price : prices.price;
+      total += unit * entry.quantity;
+    }
+    return total;
+  }
+  function resolveGroups(matched, ctx) {
+    const byGroup = /* @__PURE__ */ new Map();
+    for (const m of matched) {
+      if (!m.rule.group) continue;
+      byGroup.set(m.rule.group, [...byGroup.get(m.rule.group) || [], m]);
+    }
+    const resolutions = [];
+    for (const [group, members] of byGroup) {
+      const strategy = ctx.groupStrategies[group] || "first_match";
+      const candidates = members.map((m) => ({ ruleId: m.rule.id, score: scoreRule(m, strategy, ctx) }));
+      let best = candidates[0];
+      for (const c of candidates.slice(1)) {
+        if (c.score === null) continue;
+        const better = best.score === null || (strategy === "highest_value" ? c.score > best.score : c.score < best.score);
+        if (better) best = c;
+      }
+      resolutions.push({ group, strategy, winner: best.ruleId, candidates });
+    }
+    return resolutions;
+  }
+  function planGifts(rules, cart, ctx) {
+    const gifts = [];
+    const choices = [];
+    const evaluations = [];
+    const matched = [];
+    const seenVariants = /* @__PURE__ */ new Set();
+    for (const rule of sortRules(rules)) {
+      const evaluation = evaluateRule(rule, cart, ctx);
+      evaluations.push(evaluation);
+      if (!evaluation.matched) continue;
+      const sized = ruleActions(rule).map((action, index) => ({ action, index, quantity: giftQuantity(action, cart) })).filter((a) => a.quantity > 0);
+      if (sized.length > 0) matched.push({ rule, sized });
+    }
+    const groups = resolveGroups(matched, ctx);
+    const winners = new Set(groups.map((g) => g.winner));
+    for (const m of matched) {
+      const { rule } = m;
+      if (rule.group && !winners.has(rule.id)) continue;
+      for (const entry of m.sized) {
+        const { action, index, quantity } = entry;
+        const variantId = giftVariant(rule, entry, ctx);
+        if (!variantId && action.type === "gift_choice") {
+          const options = (action.variantIds || []).map((id) => toVariantGid(id)).filter((id) => Boolean(id));
+          if (options.length) {
+            choices.push({ ruleId: rule.id, key: choiceKey(rule.id, index), variantIds: options, quantity, prompt: action.prompt || void 0 });
+          }
+          continue;
+        }
+        if (!variantId || seenVariants.has(variantId)) continue;
+        seenVariants.add(variantId);
+        gifts.push({
+          ruleId: rule.id,
+          variantId,
+          quantity,
+          discount: action.discount || void 0,
+          titleOverride: action.titleOverride || void 0
+        });
+      }
+    }
+    return { gifts, choices, evaluations, groups };
+  }
+
+  // shared/rules/collection-index.ts
+  var COLLECTION_INDEX_VERSION = 2;
+  function isCompact(value) {
+    const v = value;
+    return v.v === COLLECTION_INDEX_VERSION && !!v.collections && typeof v.collections === "object";
+  }
+  function addEntry(map, productId, collection) {
+    const set = map.get(productId) || /* @__PURE__ */ new Set();
+    set.add(collection);
+    map.set(productId, set);
+  }
+  function readShard(raw, map) {
+    let parsed = raw;
+    if (typeof raw === "string") {
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        return;
+      }
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return;
+    if (isCompact(parsed)) {
+      for (const [collection, list] of Object.entries(parsed.collections)) {
+        if (!Array.isArray(list)) continue;
+        let id = 0;
+        list.forEach((n, i) => {
+          if (typeof n !== "number" || !Number.isFinite(n)) return;
+          id = i === 0 ? n : id + n;
+          addEntry(map, toProductGid(id), collection);
+        });
+      }
+      return;
+    }
+    for (const [productId, v] of Object.entries(parsed)) {
+      let list = [];
+      if (Array.isArray(v)) list = v;
+      else if (v && typeof v === "object" && Array.isArray(v.collections)) {
+        list = v.collections;
+      }
+      for (const c of list) if (typeof c === "string") addEntry(map, productId, c);
+    }
+  }
+  function parseCollectionIndex(raw) {
+    const map = /* @__PURE__ */ new Map();
+    for (const shard of Array.isArray(raw) ? raw : [raw]) readShard(shard, map);
+    return map;
+  }
+
+  // shared/rules/line-details.ts
+  function metafieldKey(ref) {
+    return `${ref.namespace}.${ref.key}`;
+  }
+  function ruleProductTags(rules) {
+    const tags = /* @__PURE__ */ new Set();
+    for (const r of rules || []) {
+      for (const c of leafConditions(r == null ? void 0 : r.conditions)) {
+        if (c.type !== "includes_product_with_tag" && c.type !== "subtotal_in_range") continue;
+        for (const t of c.tags || []) if (typeof t === "string" && t.trim()) tags.add(t.trim());
+      }
+    }
+    return Array.from(tags);
+  }
+  function ruleVariantMetafields(rules) {
+    const refs = /* @__PURE__ */ new Map();
+    for (const r of rules || []) {
+      for (const c of leafConditions(r == null ? void 0 : r.conditions)) {
+        if (c.type !== "includes_variant_with_metafield" || !c.namespace || !c.key) continue;
+        const ref = { namespace: c.namespace, key: c.key };
+        if (!refs.has(metafieldKey(ref))) refs.set(metafieldKey(ref), ref);
+      }
+    }
+    return Array.from(refs.values());
+  }
+  function needsLineDetails(rules) {
+    return ruleProductTags(rules).length > 0 || ruleVariantMetafields(rules).length > 0;
+  }
+
+  // shared/rules/progress.ts
+  function ruleProgress(rule, cart, ctx) {
+    if (!rule.active || scheduleStatus(rule, ctx.clock).status !== "live") return null;
+    const failing = (rule.conditions || []).filter((c) => !evaluateNode(c, cart, ctx).passed);
+    if (failing.length !== 1 || isConditionGroup(failing[0])) return null;
+    const gap = conditionGap(failing[0], cart, ctx);
+    if (!gap) return null;
+    const giftVariantIds = [];
+    for (const action of ruleActions(rule)) {
+      const ids = action.type === "gift_choice" ? action.variantIds || [] : [action.addVariantId];
+      for (const id of ids) {
+        const gid = toVariantGid(id);
+        if (gid && !giftVariantIds.includes(gid)) giftVariantIds.push(gid);
+      }
+    }
+    const remaining = gap.kind === "amount" ? Math.round((gap.target - gap.current) * 100) / 100 : gap.target - gap.current;
+    return {
+      ruleId: rule.id,
+      ...gap,
+      remaining,
+      giftVariantIds,
+      ...rule.progressMessage ? { message: rule.progressMessage } : {}
+    };
+  }
+  function nextProgress(rules, cart, ctx) {
+    let best = null;
+    let bestShare = -1;
+    for (const rule of sortRules(rules || [])) {
+      const progress = ruleProgress(rule, cart, ctx);
+      if (!progress) continue;
+      const share = progress.target > 0 ? progress.current / progress.target : 0;
+      if (share > bestShare) {
+        best = progress;
+        bestShare = share;
+      }
+    }
+    return best;
+  }
+
+  // shared/rules/reconcile.ts
+  function cartOperations(gifts, cart) {
+    const operations = [];
+    const pending = new Map(gifts.map((g) => [g.variantId, g]));
+    for (const line of cart.lines) {
+      if (!line.autoAdded) continue;
+      const gift = line.variantId ? pending.get(line.variantId) : void 0;
+      if (!gift) {
+        operations.push({ type: "remove", lineId: line.id, variantId: line.variantId });
+        continue;
+      }
+      if (line.quantity !== gift.quantity) {
+        operations.push({ type: "update", ruleId: gift.ruleId, lineId: line.id, variantId: gift.variantId, quantity: gift.quantity });
+      }
+      pending.delete(gift.variantId);
+    }
+    for (const gift of pending.values()) {
+      if (cart.lines.some((l) => l.variantId === gift.variantId)) continue;
+      operations.push({ type: "add", ruleId: gift.ruleId, variantId: gift.variantId, quantity: gift.quantity });
+    }
+    return operations;
+  }
+  function batchCartOperations(operations) {
+    const batch = { updates: {}, items: [] };
+    for (const op of operations) {
+      if (op.type === "add") batch.items.push({ variantId: op.variantId, quantity: op.quantity });
+      else batch.updates[op.lineId] = op.type === "remove" ? 0 : op.quantity;
+    }
+    return batch;
+  }
+
+  // shared/rules/storefront.ts
+  var engine = {
+    AUTO_ADD_PROPERTY,
+    CHOICES_ATTRIBUTE,
+    batchCartOperations,
+    cartOperations,
+    evaluateCondition,
+    evaluateNode,
+    evaluateRule,
+    giftQuantity,
+    needsLineDetails,
+    nextProgress,
+    parseChoices,
+    parseCollectionIndex,
+    parseGiftPrices,
+    parseSettings,
+    planGifts,
+    ruleActions,
+    scheduleStatus,
+    shopClock,
+    sortRules,
+    toCustomerGid,
+    toProductGid,
+    toVariantGid
+  };
+  window.AutoAddEngine = engine;
+})();
@@ -0,0 +1,279 @@
+/**
+ * Auto Add to Cart - Theme adapters
+ * How the storefront script finds a theme's cart drawer and cart lines, hides
+ * the controls of gift lines and re-renders the cart after changing it.
+ *
+ * An adapter is an object with:
+ *   name          unique name, also what the app embed's "Theme" setting picks
+ *   detect()      whether the current page uses this theme
+ *   drawer        selector for the cart drawer; the spinner covers it
+ *   containers    selector for elements whose content the theme re-renders
+ *                 (drawer, cart page); watched to re-mark gift lines
+ *   lines         selector matching one element per cart line
+ *   line(el)      identifies a line element: { key, index, variantId }, any of them
+ *   giftControls  selector for the controls hidden inside gift lines
+ *   sections()    sections to re-render after a change, as
+ *                 { id, target, source }: the element matching `target` on the
+ *                 page gets the content of `source` (default `target`) from the
+ *                 rendered section
+ *   refresh(ctx)  optional; re-renders the cart itself and resolves to true, or
+ *                 to false to fall back to sections(). `ctx` has the updated
+ *                 /cart.js `cart`, renderSections(entries) and dispatch(name, detail).
+ * Only `name` is required; missing parts come from the generic adapter.
+ */
+(function () {
+    'use strict';
+
+    const adapters = [];
+
+    function shopifyThemeName() {
+        const theme = window.Shopify && window.Shopify.theme;
+        return (theme && (theme.schema_name || theme.name)) || '';
+    }
+
+    function themeIs(names) {
+        const current = shopifyThemeName().toLowerCase();
+        return names.some(name => name.toLowerCase() === current);
+    }
+
+    // A variant id from the usual places themes put one inside a cart line
+    function findVariantId(item) {
+        let variantId = item.dataset?.variantId || item.dataset?.id || item.dataset?.lineItemKey?.split(':')[0];
+
+        // Line keys start with the variant id
+        if (!variantId && item.dataset?.key) {
+            const keyMatch = item.dataset.key.match(/^(\d+)/);
+            if (keyMatch) variantId = keyMatch[1];
+        }
+
+        // Product link URL with a variant parameter
+        if (!variantId) {
+            const productLink = item.querySelector('a[href*="variant="]');
+            const variantMatch = productLink && productLink.href.match(/variant=(\d+)/);
+            if (variantMatch) variantId = variantMatch[1];
+        }
+
+        // Quantity input named updates[<variant id>]
+        if (!variantId) {
+            const qtyInput = item.querySelector('input[name*="updates["]');
+            const match = qtyInput && qtyInput.name.match(/updates\[(\d+)\]/);
+            if (match) variantId = match[1];
+        }
+
+        // Remove buttons and links
+        if (!variantId) {
+            const removeBtn = item.querySelector('a[href*="/cart/change"], button[data-variant-id]');
+            if (removeBtn) {
+                variantId = removeBtn.dataset?.variantId;
+                if (!variantId && removeBtn.href) {
+                    const match = removeBtn.href.match(/id=(\d+)/);
+                    variantId = match ? match[1] : null;
+                }
+            }
+        }
+
+        // Line item keys anywhere in the item
+        if (!variantId) {
+            const keyEl = item.querySelector('[data-line-item-key], [data-cart-item-key]');
+            if (keyEl) {
+                const key = keyEl.dataset?.lineItemKey || keyEl.dataset?.cartItemKey;
+                variantId = key?.split(':')[0];
+            }
+        }
+
+        return variantId || null;
+    }
+
+    // Guesses for themes no other adapter recognises
+    const generic = {
+        name: 'generic',
+        detect: () => true,
+        drawer: 'cart-drawer, #cart-drawer, .cart-drawer, [data-cart-drawer]',
+        containers: 'cart-drawer, #cart-drawer, .cart-drawer, [data-cart-drawer], cart-items, .cart-items, cart-drawer-items',
+        lines: [
+            'cart-drawer-items > div',
+            'cart-items .cart-item',
+            '.cart-drawer .cart-item',
+            '.cart-items tr',
+            '[data-cart-item]',
+            '.cart__item',
+            '.cart-item',
+            '.drawer__contents .cart-item',
+            'tr[data-variant-id]'
+        ].join(', '),
+        line: (el) => ({
+            key: el.dataset?.key || el.dataset?.lineItemKey || el.dataset?.cartItemKey || null,
+            variantId: findVariantId(el)
+        }),
+        giftControls: [
+            '.quantity',
+            '.cart-item__quantity',
+            'quantity-input',
+            '.quantity-selector',
+            '.quantity__input',
+            '.quantity__button',
+            'cart-remove-button',
+            '.cart__remove',
+            '.remove',
+            '[data-cart-remove]',
+            'button[name="minus"]',
+            'button[name="plus"]',
+            '.js-qty',
+            '.cart-item__remove',
+            '.quantity__wrapper',
+            '.cart-item__quantity-wrapper'
+        ].join(', '),
+        sections() {
+            const drawer = document.querySelector('cart-drawer');
+            const section = drawer && drawer.closest('[id^="shopify-section"]');
+            const id = section ? section.id.replace('shopify-section-', '') : 'cart-drawer';
+            return [
+                { id, target: '.drawer__inner, .cart-drawer__inner, cart-drawer-items, .cart-items' },
+                { id, target: '.cart-count-bubble' }
+            ];
+        }
+    };
+
+    // Dawn and the other free Online Store 2.0 themes built on it
+    const dawn = {
+        name: 'dawn',
+        detect: () => themeIs(['Dawn', 'Refresh', 'Sense', 'Craft', 'Crave', 'Studio', 'Taste', 'Origin', 'Ride', 'Colorblock', 'Publisher', 'Spotlight', 'Trade'])
+            || !!document.querySelector('cart-drawer #CartDrawer, cart-items#main-cart-items'),
+        drawer: 'cart-drawer',
+        containers: 'cart-drawer, cart-items',
+        lines: 'cart-drawer-items .cart-item, cart-items .cart-item',
+        // Rows are CartItem-<line number>; inputs carry the variant id
+        line(el) {
+            const row = el.id && el.id.match(/CartItem-(\d+)$/);
+            const input = el.querySelector('[data-quantity-variant-id]');
+            return {
+                index: row ? Number(row[1]) : null,
+                variantId: input ? input.dataset.quantityVariantId : null
+            };
+        },
+        giftControls: '.cart-item__quantity, quantity-popover, quantity-input, cart-remove-button',
+        sections() {
+            const entries = [
+                { id: 'cart-drawer', target: '#CartDrawer' },
+                { id: 'cart-icon-bubble', target: '#cart-icon-bubble', source: '.shopify-section' }
+            ];
+            // The cart page's sections are named after the template
+            const items = document.querySelector('#main-cart-items[data-id]');
+            if (items) entries.push({ id: items.dataset.id, target: '#main-cart-items .js-contents', source: '.js-contents' });
+            const footer = document.querySelector('#main-cart-footer[data-id]');
+            if (footer) entries.push({ id: footer.dataset.id, target: '#main-cart-footer .js-contents', source: '.js-contents' });
+            return entries;
+        }
+    };
+
+    // Shopify's Horizon themes re-render their own cart components on cart:update
+    const horizon = {
+        name: 'horizon',
+        detect: () => themeIs(['Horizon']) || !!document.querySelector('cart-items-component'),
+        drawer: 'cart-drawer-component',
+        containers: 'cart-drawer-component, cart-items-component',
+        lines: 'cart-items-component [data-key]',
+        line: (el) => ({ key: el.dataset.key, variantId: findVariantId(el) }),
+        giftControls: 'quantity-selector-component, .cart-items__remove, .cart-item__quantity',
+        async refresh(ctx) {
+            const itemCount = ctx.cart ? ctx.cart.item_count : undefined;
+            ctx.dispatch('cart:update', { resource: ctx.cart, sourceId: 'auto-add', data: { source: 'auto-add', itemCount } });
+            return true;
+        }
+    };
+
+    // Archetype themes rebuild their drawer on cart:build
+    const archetype = {
+        name: 'archetype',
+        detect: () => themeIs(['Impulse', 'Motion', 'Streamline', 'Expanse']),
+        drawer: '#CartDrawer',
+        containers: '#CartDrawer, [data-section-type="cart"]',
+        lines: '.cart__item[data-key], .cart__item',
+        line: (el) => ({ key: el.dataset.key || null, variantId: findVariantId(el) }),
+        giftControls: '.js-qty__wrapper, .cart__remove',
+        async refresh(ctx) {
+            ctx.dispatch('cart:build');
+            return true;
+        }
+    };
+
+    /**
+     * Add an adapter, or replace the one with the same name. Adapters added
+     * this way are tried before the built-in ones.
+     */
+    function register(adapter) {
+        if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+            throw new Error('[AutoAdd] A theme adapter needs a name');
+        }
+        const existing = adapters.findIndex(a => a.name === adapter.name);
+        if (existing >= 0) adapters.splice(existing, 1);
+        const firstBuiltIn = adapters.findIndex(a => a.builtIn);
+        adapters.splice(firstBuiltIn < 0 ? adapters.length : firstBuiltIn, 0, adapter);
+        return adapter;
+    }
+
+    function detected() {
+        for (const adapter of adapters) {
+            try {
+                if (adapter.detect && adapter.detect()) return adapter;
+            } catch (error) {
+                console.error('[AutoAdd] Theme adapter', adapter.name, 'failed to detect:', error);
+            }
+        }
+        return generic;
+    }
+
+    // "id" or "id:selector", comma-separated
+    function parseSectionIds(value) {
+        return String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+            const at = entry.indexOf(':');
+            const id = at < 0 ? entry : entry.slice(0, at).trim();
+            const target = at < 0 ? '#shopify-section-' + id : entry.slice(at + 1).trim();
+            return { id, target };
+        });
+    }
+
+    /**
+     * The adapter for this page: the one the merchant picked in the app embed,
+     * else the first that detects the theme. Selectors and section ids the
+     * merchant entered take precedence over the adapter's.
+     */
+    function resolve(overrides) {
+        const settings = overrides || {};
+        const picked = settings.adapter && settings.adapter !== 'auto'
+            ? adapters.find(a => a.name === settings.adapter)
+            : null;
+        const adapter = { ...generic, ...(picked || detected()) };
+        if (settings.drawer) adapter.drawer = settings.drawer;
+        if (settings.drawer || settings.lines) {
+            adapter.containers = [settings.drawer || adapter.drawer, adapter.containers].join(', ');
+        }
+        if (settings.lines) {
+            adapter.lines = settings.lines;
+            adapter.line = generic.line;
+        }
+        if (settings.giftControls) adapter.giftControls = settings.giftControls;
+        if (settings.sections) {
+            const entries = parseSectionIds(settings.sections);
+            adapter.sections = () => entries;
+            adapter.refresh = null;
+        }
+        return adapter;
+    }
+
+    [dawn, horizon, archetype, generic].forEach(adapter => {
+        adapter.builtIn = true;
+        adapters.push(adapter);
+    });
+
+    window.AutoAddThemes = {
+        register,
+        resolve,
+        adapters: () => adapters.map(a => a.name)
+    };
+
+    // Theme code may register before this script runs by pushing onto
+    // window.AutoAddAdapters, or afterwards through window.AutoAdd
+    (window.AutoAddAdapters || []).forEach(register);
+    window.AutoAdd = Object.assign(window.AutoAdd || {}, { registerAdapter: register });
+})();
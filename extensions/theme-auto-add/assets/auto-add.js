@@ -1,14 +1,88 @@
 /**
  * Auto Add to Cart - Storefront JavaScript
  * Monitors cart changes and automatically adds/removes products based on rules.
+ *
+ * Theme code can drive it through window.AutoAdd:
+ *   evaluate()         evaluates the cart now, even if it looks unchanged or the
+ *                      runtime is paused; resolves to getState() once done
+ *   getMatchedRules()  rules that matched in the last evaluation, as
+ *                      [{ ruleId, gifts: [{ variantId, quantity }] }]; gifts is
+ *                      empty for a rule that lost its exclusivity group
+ *   getState()         { ready, paused, evaluating, giftMode, theme, rules,
+ *                      matchedRules, gifts, pendingChoices, progress,
+ *                      lastEvaluatedAt }; progress is the RuleProgress the
+ *                      gift progress block shows, or null
+ *   pause()            stops evaluating on cart changes until resume()
+ *   resume()           resumes and evaluates the cart
+ *   registerAdapter()  see auto-add-themes.js
+ * and listen on document for these CustomEvents (details in event.detail):
+ *   autoadd:rules-loaded  { rules, giftMode } - rules is the number loaded
+ *   autoadd:gift-added    { ruleId, variantId, quantity }
+ *   autoadd:gift-removed  { variantId, lineKey }
+ *   autoadd:progress      { progress } - after each evaluation, as in getState()
+ *   autoadd:error         { stage, message } - stage is one of rules,
+ *                         line-details, gift-choice, cart, refresh, evaluate
+ * Gift events are only sent for changes this script makes, so not when the
+ * Cart Transform function adds gifts.
  */
 (function () {
     'use strict';
 
     const AUTO_ADD_PROPERTY = '_auto_added';
+    // The page's fetch before the runtime wraps it; the script's own cart
+    // changes go through it so they don't trigger another evaluation
+    const nativeFetch = window.fetch.bind(window);
+    const CART_MUTATION_PATHS = ['/cart/add', '/cart/change', '/cart/update', '/cart/clear'];
+    // Dispatched by Shopify themes (Horizon's cart:update, Dawn-style and
+    // third-party drawers) when the cart changes or its drawer opens
+    const CART_EVENTS = [
+        'cart:update', 'cart:updated', 'cart:change', 'cart:changed', 'cart:refresh', 'cart:build',
+        'cart:open', 'cart:item-added', 'theme:cart:change', 'ajaxProduct:added', 'product:added',
+        'shopify:section:load'
+    ];
+    const DEBOUNCE_MS = 300; // bursts of events and requests become one evaluation
+    const POLL_BASE_MS = 5000; // fallback polling, doubled after each unchanged poll
+    const POLL_MAX_MS = 60000;
+    const MAX_RECONCILE_ATTEMPTS = 3; // plans tried when the cart keeps changing underneath
     let rules = [];
+    let collectionIndex = new Map();
+    let appSettings = { giftMode: 'storefront', groupStrategies: {} };
+    let giftPrices = new Map(); // variant GID -> { price, cost } for group strategies
+    let customer = null; // logged-in customer from the app embed, null for guests
+    let shopTimezone = null; // IANA timezone rule schedules are written in
+    let variantInfo = {}; // variant GID -> { title, image } for gift choice options and progress messages
+    let productInfo = {}; // product GID -> { title } for products quantity thresholds count
+    let detailsUrl = null; // app proxy endpoint for product tags and variant metafields
+    let themeSettings = {}; // adapter choice and selector overrides from the app embed
+    const lineDetails = new Map(); // variant GID -> { tags, metafields }, for rules that need them
+    const dismissedChoices = new Set(); // gift choices the shopper closed the picker for
     let processing = false;
-    let lastCartToken = null;
+    let pendingEvaluation = false; // another evaluation was asked for while one ran
+    let lastCartSignature = null;
+    let evaluationTimer = null;
+    let pollTimer = null;
+    let pollDelay = POLL_BASE_MS;
+    let dispatchingOwnEvent = false;
+    let cartMutations = 0; // cart changes by the theme or shopper the runtime has noticed
+    let paused = false;
+    let ready = false; // rules loaded and monitoring started
+    let lastPlan = null; // GiftPlan of the last evaluation
+    let lastProgress = null; // RuleProgress towards the nearest gift, see updateProgress
+    let lastEvaluatedAt = null;
+    const idleWaiters = []; // evaluate() calls waiting for a running evaluation
+    let markReady;
+    const initialized = new Promise(resolve => { markReady = resolve; });
+
+    /**
+     * Dispatch one of the autoadd:* events documented above
+     */
+    function emit(name, detail) {
+        document.dispatchEvent(new CustomEvent('autoadd:' + name, { bubbles: true, detail }));
+    }
+
+    function reportError(stage, error) {
+        emit('error', { stage, message: error && error.message ? error.message : String(error) });
+    }
 
     /**
      * Fetch rules from the app proxy
@@ -22,6 +96,9 @@
             }
 
             const settings = JSON.parse(settingsEl.textContent);
+            customer = settings.customer || null;
+            detailsUrl = settings.detailsUrl || null;
+            themeSettings = settings.theme || {};
             const response = await fetch(settings.proxyUrl + '?shop=' + window.Shopify.shop);
 
             if (!response.ok) {
@@ -30,9 +107,17 @@
 
             const data = await response.json();
             rules = data.rules || [];
+            collectionIndex = window.AutoAddEngine.parseCollectionIndex(data.collectionIndex);
+            appSettings = window.AutoAddEngine.parseSettings(data.settings);
+            shopTimezone = data.timezone || null;
+            variantInfo = data.variants || {};
+            productInfo = data.products || {};
+            giftPrices = window.AutoAddEngine.parseGiftPrices(data.giftPrices);
             console.log('[AutoAdd] Loaded', rules.length, 'active rules');
+            emit('rules-loaded', { rules: rules.length, giftMode: appSettings.giftMode });
         } catch (error) {
             console.error('[AutoAdd] Error fetching rules:', error);
+            reportError('rules', error);
         }
     }
 
@@ -55,41 +140,12 @@
         }
     }
 
-    /**
-     * Add a product to cart
-     */
-    async function addToCart(variantId, quantity) {
-        try {
-            const response = await fetch('/cart/add.js', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    items: [{
-                        id: parseInt(variantId.replace('gid://shopify/ProductVariant/', '')),
-                        quantity: quantity,
-                        properties: { [AUTO_ADD_PROPERTY]: 'true' }
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to add to cart: ' + response.status);
-            }
-
-            console.log('[AutoAdd] Added variant', variantId);
-            return true;
-        } catch (error) {
-            console.error('[AutoAdd] Error adding to cart:', error);
-            return false;
-        }
-    }
-
     /**
      * Show/hide loading spinner inside cart drawer during cart operations
      */
     function showSpinner() {
         // Find the cart drawer
-        const cartDrawer = document.querySelector('cart-drawer, #cart-drawer, .cart-drawer, [data-cart-drawer]');
+        const cartDrawer = document.querySelector(themeAdapter().drawer);
         if (!cartDrawer) return;
 
         // Create spinner if it doesn't exist
@@ -174,48 +230,73 @@
 
 
     /**
-     * Refresh the cart UI to show changes immediately
-     * Optimized for speed - minimal network requests
+     * The theme adapter for this page (see auto-add-themes.js)
      */
-    async function refreshCartUI() {
+    function themeAdapter() {
+        return window.AutoAddThemes.resolve(themeSettings);
+    }
+
+    /**
+     * Dispatch an event the runtime's own cart listeners ignore
+     */
+    function dispatchOwnEvent(name, detail) {
+        dispatchingOwnEvent = true;
         try {
-            // Single fetch to get section and cart in one go
-            const cartDrawer = document.querySelector('cart-drawer');
-            const section = cartDrawer?.closest('[id^="shopify-section"]');
-            const sectionId = section?.id?.replace('shopify-section-', '') || 'cart-drawer';
-
-            // Fetch section with cart data - single network request
-            const response = await fetch(`${window.location.pathname}?section_id=${sectionId}`);
-            if (response.ok) {
-                const html = await response.text();
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-
-                // Update cart drawer content
-                const newContent = doc.querySelector('.drawer__inner, .cart-drawer__inner, cart-drawer-items, .cart-items');
-                const currentContent = cartDrawer?.querySelector('.drawer__inner, .cart-drawer__inner, cart-drawer-items, .cart-items');
-
-                if (newContent && currentContent) {
-                    currentContent.innerHTML = newContent.innerHTML;
-                }
+            document.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+        } finally {
+            dispatchingOwnEvent = false;
+        }
+    }
 
-                // Update cart count from new HTML
-                const newBubble = doc.querySelector('.cart-count-bubble span');
-                if (newBubble) {
-                    document.querySelectorAll('.cart-count-bubble span').forEach(span => {
-                        span.textContent = newBubble.textContent;
-                    });
-                }
+    /**
+     * Re-render sections through the Section Rendering API in one request.
+     * Each entry's `target` on the page gets the content of its `source` (or
+     * `target`) in the rendered section. Entries not on the page are skipped.
+     */
+    async function renderSections(entries) {
+        const present = (entries || []).filter(entry => document.querySelector(entry.target));
+        if (present.length === 0) return false;
+
+        const ids = [...new Set(present.map(entry => entry.id))];
+        const response = await nativeFetch(window.location.pathname + '?sections=' + ids.map(encodeURIComponent).join(','));
+        if (!response.ok) return false;
+        const sections = await response.json();
+
+        const parser = new DOMParser();
+        for (const entry of present) {
+            const html = sections[entry.id];
+            if (!html) continue;
+            const doc = parser.parseFromString(html, 'text/html');
+            const source = doc.querySelector(entry.source || entry.target);
+            const target = document.querySelector(entry.target);
+            if (source && target) target.innerHTML = source.innerHTML;
+        }
+        return true;
+    }
+
+    /**
+     * Refresh the cart UI to show changes immediately, the way the theme adapter says
+     */
+    async function refreshCartUI() {
+        try {
+            const adapter = themeAdapter();
+            let handled = false;
+            if (adapter.refresh) {
+                handled = await adapter.refresh({ cart: await getCart(), renderSections, dispatch: dispatchOwnEvent });
+            }
+            if (!handled) {
+                await renderSections(adapter.sections ? adapter.sections() : []);
             }
 
-            // Quick event dispatch - no await needed
-            document.dispatchEvent(new CustomEvent('cart:updated', { bubbles: true }));
+            // Quick event dispatch for themes and apps that listen for it
+            dispatchOwnEvent('cart:updated');
 
             // Hide controls for gift products
             await hideGiftControls();
 
         } catch (error) {
             console.error('[AutoAdd] Refresh error:', error);
+            reportError('refresh', error);
         }
     }
 
@@ -230,163 +311,46 @@
                 return;
             }
 
-            // Find auto-added items (gifts)
-            const giftVariantIds = cart.items
-                .filter(item => item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true')
-                .map(item => String(item.variant_id));
-
-            console.log('[AutoAdd] Gift variant IDs:', giftVariantIds);
+            // Auto-added items (gifts), by line key, line number and variant id
+            const gifts = cart.items
+                .map((item, i) => ({ item, index: i + 1 }))
+                .filter(({ item }) => item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true');
+            const giftKeys = new Set(gifts.map(({ item }) => item.key));
+            const giftIndexes = new Set(gifts.map(({ index }) => index));
+            const giftVariantIds = new Set(gifts.map(({ item }) => String(item.variant_id)));
 
-            if (giftVariantIds.length === 0) {
-                console.log('[AutoAdd] No gift items to style');
-                return;
-            }
+            const adapter = themeAdapter();
 
-            // Inject CSS to hide controls (only once)
-            if (!document.getElementById('auto-add-gift-styles')) {
-                const style = document.createElement('style');
+            // CSS hiding the adapter's controls on gift lines, rewritten when the adapter changes
+            let style = document.getElementById('auto-add-gift-styles');
+            if (!style) {
+                style = document.createElement('style');
                 style.id = 'auto-add-gift-styles';
-                style.textContent = `
-                    .auto-add-gift-item .quantity,
-                    .auto-add-gift-item .cart-item__quantity,
-                    .auto-add-gift-item quantity-input,
-                    .auto-add-gift-item .quantity-selector,
-                    .auto-add-gift-item .quantity__input,
-                    .auto-add-gift-item .quantity__button,
-                    .auto-add-gift-item cart-remove-button,
-                    .auto-add-gift-item .cart__remove,
-                    .auto-add-gift-item .remove,
-                    .auto-add-gift-item [data-cart-remove],
-                    .auto-add-gift-item button[name="minus"],
-                    .auto-add-gift-item button[name="plus"],
-                    .auto-add-gift-item .js-qty,
-                    .auto-add-gift-item .cart-item__remove,
-                    .auto-add-gift-item .quantity__wrapper,
-                    .auto-add-gift-item .cart-item__quantity-wrapper {
-                        display: none !important;
-                    }
-                `;
                 document.head.appendChild(style);
-                console.log('[AutoAdd] Injected gift styles CSS');
             }
+            const css = adapter.giftControls.split(',')
+                .map(selector => '.auto-add-gift-item ' + selector.trim())
+                .join(',\n') + ' {\n    display: none !important;\n}';
+            if (style.textContent !== css) style.textContent = css;
 
-            // Find cart line items and mark gifts
-            const cartItemSelectors = [
-                'cart-drawer-items > div',
-                'cart-items .cart-item',
-                '.cart-drawer .cart-item',
-                '.cart-items tr',
-                '[data-cart-item]',
-                '.cart__item',
-                '.cart-item',
-                'cart-drawer-items .cart-item',
-                '.drawer__contents .cart-item',
-                'tr[data-variant-id]'
-            ];
-
-            let foundItems = 0;
             let markedItems = 0;
-
-            for (const selector of cartItemSelectors) {
-                const items = document.querySelectorAll(selector);
-                if (items.length > 0) {
-                    console.log('[AutoAdd] Found', items.length, 'items with selector:', selector);
+            const items = document.querySelectorAll(adapter.lines);
+            items.forEach(item => {
+                const line = adapter.line(item) || {};
+                // Keys and line numbers tell a gift from the shopper's own line of the same variant
+                const isGift = line.key ? giftKeys.has(line.key)
+                    : line.index ? giftIndexes.has(Number(line.index))
+                        : !!line.variantId && giftVariantIds.has(String(line.variantId));
+
+                if (isGift) {
+                    item.classList.add('auto-add-gift-item');
+                    markedItems++;
+                } else {
+                    item.classList.remove('auto-add-gift-item');
                 }
+            });
 
-                items.forEach(item => {
-                    foundItems++;
-
-                    // Method 1: Check data attributes on the item
-                    let variantId = item.dataset?.variantId || item.dataset?.id || item.dataset?.lineItemKey?.split(':')[0];
-
-                    // Method 2: Check key attribute (Dawn theme uses this)  
-                    if (!variantId && item.dataset?.key) {
-                        const keyMatch = item.dataset.key.match(/^(\d+)/);
-                        if (keyMatch) variantId = keyMatch[1];
-                    }
-
-                    // Method 3: Check product link URL for variant parameter
-                    if (!variantId) {
-                        const productLink = item.querySelector('a[href*="variant="], a[href*="/products/"]');
-                        if (productLink) {
-                            const variantMatch = productLink.href.match(/variant=(\d+)/);
-                            if (variantMatch) variantId = variantMatch[1];
-                        }
-                    }
-
-                    // Method 4: Check hidden input
-                    if (!variantId) {
-                        const input = item.querySelector('[name*="id"], [name*="variant"], input[type="hidden"]');
-                        variantId = input?.value;
-                    }
-
-                    // Method 5: Check quantity-input element (Dawn theme)
-                    if (!variantId) {
-                        const qtyInput = item.querySelector('quantity-input');
-                        if (qtyInput) {
-                            variantId = qtyInput.dataset?.index?.split(':')[0];
-                        }
-                    }
-
-                    // Method 6: Check any input with data-index
-                    if (!variantId) {
-                        const indexInput = item.querySelector('[data-index], input[data-index]');
-                        if (indexInput) {
-                            const idx = indexInput.dataset?.index || indexInput.getAttribute('data-index');
-                            variantId = idx?.split(':')[0];
-                        }
-                    }
-
-                    // Method 7: Check quantity input name
-                    if (!variantId) {
-                        const qtyInput = item.querySelector('input[name*="updates"]');
-                        if (qtyInput) {
-                            const match = qtyInput.name.match(/updates\[(\d+)\]/);
-                            variantId = match ? match[1] : null;
-                        }
-                    }
-
-                    // Method 8: Check cart-remove-button or remove links
-                    if (!variantId) {
-                        const removeBtn = item.querySelector('cart-remove-button, a[href*="/cart/change"], button[data-variant-id]');
-                        if (removeBtn) {
-                            // Check data-index on cart-remove-button (Dawn theme)
-                            variantId = removeBtn.dataset?.index?.split(':')[0];
-                            if (!variantId) variantId = removeBtn.dataset?.variantId;
-                            if (!variantId && removeBtn.href) {
-                                const match = removeBtn.href.match(/id=(\d+)/);
-                                variantId = match ? match[1] : null;
-                            }
-                        }
-                    }
-
-                    // Method 9: Check data-line-item-key anywhere in the item
-                    if (!variantId) {
-                        const keyEl = item.querySelector('[data-line-item-key], [data-cart-item-key]');
-                        if (keyEl) {
-                            const key = keyEl.dataset?.lineItemKey || keyEl.dataset?.cartItemKey;
-                            variantId = key?.split(':')[0];
-                        }
-                    }
-
-                    // Debug: log first item's HTML if no variant found
-                    if (!variantId && foundItems <= 2) {
-                        console.log('[AutoAdd] DEBUG - Item HTML:', item.outerHTML.substring(0, 500));
-                    }
-
-                    console.log('[AutoAdd] Item variant ID found:', variantId, 'Item:', item.className);
-
-                    if (variantId && giftVariantIds.includes(String(variantId))) {
-                        item.classList.add('auto-add-gift-item');
-                        markedItems++;
-                        console.log('[AutoAdd] Marked item as gift:', variantId);
-                    } else {
-                        item.classList.remove('auto-add-gift-item');
-                    }
-                });
-            }
-
-            console.log('[AutoAdd] hideGiftControls: found', foundItems, 'items, marked', markedItems, 'as gifts');
+            console.log('[AutoAdd] hideGiftControls (' + adapter.name + '): found', items.length, 'items, marked', markedItems, 'as gifts');
 
         } catch (error) {
             console.error('[AutoAdd] Error hiding gift controls:', error);
@@ -394,35 +358,19 @@
     }
 
     /**
-     * Set up observer to re-apply gift controls hiding when cart drawer content changes
+     * Set up observer to re-apply gift controls hiding when the theme re-renders the cart
      */
     function setupGiftControlsObserver() {
-        // Watch for changes to cart drawer content
-        const cartDrawer = document.querySelector('cart-drawer, #cart-drawer, .cart-drawer, [data-cart-drawer]');
-        if (cartDrawer) {
+        document.querySelectorAll(themeAdapter().containers).forEach(container => {
             const observer = new MutationObserver((mutations) => {
                 // Check if any actual content changed (not just classes)
                 const hasContentChange = mutations.some(m =>
                     m.type === 'childList' && m.addedNodes.length > 0
                 );
                 if (hasContentChange) {
-                    console.log('[AutoAdd] Cart drawer content changed, re-hiding gift controls');
                     setTimeout(hideGiftControls, 100);
                 }
             });
-
-            observer.observe(cartDrawer, {
-                childList: true,
-                subtree: true
-            });
-            console.log('[AutoAdd] Gift controls observer set up on cart drawer');
-        }
-
-        // Also watch for any cart-items containers
-        document.querySelectorAll('cart-items, .cart-items, cart-drawer-items').forEach(container => {
-            const observer = new MutationObserver(() => {
-                setTimeout(hideGiftControls, 100);
-            });
             observer.observe(container, {
                 childList: true,
                 subtree: true
@@ -443,357 +391,526 @@
     }
 
     /**
-     * Remove an auto-added product from cart by line key
+     * Store the shopper's gift choices on the cart so every runtime sees them
      */
-    async function removeFromCart(lineKey) {
+    async function saveGiftChoices(choices) {
         try {
-            console.log('[AutoAdd] Removing item with key:', lineKey);
-            const response = await fetch('/cart/change.js', {
+            const response = await nativeFetch('/cart/update.js', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    id: String(lineKey),
-                    quantity: 0
+                    attributes: { [window.AutoAddEngine.CHOICES_ATTRIBUTE]: JSON.stringify(choices) }
                 })
             });
 
-            const result = await response.json();
-
-            if (!response.ok || result.status === 422) {
-                console.error('[AutoAdd] Remove failed:', result);
-                return false;
+            if (!response.ok) {
+                throw new Error('Failed to save gift choice: ' + response.status);
             }
-
-            console.log('[AutoAdd] Removed item successfully');
             return true;
         } catch (error) {
-            console.error('[AutoAdd] Error removing from cart:', error);
+            console.error('[AutoAdd] Error saving gift choice:', error);
+            reportError('gift-choice', error);
             return false;
         }
     }
 
     /**
-     * Update cart item quantity by line key (used to enforce gift quantity = 1)
+     * Show the gift picker from the app embed for one pending choice
      */
-    async function updateCartItemQuantity(lineKey, quantity) {
-        try {
-            console.log('[AutoAdd] Updating item key:', lineKey, 'to qty:', quantity);
-            const response = await fetch('/cart/change.js', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    id: String(lineKey),
-                    quantity: quantity
-                })
+    function showGiftPicker(choice, currentChoices) {
+        const picker = document.getElementById('auto-add-gift-picker');
+        if (!picker || !picker.hidden) return;
+
+        const title = picker.querySelector('[data-auto-add-picker-title]');
+        if (title && choice.prompt) title.textContent = choice.prompt;
+
+        const list = picker.querySelector('[data-auto-add-picker-options]');
+        list.innerHTML = '';
+        for (const variantGid of choice.variantIds) {
+            const info = variantInfo[variantGid] || {};
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'auto-add-gift-picker__option';
+            if (info.image) {
+                const img = document.createElement('img');
+                img.src = info.image;
+                img.alt = '';
+                img.width = 64;
+                img.height = 64;
+                button.appendChild(img);
+            }
+            const label = document.createElement('span');
+            label.textContent = info.title || variantGid.replace('gid://shopify/ProductVariant/', '#');
+            button.appendChild(label);
+            button.addEventListener('click', async function () {
+                console.log('[AutoAdd] Gift chosen:', choice.key, variantGid);
+                picker.hidden = true;
+                showSpinner();
+                await saveGiftChoices({ ...currentChoices, [choice.key]: variantGid });
+                scheduleEvaluation('gift chosen', 0);
             });
+            list.appendChild(button);
+        }
+
+        picker.querySelector('[data-auto-add-picker-close]').onclick = function () {
+            dismissedChoices.add(choice.key);
+            picker.hidden = true;
+        };
+        picker.hidden = false;
+    }
 
-            const result = await response.json();
+    function formatAmount(amount, currency) {
+        try {
+            return new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return amount.toFixed(2);
+        }
+    }
 
-            if (!response.ok || result.status === 422) {
-                console.error('[AutoAdd] Update failed:', result);
-                return false;
+    /**
+     * Text for the gift progress block: the rule's own template, else the
+     * block's localized one for the kind of threshold
+     */
+    function progressMessage(progress, cart, el) {
+        const product = progress.productId
+            ? (productInfo[progress.productId] || {}).title
+                || (cart.items.find(item => window.AutoAddEngine.toProductGid(item.product_id) === progress.productId) || {}).product_title
+            : null;
+        const gift = (variantInfo[progress.giftVariantIds[0]] || {}).title || el.dataset.giftFallback || '';
+
+        let template = progress.message;
+        if (!template) {
+            template = progress.kind === 'amount' ? el.dataset.spendTemplate
+                : product ? el.dataset.productQuantityTemplate
+                    : el.dataset.quantityTemplate;
+        }
+        const values = {
+            amount: formatAmount(progress.remaining, cart.currency),
+            quantity: String(progress.remaining),
+            product: product || '',
+            gift
+        };
+        return (template || '').replace(/\{(amount|quantity|product|gift)\}/g, (match, name) => values[name]);
+    }
+
+    /**
+     * Render progress towards the nearest gift into every gift progress block
+     */
+    function updateProgress(progress, cart) {
+        lastProgress = progress;
+        document.querySelectorAll('[data-auto-add-progress]').forEach(el => {
+            if (!progress) {
+                el.hidden = true;
+                return;
             }
+            const message = el.querySelector('[data-auto-add-progress-message]');
+            if (message) message.textContent = progressMessage(progress, cart, el);
+
+            const percent = progress.target > 0 ? Math.round(Math.min(1, progress.current / progress.target) * 100) : 0;
+            const track = el.querySelector('[data-auto-add-progress-track]');
+            if (track) track.setAttribute('aria-valuenow', String(percent));
+            const bar = el.querySelector('[data-auto-add-progress-bar]');
+            if (bar) bar.style.width = percent + '%';
+            el.hidden = false;
+        });
+        emit('progress', { progress });
+    }
 
-            console.log('[AutoAdd] Updated item to quantity', quantity);
-            return true;
+    /**
+     * Load product tags and variant metafields for cart variants not seen yet.
+     * Only needed when a rule checks them; /cart.js doesn't include them.
+     */
+    async function loadLineDetails(cart) {
+        const engine = window.AutoAddEngine;
+        if (!detailsUrl || !engine.needsLineDetails(rules)) return;
+
+        const missing = [...new Set(cart.items.map(item => engine.toVariantGid(item.variant_id)))]
+            .filter(gid => gid && !lineDetails.has(gid));
+        if (missing.length === 0) return;
+
+        try {
+            const ids = missing.map(gid => gid.split('/').pop()).join(',');
+            const response = await fetch(detailsUrl + '?shop=' + window.Shopify.shop + '&variants=' + ids);
+            if (!response.ok) {
+                throw new Error('Failed to fetch line details: ' + response.status);
+            }
+            const data = await response.json();
+            // Variants the lookup didn't return are cached empty so they aren't asked for again
+            for (const gid of missing) {
+                lineDetails.set(gid, (data.details && data.details[gid]) || { tags: [], metafields: {} });
+            }
         } catch (error) {
-            console.error('[AutoAdd] Error updating cart:', error);
-            return false;
+            console.error('[AutoAdd] Error fetching line details:', error);
+            reportError('line-details', error);
         }
-    }  /**
-     * Check if a rule's conditions are met
+    }
+
+    /**
+     * Map a /cart.js response into the shape the shared rule engine evaluates
      */
-    function evaluateRule(rule, cart) {
-        if (!rule.conditions || rule.conditions.length === 0) {
-            console.log('[AutoAdd] Rule has no conditions:', rule.id);
-            return false;
+    function toEngineCart(cart) {
+        const engine = window.AutoAddEngine;
+        return {
+            currencyCode: cart.currency || null,
+            customer: customer ? {
+                id: engine.toCustomerGid(customer.id),
+                numberOfOrders: customer.ordersCount ?? null,
+                tags: customer.tags || []
+            } : null,
+            lines: cart.items.map(item => {
+                const variantId = engine.toVariantGid(item.variant_id);
+                const details = lineDetails.get(variantId);
+                return {
+                    id: item.key,
+                    variantId,
+                    productId: engine.toProductGid(item.product_id),
+                    productTags: details ? details.tags : [],
+                    vendor: item.vendor || null,
+                    productType: item.product_type || null,
+                    metafields: details ? details.metafields : {},
+                    quantity: item.quantity,
+                    totalAmount: (item.final_line_price ?? item.line_price) / 100, // cents to currency units
+                    subtotalAmount: (item.original_line_price ?? item.line_price) / 100,
+                    autoAdded: !!(item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true')
+                };
+            })
+        };
+    }
+
+    /**
+     * Log condition results, indenting the members of AND / OR / NOT groups
+     */
+    function logConditions(results, depth) {
+        for (const cond of results) {
+            console.log('[AutoAdd] ' + '  '.repeat(depth) + 'Condition', cond.type, cond.passed ? 'PASSED' : 'FAILED', '-', cond.reason);
+            if (cond.children) logConditions(cond.children, depth + 1);
         }
+    }
 
-        console.log('[AutoAdd] Evaluating rule:', rule.id, 'conditions:', rule.conditions.length);
-
-        for (const cond of rule.conditions) {
-            console.log('[AutoAdd] Checking condition:', cond.type, cond);
-
-            switch (cond.type) {
-                case 'product_quantity_in_range': {
-                    // Extract product ID number from GID
-                    const targetProductId = cond.productId.replace('gid://shopify/Product/', '');
-                    let totalQty = 0;
-
-                    // Don't count auto-added gift items in the quantity
-                    for (const item of cart.items) {
-                        // Skip auto-added items when counting trigger product quantity
-                        if (item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true') {
-                            continue;
-                        }
-                        if (String(item.product_id) === targetProductId) {
-                            totalQty += item.quantity;
-                        }
-                    }
+    /**
+     * Log why a rule did or did not match
+     */
+    function logEvaluation(result) {
+        if (result.reason) {
+            console.log('[AutoAdd] Rule', result.ruleId, 'skipped:', result.reason);
+            return;
+        }
 
-                    console.log('[AutoAdd] Product qty check: target=', targetProductId, 'totalQty=', totalQty, 'range=', cond.min, '-', cond.max);
+        logConditions(result.conditions, 0);
 
-                    if (totalQty < cond.min) {
-                        console.log('[AutoAdd] Qty', totalQty, '< min', cond.min, '- condition FAILED');
-                        return false;
-                    }
-                    if (cond.max !== undefined && cond.max !== null && totalQty > cond.max) {
-                        console.log('[AutoAdd] Qty', totalQty, '> max', cond.max, '- condition FAILED');
-                        return false;
-                    }
-                    console.log('[AutoAdd] Condition PASSED');
-                    break;
-                }
+        console.log('[AutoAdd] Rule', result.ruleId, result.matched ? 'matched' : 'did not match');
+    }
 
-                case 'cart_total_gte': {
-                    const cartTotal = cart.total_price / 100; // Convert cents to dollars
-                    console.log('[AutoAdd] Cart total check: total=', cartTotal, 'min=', cond.value);
-                    if (cartTotal < cond.value) {
-                        console.log('[AutoAdd] Cart total', cartTotal, '< min', cond.value, '- condition FAILED');
-                        return false;
-                    }
-                    console.log('[AutoAdd] Condition PASSED');
-                    break;
-                }
+    /**
+     * What evaluation depends on. The cart token stays the same while the
+     * contents change, so it can't tell on its own whether anything did.
+     */
+    function cartSignature(cart) {
+        return JSON.stringify([
+            cart.token,
+            cart.total_price,
+            cart.items.map(item => [item.key, item.quantity]),
+            (cart.attributes && cart.attributes[window.AutoAddEngine.CHOICES_ATTRIBUTE]) || null
+        ]);
+    }
+
+    /**
+     * Plan the gifts for a /cart.js response, asking the shopper about any
+     * pending gift choice
+     */
+    async function planCart(cart) {
+        console.log('[AutoAdd] Processing cart with', cart.items.length, 'items');
+
+        // Find auto-added items currently in cart
+        const autoAddedItems = cart.items.filter(item =>
+            item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true'
+        );
+        console.log('[AutoAdd] Found', autoAddedItems.length, 'auto-added items in cart');
+
+        // Track which variant IDs should be in cart based on current rules
+        console.log('[AutoAdd] Evaluating', rules.length, 'rules');
+
+        const choices = window.AutoAddEngine.parseChoices(
+            cart.attributes && cart.attributes[window.AutoAddEngine.CHOICES_ATTRIBUTE]
+        );
+        await loadLineDetails(cart);
+        const engineCart = toEngineCart(cart);
+        const ctx = {
+            collectionIndex,
+            clock: window.AutoAddEngine.shopClock(shopTimezone),
+            choices,
+            giftPrices,
+            groupStrategies: appSettings.groupStrategies
+        };
+        const plan = window.AutoAddEngine.planGifts(rules, engineCart, ctx);
+        plan.evaluations.forEach(logEvaluation);
+        lastPlan = plan;
+        lastEvaluatedAt = new Date().toISOString();
+        updateProgress(window.AutoAddEngine.nextProgress(rules, engineCart, ctx), cart);
+        plan.groups.forEach(g => console.log('[AutoAdd] Group', g.group, '(' + g.strategy + ') won by', g.winner));
+
+        // Ask the shopper to pick a gift; the chosen one is planned on the next pass
+        const pendingChoice = plan.choices.find(c => !dismissedChoices.has(c.key));
+        if (pendingChoice) {
+            console.log('[AutoAdd] Rule', pendingChoice.ruleId, 'needs a gift choice');
+            showGiftPicker(pendingChoice, choices);
+        }
+        return { plan, engineCart };
+    }
+
+    /**
+     * Apply cart operations planned against `cart` as one CartBatch (see
+     * batchCartOperations): one /cart/update.js for removals and quantity
+     * resets, one /cart/add.js for new gifts. Resolves to { applied, conflict,
+     * cart }. `conflict` means the cart changed underneath - before the batch
+     * went out, or while it did - and `cart` is the latest one to plan again from.
+     */
+    async function applyCartBatch(operations, cart) {
+        const batch = window.AutoAddEngine.batchCartOperations(operations);
+        const mutationsBefore = cartMutations;
+        const current = await getCart();
+        if (!current) return { applied: false, conflict: false };
+        if (cartSignature(current) !== cartSignature(cart)) {
+            return { applied: false, conflict: true, cart: current };
+        }
 
-                default:
-                    console.log('[AutoAdd] Unknown condition type:', cond.type);
-                    return false;
+        let applied = false;
+        try {
+            if (Object.keys(batch.updates).length > 0) {
+                console.log('[AutoAdd] Updating gift lines:', batch.updates);
+                const response = await nativeFetch('/cart/update.js', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ updates: batch.updates })
+                });
+                // Fails as a whole when a line is gone, e.g. the shopper just removed it
+                if (!response.ok) {
+                    console.log('[AutoAdd] Update rejected:', response.status);
+                    return { applied, conflict: true, cart: await getCart() };
+                }
+                applied = true;
+                operations.filter(op => op.type === 'remove').forEach(op => {
+                    emit('gift-removed', { variantId: op.variantId, lineKey: op.lineId });
+                });
             }
+            if (batch.items.length > 0) {
+                console.log('[AutoAdd] Adding gifts:', batch.items);
+                const response = await nativeFetch('/cart/add.js', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        items: batch.items.map(item => ({
+                            id: parseInt(item.variantId.replace('gid://shopify/ProductVariant/', '')),
+                            quantity: item.quantity,
+                            properties: { [AUTO_ADD_PROPERTY]: 'true' }
+                        }))
+                    })
+                });
+                if (!response.ok) {
+                    throw new Error('Failed to add gifts: ' + response.status);
+                }
+                applied = true;
+                operations.filter(op => op.type === 'add').forEach(op => {
+                    emit('gift-added', { ruleId: op.ruleId, variantId: op.variantId, quantity: op.quantity });
+                });
+            }
+        } catch (error) {
+            console.error('[AutoAdd] Error updating cart:', error);
+            reportError('cart', error);
+            return { applied, conflict: false };
         }
 
-        console.log('[AutoAdd] All conditions PASSED for rule:', rule.id);
-        return true;
+        if (cartMutations !== mutationsBefore) {
+            return { applied, conflict: true, cart: await getCart() };
+        }
+        return { applied, conflict: false };
     }
 
     /**
-     * Process cart and apply rules
+     * Process cart and apply rules. Resolves to whether the cart had changed
+     * since the last evaluation. `force` evaluates even an unchanged cart, and
+     * while paused. Never rejects: it runs from timers and event handlers, so a
+     * failure is reported as autoadd:error and the cart is evaluated again on
+     * the next trigger.
      */
-    async function processCart() {
+    async function processCart(force = false) {
+        if (paused && !force) return false;
         if (processing) {
-            console.log('[AutoAdd] Already processing, skipping');
-            return;
+            pendingEvaluation = true;
+            return false;
         }
         processing = true;
 
         try {
-            const cart = await getCart();
+            let cart = await getCart();
             if (!cart) {
                 console.log('[AutoAdd] Failed to get cart');
-                processing = false;
-                return;
+                return false;
             }
 
-            console.log('[AutoAdd] Cart token:', cart.token, 'Last token:', lastCartToken);
-
             // Skip if cart hasn't changed
-            if (cart.token === lastCartToken) {
-                console.log('[AutoAdd] Cart unchanged, skipping');
-                processing = false;
-                return;
-            }
-            lastCartToken = cart.token;
-
-            console.log('[AutoAdd] Processing cart with', cart.items.length, 'items');
-
-            // Find auto-added items currently in cart
-            const autoAddedItems = cart.items.filter(item =>
-                item.properties && item.properties[AUTO_ADD_PROPERTY] === 'true'
-            );
-            console.log('[AutoAdd] Found', autoAddedItems.length, 'auto-added items in cart');
-
-            // Track which variant IDs should be in cart based on current rules
-            const shouldHaveVariants = new Map(); // variantGid -> rule
-            const seenGroups = new Set();
-
-            console.log('[AutoAdd] Evaluating', rules.length, 'rules');
-
-            for (const rule of rules) {
-                const matches = evaluateRule(rule, cart);
-
-                if (matches) {
-                    // Check group logic
-                    if (rule.group) {
-                        if (seenGroups.has(rule.group)) continue;
-                        seenGroups.add(rule.group);
-                    }
-
-                    console.log('[AutoAdd] Rule', rule.id, 'matched, adding variant to shouldHave:', rule.action.addVariantId);
-                    shouldHaveVariants.set(rule.action.addVariantId, rule);
-                }
+            if (!force && cartSignature(cart) === lastCartSignature) {
+                return false;
             }
 
-            console.log('[AutoAdd] Should have', shouldHaveVariants.size, 'gift variants');
-
             let madeChanges = false;
+            for (let attempt = 1; cart; attempt++) {
+                lastCartSignature = cartSignature(cart);
+                const { plan, engineCart } = await planCart(cart);
 
-            // Check auto-added items: remove if no longer needed, enforce quantity = 1
-            for (const item of autoAddedItems) {
-                const variantGid = 'gid://shopify/ProductVariant/' + item.variant_id;
-
-                if (!shouldHaveVariants.has(variantGid)) {
-                    // Condition no longer matches - remove the gift
-                    console.log('[AutoAdd] Condition no longer matches, removing gift:', variantGid, 'key:', item.key);
-                    showSpinner();
-                    await removeFromCart(item.key);
-                    madeChanges = true;
-                } else {
-                    // Gift should be in cart - but enforce quantity = 1
-                    if (item.quantity !== 1) {
-                        console.log('[AutoAdd] Resetting gift quantity to 1:', variantGid, 'key:', item.key, 'was:', item.quantity);
-                        showSpinner();
-                        await updateCartItemQuantity(item.key, 1);
-                        madeChanges = true;
-                    }
-                    // Mark as handled
-                    console.log('[AutoAdd] Gift already in cart with correct qty, removing from shouldHave:', variantGid);
-                    shouldHaveVariants.delete(variantGid);
+                // Gifts are added by the Cart Transform function instead
+                if (appSettings.giftMode === 'cart_transform') {
+                    break;
                 }
-            }
 
-            console.log('[AutoAdd] After checking existing, need to add', shouldHaveVariants.size, 'gifts');
+                for (const gift of plan.gifts) {
+                    console.log('[AutoAdd] Rule', gift.ruleId, 'matched, cart should have:', gift.variantId, 'qty:', gift.quantity);
+                }
 
-            // Add missing gifts (conditions match but gift not in cart)
-            for (const [variantGid, rule] of shouldHaveVariants) {
-                // Check if variant exists in cart (even without auto-add property)
-                const numericId = variantGid.replace('gid://shopify/ProductVariant/', '');
-                console.log('[AutoAdd] Checking if variant', numericId, 'exists in cart');
+                // Remove gifts no rule plans any more, reset planned quantities and add
+                // missing gifts. A gift variant the shopper added themselves is left alone.
+                const operations = window.AutoAddEngine.cartOperations(plan.gifts, engineCart);
+                if (operations.length === 0) break;
 
-                const existingItem = cart.items.find(item =>
-                    String(item.variant_id) === numericId
-                );
+                showSpinner();
+                const result = await applyCartBatch(operations, cart);
+                madeChanges = madeChanges || result.applied;
+                if (!result.conflict) break;
 
-                console.log('[AutoAdd] Existing item found:', existingItem ? 'YES' : 'NO');
-
-                if (!existingItem) {
-                    // Gift is missing - add it
-                    console.log('[AutoAdd] Adding gift variant:', variantGid);
-                    showSpinner();
-                    const added = await addToCart(variantGid, 1);
-                    console.log('[AutoAdd] Add result:', added);
-                    madeChanges = true;
-                } else if (!existingItem.properties || existingItem.properties[AUTO_ADD_PROPERTY] !== 'true') {
-                    // Variant exists but wasn't auto-added (customer added it manually)
-                    // Don't interfere with manually added items
-                    console.log('[AutoAdd] Gift variant exists but was added manually, skipping:', variantGid);
-                } else if (existingItem.quantity !== 1) {
-                    // Auto-added but wrong quantity - fix it
-                    console.log('[AutoAdd] Fixing gift quantity to 1:', variantGid);
-                    showSpinner();
-                    await updateCartItemQuantity(existingItem.key, 1);
-                    madeChanges = true;
+                if (attempt >= MAX_RECONCILE_ATTEMPTS) {
+                    console.log('[AutoAdd] Cart keeps changing, trying again later');
+                    pendingEvaluation = true;
+                    break;
                 }
+                console.log('[AutoAdd] Cart changed while reconciling, planning again');
+                cart = result.cart;
             }
 
             console.log('[AutoAdd] Made changes:', madeChanges);
 
-            // If we made changes, reset cart token and refresh UI
+            // If we made changes, refresh UI
             if (madeChanges) {
-                lastCartToken = null;
-
                 // Refresh the cart UI - this is critical for the user to see changes immediately
                 await refreshCartUI();
             }
+            return true;
+        } catch (error) {
+            console.error('[AutoAdd] Error evaluating cart:', error);
+            reportError('evaluate', error);
+            lastCartSignature = null;
+            return false;
         } finally {
             hideSpinner();
             processing = false;
+            idleWaiters.splice(0).forEach(resolve => resolve());
+            if (pendingEvaluation) {
+                pendingEvaluation = false;
+                scheduleEvaluation('changed during evaluation');
+            }
         }
     }
 
     /**
-     * Monitor for cart changes
+     * Run one evaluation after a quiet period, however many triggers arrive in it
      */
-    function setupCartMonitoring() {
-        // Poll for cart changes every 3 seconds (reduced frequency)
-        setInterval(processCart, 3000);
+    function scheduleEvaluation(reason, delay = DEBOUNCE_MS) {
+        console.log('[AutoAdd] Evaluation requested:', reason);
+        clearTimeout(evaluationTimer);
+        evaluationTimer = setTimeout(async function () {
+            evaluationTimer = null;
+            if (await processCart()) resetPolling();
+        }, delay);
+    }
 
-        // Also process on page load
-        processCart();
+    /**
+     * Someone else changed the cart; also tells an in-flight reconcile to plan again
+     */
+    function noteCartChange(reason) {
+        cartMutations++;
+        scheduleEvaluation(reason);
+    }
 
-        // Intercept fetch calls to cart modification endpoints ONLY
-        const originalFetch = window.fetch;
+    function isCartMutation(url) {
+        const href = typeof url === 'string' ? url : (url && (url.url || url.href)) || '';
+        return CART_MUTATION_PATHS.some(path => href.includes(path));
+    }
+
+    /**
+     * Notice cart changes made by the theme or other apps through fetch or XMLHttpRequest
+     */
+    function interceptCartRequests() {
+        const pageFetch = window.fetch;
         window.fetch = function (...args) {
-            return originalFetch.apply(this, args).then(response => {
-                const url = args[0];
-                // Only trigger on cart MODIFICATIONS, not reads
-                if (typeof url === 'string' &&
-                    (url.includes('/cart/add') ||
-                        url.includes('/cart/change') ||
-                        url.includes('/cart/update') ||
-                        url.includes('/cart/clear'))) {
-                    // Cart was modified, trigger re-evaluation after a short delay
-                    console.log('[AutoAdd] Cart modification detected:', url);
-                    lastCartToken = null; // Force re-evaluation
-                    setTimeout(processCart, 500);
-                }
+            return pageFetch.apply(this, args).then(response => {
+                if (isCartMutation(args[0])) noteCartChange('fetch ' + (args[0].url || args[0]));
                 return response;
             });
         };
 
-        // Also listen for form submissions to cart
-        document.addEventListener('submit', function (e) {
-            const form = e.target;
-            if (form.action && form.action.includes('/cart/add')) {
-                lastCartToken = null; // Force re-evaluation
-                setTimeout(processCart, 1000);
+        const open = XMLHttpRequest.prototype.open;
+        XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+            if (isCartMutation(url)) {
+                this.addEventListener('loadend', () => noteCartChange('XHR ' + url), { once: true });
             }
-        });
+            return open.call(this, method, url, ...rest);
+        };
+    }
 
-        // Listen for clicks on cart icons/buttons (common selectors)
-        document.addEventListener('click', function (e) {
-            const target = e.target.closest('[data-cart-trigger], [data-drawer-toggle], .cart-icon, .cart-link, [href="/cart"], .js-cart-drawer-trigger, .cart-count-bubble, .header__icon--cart, [data-action="open-drawer"]');
-            if (target) {
-                lastCartToken = null; // Force re-evaluation when cart opens
-                setTimeout(processCart, 300);
-            }
-        });
+    /**
+     * Theme cart events. Listened for on window in the capture phase, which sees
+     * events dispatched on window, document or any element, bubbling or not.
+     */
+    function listenForCartEvents() {
+        for (const name of CART_EVENTS) {
+            window.addEventListener(name, function () {
+                if (dispatchingOwnEvent) return;
+                noteCartChange(name);
+                if (name === 'cart:open') hideGiftControls();
+            }, true);
+        }
+    }
 
-        // MutationObserver to detect cart drawer becoming visible
-        const observer = new MutationObserver(function (mutations) {
-            mutations.forEach(function (mutation) {
-                if (mutation.type === 'attributes') {
-                    const target = mutation.target;
-                    // Check for common cart drawer patterns
-                    if (target.classList.contains('cart-drawer') ||
-                        target.classList.contains('drawer') ||
-                        target.id === 'cart-drawer' ||
-                        target.id === 'CartDrawer' ||
-                        target.dataset.section === 'cart-drawer') {
-
-                        const isVisible = !target.classList.contains('hidden') &&
-                            !target.classList.contains('is-closed') &&
-                            target.getAttribute('aria-hidden') !== 'true' &&
-                            getComputedStyle(target).display !== 'none';
-
-                        if (isVisible) {
-                            console.log('[AutoAdd] Cart drawer opened, checking rules...');
-                            lastCartToken = null; // Force re-evaluation
-                            processCart();
-                            hideGiftControls(); // Hide controls for gift items
-                        }
-                    }
-                }
-            });
-        });
+    /**
+     * Fallback for changes no event or request announced, such as another tab.
+     * Only while the tab is visible, slowing down while nothing changes.
+     */
+    function schedulePoll() {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+        if (document.hidden || paused) return;
+        pollTimer = setTimeout(async function () {
+            const changed = await processCart();
+            pollDelay = changed ? POLL_BASE_MS : Math.min(pollDelay * 2, POLL_MAX_MS);
+            schedulePoll();
+        }, pollDelay);
+    }
 
-        // Observe the document body for attribute changes on cart drawers
-        observer.observe(document.body, {
-            attributes: true,
-            subtree: true,
-            attributeFilter: ['class', 'aria-hidden', 'style', 'open']
-        });
+    function resetPolling() {
+        pollDelay = POLL_BASE_MS;
+        schedulePoll();
+    }
 
-        // Also listen for custom events that themes might dispatch
-        document.addEventListener('cart:open', function () {
-            console.log('[AutoAdd] cart:open event detected');
-            lastCartToken = null;
-            processCart();
-        });
+    /**
+     * Monitor for cart changes
+     */
+    function setupCartMonitoring() {
+        interceptCartRequests();
+        listenForCartEvents();
 
-        document.addEventListener('shopify:section:load', function () {
-            lastCartToken = null;
-            processCart();
+        document.addEventListener('visibilitychange', function () {
+            if (document.hidden) {
+                clearTimeout(pollTimer);
+                pollTimer = null;
+                return;
+            }
+            // The cart may have changed in another tab meanwhile
+            scheduleEvaluation('tab visible', 0);
+            resetPolling();
         });
+
+        // Process on page load
+        scheduleEvaluation('page load', 0);
+        resetPolling();
     }
 
     /**
@@ -801,13 +918,92 @@
      */
     async function init() {
         console.log('[AutoAdd] Initializing...');
+        if (!window.AutoAddEngine) {
+            console.error('[AutoAdd] Rule engine not loaded (auto-add-engine.js)');
+            markReady();
+            return;
+        }
+        if (!window.AutoAddThemes) {
+            console.error('[AutoAdd] Theme adapters not loaded (auto-add-themes.js)');
+            markReady();
+            return;
+        }
         await fetchRules();
         setupCartMonitoring();
         setupGiftControlsObserver(); // Watch for cart drawer content changes
         hideGiftControls(); // Apply gift styling on page load
+        ready = true;
+        markReady();
         console.log('[AutoAdd] Ready');
     }
 
+    function getMatchedRules() {
+        if (!lastPlan) return [];
+        return lastPlan.evaluations.filter(e => e.matched).map(e => ({
+            ruleId: e.ruleId,
+            gifts: lastPlan.gifts
+                .filter(g => g.ruleId === e.ruleId)
+                .map(g => ({ variantId: g.variantId, quantity: g.quantity }))
+        }));
+    }
+
+    function getState() {
+        return {
+            ready,
+            paused,
+            evaluating: processing,
+            giftMode: appSettings.giftMode,
+            theme: ready ? themeAdapter().name : null,
+            rules: rules.length,
+            matchedRules: getMatchedRules(),
+            gifts: lastPlan ? lastPlan.gifts.map(g => ({ ruleId: g.ruleId, variantId: g.variantId, quantity: g.quantity })) : [],
+            pendingChoices: lastPlan ? lastPlan.choices.map(c => ({ ruleId: c.ruleId, variantIds: c.variantIds.slice(), quantity: c.quantity })) : [],
+            progress: lastProgress,
+            lastEvaluatedAt
+        };
+    }
+
+    async function evaluate() {
+        await initialized;
+        if (!ready) return getState();
+        clearTimeout(evaluationTimer);
+        evaluationTimer = null;
+        // One evaluation at a time: wait for a running one, then run again
+        while (processing) {
+            await new Promise(resolve => idleWaiters.push(resolve));
+        }
+        await processCart(true);
+        return getState();
+    }
+
+    function pause() {
+        if (paused) return;
+        paused = true;
+        clearTimeout(evaluationTimer);
+        evaluationTimer = null;
+        clearTimeout(pollTimer);
+        pollTimer = null;
+        console.log('[AutoAdd] Paused');
+    }
+
+    function resume() {
+        if (!paused) return;
+        paused = false;
+        console.log('[AutoAdd] Resumed');
+        if (!ready) return;
+        scheduleEvaluation('resumed', 0);
+        resetPolling();
+    }
+
+    // auto-add-themes.js may have created the object already, with registerAdapter
+    window.AutoAdd = Object.assign(window.AutoAdd || {}, {
+        evaluate,
+        getMatchedRules,
+        getState,
+        pause,
+        resume
+    });
+
     // Start when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
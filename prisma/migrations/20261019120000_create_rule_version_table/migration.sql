@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "RuleVersion" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "rules" TEXT NOT NULL,
+    "diff" TEXT NOT NULL,
+    "author" TEXT,
+    "source" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "publishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RuleVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RuleVersion_shop_version_key" ON "RuleVersion"("shop", "version");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "RuleDraft" (
+    "shop" TEXT NOT NULL,
+    "rules" TEXT NOT NULL,
+    "author" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "publishAt" TIMESTAMP(3),
+    "approvedBy" TEXT,
+    "approvedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RuleDraft_pkey" PRIMARY KEY ("shop")
+);
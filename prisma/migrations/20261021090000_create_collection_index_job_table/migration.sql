@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CollectionIndexJob" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "full" BOOLEAN NOT NULL DEFAULT false,
+    "collections" TEXT,
+    "bulkOperationId" TEXT,
+    "objectCount" INTEGER NOT NULL DEFAULT 0,
+    "expectedCount" INTEGER NOT NULL DEFAULT 0,
+    "productsIndexed" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CollectionIndexJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CollectionIndexJob_shop_status_idx" ON "CollectionIndexJob"("shop", "status");
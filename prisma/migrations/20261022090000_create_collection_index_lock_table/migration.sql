@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "CollectionIndexLock" (
+    "shop" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CollectionIndexLock_pkey" PRIMARY KEY ("shop")
+);
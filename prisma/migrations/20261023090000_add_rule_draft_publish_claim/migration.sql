@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "RuleDraft" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "publishingSince" TIMESTAMP(3);
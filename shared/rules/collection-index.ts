@@ -0,0 +1,146 @@
+import type { CollectionIndex } from "./types";
+import { toProductGid } from "./evaluate";
+
+// The collection index lives in the `auto_add2cart/collection_index`
+// metafield and, once it outgrows one value, the numbered shards after it.
+// Readers (the functions, the storefront, the admin) read every key listed
+// here; the function input queries list them too.
+export const COLLECTION_INDEX_KEYS = ["collection_index", "collection_index_1", "collection_index_2", "collection_index_3"];
+
+// The functions read every shard, and a function's whole input (cart, rules
+// and these shards) must stay under 64,000 bytes. The shards together get this
+// budget, the rest is left for the cart and rules; an index that doesn't fit
+// is not written.
+export const COLLECTION_INDEX_BUDGET_BYTES = 40000;
+
+// Target size of one shard's JSON: the budget split over COLLECTION_INDEX_KEYS.
+export const COLLECTION_INDEX_SHARD_BYTES = 10000;
+
+// Version 2 lists each collection's products by numeric id, sorted and
+// delta-encoded: the first number is an id, each next one the difference to
+// the previous. A collection may continue in a later shard, restarting from
+// an absolute id.
+//   { "v": 2, "collections": { "gid://shopify/Collection/1": [7001000, 12, 40006] } }
+// Earlier indexes map product GIDs to collections, as { gid: [ids] } or
+// { gid: { collections: [ids] } }; both are still read.
+export const COLLECTION_INDEX_VERSION = 2;
+
+type CompactIndex = { v: number; collections: Record<string, unknown> };
+
+function isCompact(value: object): value is CompactIndex {
+  const v = value as Partial<CompactIndex>;
+  return v.v === COLLECTION_INDEX_VERSION && !!v.collections && typeof v.collections === "object";
+}
+
+function addEntry(map: CollectionIndex, productId: string, collection: string) {
+  const set = map.get(productId) || new Set<string>();
+  set.add(collection);
+  map.set(productId, set);
+}
+
+function readShard(raw: unknown, map: CollectionIndex) {
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return;
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return;
+
+  if (isCompact(parsed)) {
+    for (const [collection, list] of Object.entries(parsed.collections)) {
+      if (!Array.isArray(list)) continue;
+      let id = 0;
+      list.forEach((n, i) => {
+        if (typeof n !== "number" || !Number.isFinite(n)) return;
+        id = i === 0 ? n : id + n;
+        addEntry(map, toProductGid(id) as string, collection);
+      });
+    }
+    return;
+  }
+
+  for (const [productId, v] of Object.entries(parsed as Record<string, unknown>)) {
+    let list: unknown[] = [];
+    if (Array.isArray(v)) list = v;
+    else if (v && typeof v === "object" && Array.isArray((v as { collections?: unknown }).collections)) {
+      list = (v as { collections: unknown[] }).collections;
+    }
+    for (const c of list) if (typeof c === "string") addEntry(map, productId, c);
+  }
+}
+
+// Reads one metafield value, or a list of shard values (missing ones null),
+// in any of the formats above.
+export function parseCollectionIndex(raw: unknown): CollectionIndex {
+  const map: CollectionIndex = new Map();
+  for (const shard of Array.isArray(raw) ? raw : [raw]) readShard(shard, map);
+  return map;
+}
+
+function numericId(productId: string): number | null {
+  const n = Number(productId.slice(productId.lastIndexOf("/") + 1));
+  return Number.isSafeInteger(n) && n > 0 ? n : null;
+}
+
+// Total size of encoded shards, as counted against COLLECTION_INDEX_BUDGET_BYTES.
+export function collectionIndexBytes(shards: string[]): number {
+  return shards.reduce((sum, shard) => sum + new TextEncoder().encode(shard).length, 0);
+}
+
+// Encodes `index` as version 2 shards of about `shardBytes` each. Products
+// without a numeric id can't be encoded and are skipped.
+export function encodeCollectionIndex(index: CollectionIndex, shardBytes = COLLECTION_INDEX_SHARD_BYTES): string[] {
+  const byCollection = new Map<string, number[]>();
+  for (const [productId, collections] of index) {
+    const id = numericId(productId);
+    if (id === null) continue;
+    for (const c of collections) {
+      const list = byCollection.get(c) || [];
+      list.push(id);
+      byCollection.set(c, list);
+    }
+  }
+
+  // Sizes count the wrapper too, so no shard goes over `shardBytes`
+  const emptySize = JSON.stringify({ v: COLLECTION_INDEX_VERSION, collections: {} }).length;
+  const shards: string[] = [];
+  let current: Record<string, number[]> = {};
+  let size = emptySize;
+  const flush = () => {
+    if (size === emptySize) return;
+    shards.push(JSON.stringify({ v: COLLECTION_INDEX_VERSION, collections: current }));
+    current = {};
+    size = emptySize;
+  };
+
+  for (const [collection, ids] of byCollection) {
+    ids.sort((a, b) => a - b);
+    const keySize = JSON.stringify(collection).length + 4;
+    let list: number[] | null = null;
+    let prev = 0;
+    for (const id of ids) {
+      if (!list) {
+        if (size > emptySize && size + keySize > shardBytes) flush();
+        list = current[collection] = [];
+        size += keySize;
+        prev = 0;
+      }
+      const value = list.length === 0 ? id : id - prev;
+      const valueSize = String(value).length + 1;
+      if (list.length > 0 && size + valueSize > shardBytes) {
+        flush();
+        list = current[collection] = [id];
+        size = emptySize + keySize + String(id).length + 1;
+      } else {
+        list.push(value);
+        size += valueSize;
+      }
+      prev = id;
+    }
+  }
+  flush();
+  return shards;
+}
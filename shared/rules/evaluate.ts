@@ -0,0 +1,375 @@
+import type {
+  Condition,
+  ConditionGroup,
+  ConditionNode,
+  ConditionResult,
+  EngineCart,
+  EngineContext,
+  EngineLine,
+  LegacyCondition,
+  Rule,
+  RuleEvaluation,
+} from "./types";
+import { scheduleStatus } from "./schedule";
+
+export const AUTO_ADD_PROPERTY = "_auto_added";
+
+const CUSTOMER_GID_PREFIX = "gid://shopify/Customer/";
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+
+export function toCustomerGid(id: string | number | null | undefined): string | null {
+  if (id === null || id === undefined || id === "") return null;
+  const s = String(id).trim();
+  return s.startsWith("gid://") ? s : CUSTOMER_GID_PREFIX + s;
+}
+
+export function toProductGid(id: string | number | null | undefined): string | null {
+  if (id === null || id === undefined || id === "") return null;
+  const s = String(id).trim();
+  return s.startsWith("gid://") ? s : PRODUCT_GID_PREFIX + s;
+}
+
+export function toVariantGid(id: string | number | null | undefined): string | null {
+  if (id === null || id === undefined || id === "") return null;
+  const s = String(id).trim();
+  return s.startsWith("gid://") ? s : VARIANT_GID_PREFIX + s;
+}
+
+// Reads the `auto_add2cart/rules` metafield value; anything malformed yields no rules.
+export function parseRules(raw: unknown): Rule[] {
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(parsed) ? parsed.filter(Boolean) : [];
+}
+
+// Gifts never count towards a trigger, otherwise adding one could change
+// whether its own rule still matches.
+function triggerLines(cart: EngineCart): EngineLine[] {
+  return cart.lines.filter((l) => !l.autoAdded);
+}
+
+function cartQuantity(cart: EngineCart): number {
+  return triggerLines(cart).reduce((sum, l) => sum + l.quantity, 0);
+}
+
+// Units that count towards triggers, optionally limited to one product.
+export function triggerQuantity(cart: EngineCart, productId?: string | null): number {
+  const pid = productId ? toProductGid(productId) : null;
+  return triggerLines(cart)
+    .filter((l) => !pid || l.productId === pid)
+    .reduce((sum, l) => sum + l.quantity, 0);
+}
+
+function cartTotal(cart: EngineCart): number {
+  return cart.lines.reduce((sum, l) => sum + (isNaN(l.totalAmount) ? 0 : l.totalAmount), 0);
+}
+
+// Lines a subtotal_in_range condition adds up.
+function subtotalLines(cond: Extract<Condition, { type: "subtotal_in_range" }>, cart: EngineCart, ctx: EngineContext): EngineLine[] {
+  const products = new Set((cond.productIds || []).map((id) => toProductGid(id)));
+  const collections = new Set(cond.collectionIds || []);
+  const tags = new Set((cond.tags || []).map(normalize));
+  const scoped = products.size > 0 || collections.size > 0 || tags.size > 0;
+  return (cond.excludeGifts ? triggerLines(cart) : cart.lines).filter((l) => {
+    if (!scoped) return true;
+    if (l.productId && products.has(l.productId)) return true;
+    const colls = l.productId ? ctx.collectionIndex.get(l.productId) : undefined;
+    if (colls && Array.from(colls).some((c) => collections.has(c))) return true;
+    return (l.productTags || []).some((t) => tags.has(normalize(t)));
+  });
+}
+
+function lineAmount(line: EngineLine, beforeDiscounts?: boolean): number {
+  const amount = beforeDiscounts ? line.subtotalAmount ?? line.totalAmount : line.totalAmount;
+  return isNaN(amount) ? 0 : amount;
+}
+
+// Rounded to cents so float sums compare as shown
+function scopedSubtotal(lines: EngineLine[], beforeDiscounts?: boolean): number {
+  return Math.round(lines.reduce((sum, l) => sum + lineAmount(l, beforeDiscounts), 0) * 100) / 100;
+}
+
+function inRange(value: number, min: number, max?: number | null): string | null {
+  if (value < min) return `${value} < min ${min}`;
+  if (typeof max === "number" && value > max) return `${value} > max ${max}`;
+  return null;
+}
+
+function pass(type: string, reason: string): ConditionResult {
+  return { type, passed: true, reason };
+}
+
+function fail(type: string, reason: string): ConditionResult {
+  return { type, passed: false, reason };
+}
+
+function normalize(s: string): string {
+  return String(s).trim().toLowerCase();
+}
+
+// Without `expected`, any non-empty value matches. List metafields are stored
+// as JSON arrays and match when one item equals `expected`.
+function metafieldMatches(value: string | null | undefined, expected: string | undefined): boolean {
+  if (value === null || value === undefined || value === "") return false;
+  if (expected === undefined || expected === "") return true;
+  const list = value.startsWith("[") ? parseList(value) : null;
+  return list ? list.some((item) => String(item) === expected) : value === expected;
+}
+
+function parseList(value: string): unknown[] | null {
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : null;
+  } catch {
+    return null;
+  }
+}
+
+export function evaluateCondition(
+  cond: Condition | LegacyCondition,
+  cart: EngineCart,
+  ctx: EngineContext,
+): ConditionResult {
+  switch (cond.type) {
+    case "cart_quantity_at_least": {
+      const q = cartQuantity(cart);
+      return q >= cond.threshold
+        ? pass(cond.type, `cart quantity ${q} >= ${cond.threshold}`)
+        : fail(cond.type, `cart quantity ${q} < ${cond.threshold}`);
+    }
+    case "cart_quantity_in_range": {
+      const q = cartQuantity(cart);
+      const outside = inRange(q, cond.min, cond.max);
+      return outside
+        ? fail(cond.type, `cart quantity ${outside}`)
+        : pass(cond.type, `cart quantity ${q} in range`);
+    }
+    case "cart_total_at_least": {
+      const total = cartTotal(cart);
+      if (cond.currencyCode && cart.currencyCode && cond.currencyCode !== cart.currencyCode) {
+        return fail(cond.type, `currency mismatch ${cart.currencyCode} vs ${cond.currencyCode}`);
+      }
+      return total >= cond.amount
+        ? pass(cond.type, `cart total ${total} >= ${cond.amount}`)
+        : fail(cond.type, `cart total ${total} < ${cond.amount}`);
+    }
+    case "subtotal_in_range": {
+      if (cond.currencyCode && cart.currencyCode && cond.currencyCode !== cart.currencyCode) {
+        return fail(cond.type, `currency mismatch ${cart.currencyCode} vs ${cond.currencyCode}`);
+      }
+      const lines = subtotalLines(cond, cart, ctx);
+      const subtotal = scopedSubtotal(lines, cond.beforeDiscounts);
+      const outside = inRange(subtotal, cond.min, cond.max);
+      return outside
+        ? fail(cond.type, `subtotal of ${lines.length} line(s) ${outside}`)
+        : pass(cond.type, `subtotal ${subtotal} of ${lines.length} line(s) in range`);
+    }
+    case "cart_total_gte": {
+      const total = cartTotal(cart);
+      return total >= cond.value
+        ? pass(cond.type, `cart total ${total} >= ${cond.value}`)
+        : fail(cond.type, `cart total ${total} < ${cond.value}`);
+    }
+    case "includes_any_variants": {
+      const set = new Set((cond.variantIds || []).map((id) => toVariantGid(id)));
+      const hit = triggerLines(cart).find((l) => l.variantId && set.has(l.variantId));
+      return hit
+        ? pass(cond.type, `variant ${hit.variantId} in cart`)
+        : fail(cond.type, "none of the variants in cart");
+    }
+    case "includes_any_products": {
+      const set = new Set((cond.productIds || []).map((id) => toProductGid(id)));
+      const hit = triggerLines(cart).find((l) => l.productId && set.has(l.productId));
+      return hit
+        ? pass(cond.type, `product ${hit.productId} in cart`)
+        : fail(cond.type, "none of the products in cart");
+    }
+    case "includes_any_collections": {
+      const target = new Set(cond.collectionIds);
+      for (const line of triggerLines(cart)) {
+        const colls = line.productId ? ctx.collectionIndex.get(line.productId) : undefined;
+        if (!colls) continue;
+        for (const c of colls) {
+          if (target.has(c)) return pass(cond.type, `product ${line.productId} in collection ${c}`);
+        }
+      }
+      return fail(cond.type, "no product in the collections (is the collection index built?)");
+    }
+    case "product_quantity_in_range": {
+      const targetPid = toProductGid(cond.productId);
+      const total = targetPid ? triggerQuantity(cart, targetPid) : 0;
+      const outside = inRange(total, cond.min, cond.max);
+      return outside
+        ? fail(cond.type, `product ${targetPid} quantity ${outside}`)
+        : pass(cond.type, `product ${targetPid} quantity ${total} in range`);
+    }
+    case "customer_is_logged_in": {
+      return cart.customer
+        ? pass(cond.type, "customer logged in")
+        : fail(cond.type, "customer not logged in");
+    }
+    case "first_order_only": {
+      if (!cart.customer) return fail(cond.type, "customer not logged in");
+      const orders = cart.customer.numberOfOrders ?? 0;
+      return orders === 0
+        ? pass(cond.type, "customer has no previous orders")
+        : fail(cond.type, `customer has ${orders} previous orders`);
+    }
+    case "customer_order_count_in_range": {
+      if (!cart.customer) return fail(cond.type, "customer not logged in");
+      const orders = cart.customer.numberOfOrders ?? 0;
+      const outside = inRange(orders, cond.min, cond.max);
+      return outside
+        ? fail(cond.type, `customer order count ${outside}`)
+        : pass(cond.type, `customer order count ${orders} in range`);
+    }
+    case "customer_has_tag": {
+      if (!cart.customer) return fail(cond.type, "customer not logged in");
+      // Shopify customer tags are case-insensitive
+      const owned = new Set(cart.customer.tags.map((t) => t.trim().toLowerCase()));
+      const hit = (cond.tags || []).find((t) => owned.has(t.trim().toLowerCase()));
+      return hit
+        ? pass(cond.type, `customer tagged ${hit}`)
+        : fail(cond.type, "customer has none of the tags");
+    }
+    case "includes_product_with_tag": {
+      // Shopify product tags are case-insensitive
+      const wanted = new Set((cond.tags || []).map(normalize));
+      const hit = triggerLines(cart).find((l) => (l.productTags || []).some((t) => wanted.has(normalize(t))));
+      return hit
+        ? pass(cond.type, `product ${hit.productId} has a tag`)
+        : fail(cond.type, "no product with the tags in cart");
+    }
+    case "includes_vendor": {
+      const wanted = new Set((cond.vendors || []).map(normalize));
+      const hit = triggerLines(cart).find((l) => l.vendor && wanted.has(normalize(l.vendor)));
+      return hit
+        ? pass(cond.type, `product ${hit.productId} by ${hit.vendor}`)
+        : fail(cond.type, "no product from the vendors in cart");
+    }
+    case "includes_product_type": {
+      const wanted = new Set((cond.productTypes || []).map(normalize));
+      const hit = triggerLines(cart).find((l) => l.productType && wanted.has(normalize(l.productType)));
+      return hit
+        ? pass(cond.type, `product ${hit.productId} is a ${hit.productType}`)
+        : fail(cond.type, "no product of the types in cart");
+    }
+    case "includes_variant_with_metafield": {
+      const key = `${cond.namespace}.${cond.key}`;
+      const hit = triggerLines(cart).find((l) => metafieldMatches(l.metafields?.[key], cond.value));
+      return hit
+        ? pass(cond.type, `variant ${hit.variantId} has ${key}${cond.value === undefined ? "" : ` = ${cond.value}`}`)
+        : fail(cond.type, `no variant with ${key}${cond.value === undefined ? "" : ` = ${cond.value}`} in cart`);
+    }
+    default:
+      return fail((cond as { type?: string }).type ?? "unknown", "unknown condition type");
+  }
+}
+
+const GROUP_TYPES = new Set(["all", "any", "not"]);
+
+// Deeper trees fail instead of spending the function's instruction budget.
+export const MAX_CONDITION_DEPTH = 5;
+
+// How far a cart is below a threshold condition that adding to the cart can
+// meet: spend (in cart currency units) or units (of one product when
+// `productId` is set). Null when the condition isn't a threshold, is already
+// met, can't be met by adding (over its max, other currency), or adding
+// enough to reach it would go over its max.
+export type ConditionGap = {
+  kind: "amount" | "quantity";
+  current: number;
+  target: number;
+  productId?: string;
+};
+
+export function conditionGap(cond: Condition | LegacyCondition, cart: EngineCart, ctx: EngineContext): ConditionGap | null {
+  const below = (kind: ConditionGap["kind"], current: number, target: number, max?: number | null, productId?: string): ConditionGap | null => {
+    if (current >= target) return null;
+    if (typeof max === "number" && max < target) return null;
+    return productId ? { kind, current, target, productId } : { kind, current, target };
+  };
+  const otherCurrency = (code?: string) => Boolean(code && cart.currencyCode && code !== cart.currencyCode);
+
+  switch (cond.type) {
+    case "cart_quantity_at_least":
+      return below("quantity", cartQuantity(cart), cond.threshold);
+    case "cart_quantity_in_range":
+      return below("quantity", cartQuantity(cart), cond.min, cond.max);
+    case "cart_total_at_least":
+      return otherCurrency(cond.currencyCode) ? null : below("amount", Math.round(cartTotal(cart) * 100) / 100, cond.amount);
+    case "cart_total_gte":
+      return below("amount", Math.round(cartTotal(cart) * 100) / 100, cond.value);
+    case "subtotal_in_range":
+      if (otherCurrency(cond.currencyCode)) return null;
+      return below("amount", scopedSubtotal(subtotalLines(cond, cart, ctx), cond.beforeDiscounts), cond.min, cond.max);
+    case "product_quantity_in_range": {
+      const pid = toProductGid(cond.productId);
+      return pid ? below("quantity", triggerQuantity(cart, pid), cond.min, cond.max, pid) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+export function isConditionGroup(node: ConditionNode | LegacyCondition | null | undefined): node is ConditionGroup {
+  return Boolean(node) && GROUP_TYPES.has((node as { type?: string }).type ?? "");
+}
+
+// Every leaf condition in the tree, for callers that only need what a rule references.
+export function leafConditions(nodes: ConditionNode[] | null | undefined): Condition[] {
+  const leaves: Condition[] = [];
+  for (const node of nodes || []) {
+    if (isConditionGroup(node)) leaves.push(...leafConditions(node.conditions));
+    else if (node) leaves.push(node);
+  }
+  return leaves;
+}
+
+export function evaluateNode(
+  node: ConditionNode | LegacyCondition,
+  cart: EngineCart,
+  ctx: EngineContext,
+  depth = 0,
+): ConditionResult {
+  if (!isConditionGroup(node)) return evaluateCondition(node, cart, ctx);
+  if (depth >= MAX_CONDITION_DEPTH) {
+    return fail(node.type, `nested deeper than ${MAX_CONDITION_DEPTH} groups`);
+  }
+  // Every child is evaluated (no short-circuit) so the result explains itself.
+  const children = (node.conditions || []).map((c) => evaluateNode(c, cart, ctx, depth + 1));
+  const passing = children.filter((c) => c.passed).length;
+  const passed =
+    node.type === "all" ? passing === children.length :
+    node.type === "any" ? passing > 0 :
+    passing === 0;
+  return { type: node.type, passed, reason: `${node.type}: ${passing} of ${children.length} passed`, children };
+}
+
+export function evaluateRule(rule: Rule, cart: EngineCart, ctx: EngineContext): RuleEvaluation {
+  if (!rule.active) {
+    return { ruleId: rule.id, matched: false, reason: "not active", conditions: [] };
+  }
+  const schedule = scheduleStatus(rule, ctx.clock);
+  if (schedule.status !== "live") {
+    return { ruleId: rule.id, matched: false, reason: `${schedule.status}: ${schedule.reason}`, conditions: [] };
+  }
+  if (triggerLines(cart).length === 0) {
+    return { ruleId: rule.id, matched: false, reason: "cart has no items", conditions: [] };
+  }
+  // Top-level conditions form an implicit `all` group; a rule without
+  // conditions applies to every cart.
+  const conditions = (rule.conditions || []).map((c) => evaluateNode(c, cart, ctx));
+  return {
+    ruleId: rule.id,
+    matched: conditions.every((c) => c.passed),
+    conditions,
+  };
+}
@@ -0,0 +1,122 @@
+import type { EngineCart, EngineContext, Rule, RuleEvaluation } from "./types";
+import { parseChoices, parseGiftPrices, type Settings } from "./plan";
+import { parseCollectionIndex } from "./collection-index";
+import { ruleVariantMetafields, slotMetafields } from "./line-details";
+import { ruleScheduleTimes, slotClockMinutes } from "./schedule";
+
+// The Cart Transform and gift discount functions' input, as far as the engine
+// reads it. Both input queries select these fields under the same aliases, so
+// each function's generated input type fits.
+type MetafieldValue = { value: string } | null | undefined;
+type HasTag = { tag: string; hasTag: boolean };
+
+type FunctionMerchandise = {
+  __typename?: string;
+  id?: string;
+  metafield0?: MetafieldValue;
+  metafield1?: MetafieldValue;
+  product?: {
+    id?: string;
+    vendor?: string | null;
+    productType?: string | null;
+    hasTags?: HasTag[];
+  };
+};
+
+export type FunctionCartLine = {
+  id: string;
+  quantity: number;
+  autoAdded?: { value?: string | null } | null;
+  cost: {
+    totalAmount: { amount: string; currencyCode: string };
+    subtotalAmount: { amount: string };
+  };
+  merchandise: FunctionMerchandise;
+};
+
+export type FunctionInput = {
+  shop: {
+    // time0, time1...: LocalTime.timeAfter for each of ruleScheduleTimes
+    localTime: { date: string; [slot: `time${number}`]: boolean | undefined };
+    collectionIndex?: MetafieldValue;
+    collectionIndex1?: MetafieldValue;
+    collectionIndex2?: MetafieldValue;
+    collectionIndex3?: MetafieldValue;
+    giftPrices?: MetafieldValue;
+  };
+  cart: {
+    choices?: { value?: string | null } | null;
+    buyerIdentity?: {
+      isAuthenticated: boolean;
+      customer?: { id: string; numberOfOrders: number; hasTags: HasTag[] } | null;
+    } | null;
+    lines: FunctionCartLine[];
+  };
+};
+
+export function isVariantLine(line: FunctionCartLine): boolean {
+  return Boolean(line.merchandise) && line.merchandise.__typename === "ProductVariant";
+}
+
+// `rules` tells which variant metafield each input slot read.
+export function functionCart(input: FunctionInput, rules: Rule[]): EngineCart {
+  const metafieldRefs = ruleVariantMetafields(rules);
+  let currencyCode: string | null = null;
+  const lines = input.cart.lines.map((line) => {
+    const merch = line.merchandise;
+    const isVariant = isVariantLine(line);
+    currencyCode = currencyCode ?? line.cost.totalAmount.currencyCode;
+    return {
+      id: line.id,
+      variantId: isVariant ? merch.id ?? null : null,
+      productId: isVariant ? merch.product?.id ?? null : null,
+      productTags: isVariant ? (merch.product?.hasTags || []).filter((t) => t.hasTag).map((t) => t.tag) : [],
+      vendor: isVariant ? merch.product?.vendor ?? null : null,
+      productType: isVariant ? merch.product?.productType ?? null : null,
+      metafields: isVariant ? slotMetafields(metafieldRefs, [merch.metafield0?.value, merch.metafield1?.value]) : {},
+      quantity: line.quantity,
+      totalAmount: parseFloat(line.cost.totalAmount.amount),
+      subtotalAmount: parseFloat(line.cost.subtotalAmount.amount),
+      autoAdded: line.autoAdded?.value === "true",
+    };
+  });
+  const buyer = input.cart.buyerIdentity;
+  const customer = buyer?.isAuthenticated && buyer.customer
+    ? {
+      id: buyer.customer.id,
+      numberOfOrders: buyer.customer.numberOfOrders,
+      tags: buyer.customer.hasTags.filter((t) => t.hasTag).map((t) => t.tag),
+    }
+    : null;
+  return { lines, currencyCode, customer };
+}
+
+// `rules` tells which time of day each localTime slot compared with.
+export function functionContext(input: FunctionInput, settings: Settings, rules: Rule[]): EngineContext {
+  const localTime = input.shop.localTime;
+  const times = ruleScheduleTimes(rules);
+  return {
+    // Sharded over COLLECTION_INDEX_KEYS once it outgrows one metafield
+    collectionIndex: parseCollectionIndex([
+      input.shop?.collectionIndex?.value,
+      input.shop?.collectionIndex1?.value,
+      input.shop?.collectionIndex2?.value,
+      input.shop?.collectionIndex3?.value,
+    ]),
+    clock: { date: localTime.date, minutes: slotClockMinutes(times, times.map((_, i) => localTime[`time${i}`])) },
+    choices: parseChoices(input.cart.choices?.value),
+    giftPrices: parseGiftPrices(input.shop?.giftPrices?.value),
+    groupStrategies: settings.groupStrategies,
+  };
+}
+
+export function logFunctionEvaluation(result: RuleEvaluation): void {
+  if (result.reason) {
+    console.error(`Rule ${result.ruleId} skipped: ${result.reason}`);
+  }
+  for (const cond of result.conditions) {
+    if (!cond.passed) {
+      console.error(`Rule ${result.ruleId} condition failed: ${cond.reason}`);
+    }
+  }
+}
@@ -0,0 +1,11 @@
+export * from "./types";
+export * from "./collection-index";
+export * from "./evaluate";
+export * from "./function-input";
+export * from "./line-details";
+export * from "./plan";
+export * from "./progress";
+export * from "./reconcile";
+export * from "./references";
+export * from "./schedule";
+export * from "./validate";
@@ -0,0 +1,57 @@
+import type { Rule } from "./types";
+import { leafConditions } from "./evaluate";
+
+// Product tags and variant metafields aren't in /cart.js, and the functions
+// can only ask for what their input query names, so each runtime loads just
+// the ones the rules refer to.
+
+// The functions read variant metafields through fixed slots in their input
+// query (metafield0, metafield1), so rules can use at most this many.
+export const MAX_VARIANT_METAFIELDS = 2;
+
+export type MetafieldRef = { namespace: string; key: string };
+
+export function metafieldKey(ref: MetafieldRef): string {
+  return `${ref.namespace}.${ref.key}`;
+}
+
+// Product tags conditions look for, for the functions' `hasTags`.
+export function ruleProductTags(rules: Rule[]): string[] {
+  const tags = new Set<string>();
+  for (const r of rules || []) {
+    for (const c of leafConditions(r?.conditions)) {
+      if (c.type !== "includes_product_with_tag" && c.type !== "subtotal_in_range") continue;
+      for (const t of c.tags || []) if (typeof t === "string" && t.trim()) tags.add(t.trim());
+    }
+  }
+  return Array.from(tags);
+}
+
+// Distinct variant metafields the rules read, in the order they first appear.
+// Function input slot i holds the i-th.
+export function ruleVariantMetafields(rules: Rule[]): MetafieldRef[] {
+  const refs = new Map<string, MetafieldRef>();
+  for (const r of rules || []) {
+    for (const c of leafConditions(r?.conditions)) {
+      if (c.type !== "includes_variant_with_metafield" || !c.namespace || !c.key) continue;
+      const ref = { namespace: c.namespace, key: c.key };
+      if (!refs.has(metafieldKey(ref))) refs.set(metafieldKey(ref), ref);
+    }
+  }
+  return Array.from(refs.values());
+}
+
+// Whether the storefront has to look up line details before evaluating `rules`.
+export function needsLineDetails(rules: Rule[]): boolean {
+  return ruleProductTags(rules).length > 0 || ruleVariantMetafields(rules).length > 0;
+}
+
+// Pairs the values a function read from its metafield slots with the keys
+// `refs` (from ruleVariantMetafields) assigned to those slots.
+export function slotMetafields(refs: MetafieldRef[], values: Array<string | null | undefined>): Record<string, string | null> {
+  const metafields: Record<string, string | null> = {};
+  refs.slice(0, MAX_VARIANT_METAFIELDS).forEach((ref, i) => {
+    metafields[metafieldKey(ref)] = values[i] ?? null;
+  });
+  return metafields;
+}
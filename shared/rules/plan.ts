@@ -0,0 +1,274 @@
+import { evaluateRule, toVariantGid, triggerQuantity } from "./evaluate";
+import type {
+  EngineCart,
+  EngineContext,
+  GiftChoices,
+  GiftDiscount,
+  GiftPrices,
+  GroupStrategy,
+  Rule,
+  RuleAction,
+  RuleEvaluation,
+} from "./types";
+
+// Which runtime adds gifts to the cart.
+// - storefront: the theme script adds real `_auto_added` lines
+// - cart_transform: the Cart Transform function expands an existing line
+// - both: the script adds lines, the function only fills in gifts the script did not add
+export type GiftMode = "storefront" | "cart_transform" | "both";
+
+export const GIFT_MODES: GiftMode[] = ["storefront", "cart_transform", "both"];
+
+export const GROUP_STRATEGIES: GroupStrategy[] = ["first_match", "highest_value", "lowest_cost"];
+
+export type Settings = {
+  giftMode: GiftMode;
+  groupStrategies: Record<string, GroupStrategy>; // group name -> strategy
+  requireReview: boolean; // drafts are published only once another staff member approved them
+};
+
+export const DEFAULT_SETTINGS: Settings = { giftMode: "storefront", groupStrategies: {}, requireReview: false };
+
+function defaultSettings(): Settings {
+  return { ...DEFAULT_SETTINGS, groupStrategies: {} };
+}
+
+// Reads the `auto_add2cart/settings` metafield, falling back to defaults for anything missing.
+export function parseSettings(raw: unknown): Settings {
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return defaultSettings();
+    }
+  }
+  if (!parsed || typeof parsed !== "object") return defaultSettings();
+  const { giftMode, groupStrategies, requireReview } = parsed as { giftMode?: unknown; groupStrategies?: unknown; requireReview?: unknown };
+  const strategies: Record<string, GroupStrategy> = {};
+  if (groupStrategies && typeof groupStrategies === "object") {
+    for (const [group, strategy] of Object.entries(groupStrategies as Record<string, unknown>)) {
+      if (GROUP_STRATEGIES.includes(strategy as GroupStrategy)) strategies[group] = strategy as GroupStrategy;
+    }
+  }
+  return {
+    giftMode: GIFT_MODES.includes(giftMode as GiftMode) ? (giftMode as GiftMode) : DEFAULT_SETTINGS.giftMode,
+    groupStrategies: strategies,
+    requireReview: requireReview === true,
+  };
+}
+
+// Reads the `auto_add2cart/gift_prices` metafield: { variantId: { price, cost } }.
+export function parseGiftPrices(raw: unknown): GiftPrices {
+  const map: GiftPrices = new Map();
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return map;
+    }
+  }
+  if (!parsed || typeof parsed !== "object") return map;
+  for (const [variantId, v] of Object.entries(parsed as Record<string, unknown>)) {
+    const entry = v as { price?: unknown; cost?: unknown } | null;
+    const price = Number(entry?.price);
+    if (!entry || isNaN(price)) continue;
+    const cost = entry.cost === null || entry.cost === undefined || isNaN(Number(entry.cost)) ? null : Number(entry.cost);
+    map.set(variantId, { price, cost });
+  }
+  return map;
+}
+
+export type PlannedGift = {
+  ruleId: string;
+  variantId: string; // GID for ProductVariant
+  quantity: number;
+  discount?: GiftDiscount;
+  titleOverride?: string;
+};
+
+// A matched gift_choice action the shopper has not picked a variant for yet.
+export type PendingChoice = {
+  ruleId: string;
+  key: string; // choiceKey(ruleId, actionIndex)
+  variantIds: string[]; // GIDs for ProductVariant
+  quantity: number;
+  prompt?: string;
+};
+
+// How an exclusivity group was settled. `score` is the gifts' total price or
+// cost under the group's strategy, null for first_match or when a price is unknown.
+export type GroupResolution = {
+  group: string;
+  strategy: GroupStrategy;
+  winner: string; // ruleId
+  candidates: Array<{ ruleId: string; score: number | null }>; // in priority order
+};
+
+export type GiftPlan = {
+  gifts: PlannedGift[];
+  choices: PendingChoice[];
+  evaluations: RuleEvaluation[];
+  groups: GroupResolution[];
+};
+
+// Cart attribute the storefront stores gift choices in (a JSON GiftChoices object).
+export const CHOICES_ATTRIBUTE = "_auto_add_choices";
+
+export function choiceKey(ruleId: string, actionIndex: number): string {
+  return `${ruleId}:${actionIndex}`;
+}
+
+export function parseChoices(raw: unknown): GiftChoices {
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return {};
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+  const choices: GiftChoices = {};
+  for (const [key, value] of Object.entries(parsed as Record<string, unknown>)) {
+    if (typeof value === "string" && value) choices[key] = value;
+  }
+  return choices;
+}
+
+// The rule's actions, falling back to the single `action` older rules carry.
+export function ruleActions(rule: Rule): RuleAction[] {
+  if (Array.isArray(rule.actions)) return rule.actions.filter(Boolean);
+  return rule.action ? [rule.action] : [];
+}
+
+// Gift quantity for a matched rule. With scaling, `quantity` is given once per
+// full `per` units (e.g. 1 tote per 3 shirts), capped at `max`; 0 means no gift yet.
+export function giftQuantity(action: RuleAction | undefined, cart: EngineCart): number {
+  const base = Math.max(1, Math.floor(action?.quantity || 1));
+  const scaling = action?.scaling;
+  if (!scaling || !(scaling.per > 0)) return base;
+  const steps = Math.floor(triggerQuantity(cart, scaling.productId) / scaling.per);
+  const quantity = steps * base;
+  return typeof scaling.max === "number" && scaling.max >= 0 ? Math.min(quantity, Math.floor(scaling.max)) : quantity;
+}
+
+// Rules in the order they run: ascending `priority`, then array order.
+export function sortRules(rules: Rule[]): Rule[] {
+  const rank = (r: Rule) => (typeof r.priority === "number" && !isNaN(r.priority) ? r.priority : Infinity);
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => rank(a.rule) - rank(b.rule) || a.index - b.index)
+    .map((r) => r.rule);
+}
+
+type SizedAction = { action: RuleAction; index: number; quantity: number };
+type MatchedRule = { rule: Rule; sized: SizedAction[] };
+
+// The variant an action adds: the shopper's pick for a gift_choice (null until
+// they pick one of its options), otherwise `addVariantId`.
+function giftVariant(rule: Rule, { action, index }: SizedAction, ctx: EngineContext): string | null {
+  if (action.type !== "gift_choice") return toVariantGid(action.addVariantId);
+  const chosen = toVariantGid(ctx.choices[choiceKey(rule.id, index)]);
+  const options = (action.variantIds || []).map((id) => toVariantGid(id));
+  return chosen && options.includes(chosen) ? chosen : null;
+}
+
+// Total price or cost of a rule's gifts; a gift_choice without a pick is scored
+// by its first option. Null when any price is unknown.
+function scoreRule({ rule, sized }: MatchedRule, strategy: GroupStrategy, ctx: EngineContext): number | null {
+  if (strategy === "first_match") return null;
+  let total = 0;
+  for (const entry of sized) {
+    const variantId = giftVariant(rule, entry, ctx) ??
+      (entry.action.type === "gift_choice" ? toVariantGid(entry.action.variantIds?.[0]) : null);
+    const prices = variantId ? ctx.giftPrices.get(variantId) : undefined;
+    if (!prices) return null;
+    const unit = strategy === "lowest_cost" ? prices.cost ?? prices.price : prices.price;
+    total += unit * entry.quantity;
+  }
+  return total;
+}
+
+// Picks each group's rule. Unscored rules lose to scored ones; ties go to priority.
+function resolveGroups(matched: MatchedRule[], ctx: EngineContext): GroupResolution[] {
+  const byGroup = new Map<string, MatchedRule[]>();
+  for (const m of matched) {
+    if (!m.rule.group) continue;
+    byGroup.set(m.rule.group, [...(byGroup.get(m.rule.group) || []), m]);
+  }
+
+  const resolutions: GroupResolution[] = [];
+  for (const [group, members] of byGroup) {
+    const strategy = ctx.groupStrategies[group] || "first_match";
+    const candidates = members.map((m) => ({ ruleId: m.rule.id, score: scoreRule(m, strategy, ctx) }));
+    let best = candidates[0];
+    for (const c of candidates.slice(1)) {
+      if (c.score === null) continue;
+      const better = best.score === null ||
+        (strategy === "highest_value" ? c.score > best.score : c.score < best.score);
+      if (better) best = c;
+    }
+    resolutions.push({ group, strategy, winner: best.ruleId, candidates });
+  }
+  return resolutions;
+}
+
+// Evaluates rules in priority order and returns the gifts the cart should
+// contain. Each exclusivity group keeps one matching rule (see GroupStrategy),
+// and a variant is only planned once (first action wins). A gift_choice action
+// becomes a gift once `ctx.choices` holds one of its variants, and a pending
+// choice until then.
+export function planGifts(rules: Rule[], cart: EngineCart, ctx: EngineContext): GiftPlan {
+  const gifts: PlannedGift[] = [];
+  const choices: PendingChoice[] = [];
+  const evaluations: RuleEvaluation[] = [];
+  const matched: MatchedRule[] = [];
+  const seenVariants = new Set<string>();
+
+  for (const rule of sortRules(rules)) {
+    const evaluation = evaluateRule(rule, cart, ctx);
+    evaluations.push(evaluation);
+    if (!evaluation.matched) continue;
+
+    // A scaled action below its first step adds nothing, and a rule that adds
+    // nothing does not compete in its group yet
+    const sized = ruleActions(rule)
+      .map((action, index) => ({ action, index, quantity: giftQuantity(action, cart) }))
+      .filter((a) => a.quantity > 0);
+    if (sized.length > 0) matched.push({ rule, sized });
+  }
+
+  const groups = resolveGroups(matched, ctx);
+  const winners = new Set(groups.map((g) => g.winner));
+
+  for (const m of matched) {
+    const { rule } = m;
+    if (rule.group && !winners.has(rule.id)) continue;
+
+    for (const entry of m.sized) {
+      const { action, index, quantity } = entry;
+      const variantId = giftVariant(rule, entry, ctx);
+      if (!variantId && action.type === "gift_choice") {
+        const options = (action.variantIds || []).map((id) => toVariantGid(id)).filter((id): id is string => Boolean(id));
+        if (options.length) {
+          choices.push({ ruleId: rule.id, key: choiceKey(rule.id, index), variantIds: options, quantity, prompt: action.prompt || undefined });
+        }
+        continue;
+      }
+      if (!variantId || seenVariants.has(variantId)) continue;
+      seenVariants.add(variantId);
+
+      gifts.push({
+        ruleId: rule.id,
+        variantId,
+        quantity,
+        discount: action.discount || undefined,
+        titleOverride: action.titleOverride || undefined,
+      });
+    }
+  }
+
+  return { gifts, choices, evaluations, groups };
+}
@@ -0,0 +1,69 @@
+import type { EngineCart, EngineContext, Rule } from "./types";
+import { conditionGap, evaluateNode, isConditionGroup, toVariantGid } from "./evaluate";
+import { ruleActions, sortRules } from "./plan";
+import { scheduleStatus } from "./schedule";
+
+// "Almost there" progress towards a live rule the cart doesn't match yet.
+// A rule qualifies when exactly one of its top-level conditions fails and that
+// one is a threshold adding to the cart can meet (see conditionGap); rules
+// missing anything else, such as a customer tag, can't be shown as progress.
+//
+// Rules may carry their own `progressMessage`; runtimes fill in
+//   {amount}    spend still needed, formatted in the cart's currency
+//   {quantity}  units still needed
+//   {product}   the product to add more of (product_quantity_in_range)
+//   {gift}      the rule's first gift
+export type RuleProgress = {
+  ruleId: string;
+  kind: "amount" | "quantity";
+  current: number;
+  target: number;
+  remaining: number; // currency units or items
+  productId?: string; // GID for Product; set when units of one product count
+  giftVariantIds: string[]; // GIDs for ProductVariant, in action order
+  message?: string; // the rule's progressMessage
+};
+
+export function ruleProgress(rule: Rule, cart: EngineCart, ctx: EngineContext): RuleProgress | null {
+  if (!rule.active || scheduleStatus(rule, ctx.clock).status !== "live") return null;
+
+  const failing = (rule.conditions || []).filter((c) => !evaluateNode(c, cart, ctx).passed);
+  if (failing.length !== 1 || isConditionGroup(failing[0])) return null;
+  const gap = conditionGap(failing[0], cart, ctx);
+  if (!gap) return null;
+
+  const giftVariantIds: string[] = [];
+  for (const action of ruleActions(rule)) {
+    const ids = action.type === "gift_choice" ? action.variantIds || [] : [action.addVariantId];
+    for (const id of ids) {
+      const gid = toVariantGid(id);
+      if (gid && !giftVariantIds.includes(gid)) giftVariantIds.push(gid);
+    }
+  }
+
+  const remaining = gap.kind === "amount" ? Math.round((gap.target - gap.current) * 100) / 100 : gap.target - gap.current;
+  return {
+    ruleId: rule.id,
+    ...gap,
+    remaining,
+    giftVariantIds,
+    ...(rule.progressMessage ? { message: rule.progressMessage } : {}),
+  };
+}
+
+// The unmet rule the cart is closest to, by share of its threshold reached;
+// ties go to the rule that runs first.
+export function nextProgress(rules: Rule[], cart: EngineCart, ctx: EngineContext): RuleProgress | null {
+  let best: RuleProgress | null = null;
+  let bestShare = -1;
+  for (const rule of sortRules(rules || [])) {
+    const progress = ruleProgress(rule, cart, ctx);
+    if (!progress) continue;
+    const share = progress.target > 0 ? progress.current / progress.target : 0;
+    if (share > bestShare) {
+      best = progress;
+      bestShare = share;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,54 @@
+import type { PlannedGift } from "./plan";
+import type { EngineCart } from "./types";
+
+// A change the storefront script makes to the cart. `lineId` is the cart line
+// key the storefront mapped into EngineLine.id.
+export type CartOperation =
+  | { type: "add"; ruleId: string; variantId: string; quantity: number }
+  | { type: "update"; ruleId: string; lineId: string; variantId: string; quantity: number }
+  | { type: "remove"; lineId: string; variantId: string | null };
+
+// Brings the cart in line with the planned gifts: auto-added lines no rule
+// plans are removed (as are duplicates of one gift), planned ones are reset to
+// the planned quantity, and missing gifts are added unless the shopper already
+// added that variant themselves.
+export function cartOperations(gifts: PlannedGift[], cart: EngineCart): CartOperation[] {
+  const operations: CartOperation[] = [];
+  const pending = new Map(gifts.map((g) => [g.variantId, g]));
+
+  for (const line of cart.lines) {
+    if (!line.autoAdded) continue;
+    const gift = line.variantId ? pending.get(line.variantId) : undefined;
+    if (!gift) {
+      operations.push({ type: "remove", lineId: line.id, variantId: line.variantId });
+      continue;
+    }
+    if (line.quantity !== gift.quantity) {
+      operations.push({ type: "update", ruleId: gift.ruleId, lineId: line.id, variantId: gift.variantId, quantity: gift.quantity });
+    }
+    pending.delete(gift.variantId);
+  }
+
+  for (const gift of pending.values()) {
+    if (cart.lines.some((l) => l.variantId === gift.variantId)) continue;
+    operations.push({ type: "add", ruleId: gift.ruleId, variantId: gift.variantId, quantity: gift.quantity });
+  }
+  return operations;
+}
+
+// The operations as the fewest Ajax Cart API calls: one /cart/update.js with
+// line key -> quantity (0 removes the line), then one /cart/add.js for the
+// new gifts. Either part may be empty.
+export type CartBatch = {
+  updates: Record<string, number>;
+  items: Array<{ variantId: string; quantity: number }>;
+};
+
+export function batchCartOperations(operations: CartOperation[]): CartBatch {
+  const batch: CartBatch = { updates: {}, items: [] };
+  for (const op of operations) {
+    if (op.type === "add") batch.items.push({ variantId: op.variantId, quantity: op.quantity });
+    else batch.updates[op.lineId] = op.type === "remove" ? 0 : op.quantity;
+  }
+  return batch;
+}
@@ -0,0 +1,105 @@
+import type { ConditionNode, Rule, RuleAction } from "./types";
+import { isConditionGroup } from "./evaluate";
+
+export type ReferenceKind = "variant" | "product" | "collection";
+
+// Besides ids, rules may name items by `handle:<handle>` (products and
+// collections; for a variant, the only variant of that product) or variants by
+// `sku:<sku>`. The admin resolves these, and numeric product and variant ids,
+// to GIDs whenever it publishes, so the functions and the storefront only ever
+// see GIDs.
+export const HANDLE_PREFIX = "handle:";
+export const SKU_PREFIX = "sku:";
+
+export function isNamedReference(value: string): boolean {
+  return (value.startsWith(HANDLE_PREFIX) && value.length > HANDLE_PREFIX.length)
+    || (value.startsWith(SKU_PREFIX) && value.length > SKU_PREFIX.length);
+}
+
+// One product, variant or collection id inside a rule. `field` is the path in
+// the rule, in the form validateRules reports.
+export type RuleReference = {
+  kind: ReferenceKind;
+  value: string;
+  ruleIndex: number;
+  field: string;
+};
+
+type Visit = (ref: RuleReference) => string;
+
+function mapList(list: unknown, kind: ReferenceKind, field: string, ruleIndex: number, visit: Visit): unknown {
+  if (!Array.isArray(list)) return list;
+  return list.map((value, i) =>
+    typeof value === "string" || typeof value === "number"
+      ? visit({ kind, value: String(value), ruleIndex, field: `${field}[${i}]` })
+      : value,
+  );
+}
+
+function mapOne(value: unknown, kind: ReferenceKind, field: string, ruleIndex: number, visit: Visit): unknown {
+  return typeof value === "string" || typeof value === "number"
+    ? visit({ kind, value: String(value), ruleIndex, field })
+    : value;
+}
+
+function mapConditions(nodes: unknown, path: string, ruleIndex: number, visit: Visit): unknown {
+  if (!Array.isArray(nodes)) return nodes;
+  return nodes.map((node: ConditionNode | null, i) => {
+    const at = `${path}[${i}]`;
+    if (!node || typeof node !== "object") return node;
+    if (isConditionGroup(node)) return { ...node, conditions: mapConditions(node.conditions, `${at}.conditions`, ruleIndex, visit) };
+    switch (node.type) {
+      case "includes_any_variants":
+        return { ...node, variantIds: mapList(node.variantIds, "variant", `${at}.variantIds`, ruleIndex, visit) };
+      case "includes_any_products":
+        return { ...node, productIds: mapList(node.productIds, "product", `${at}.productIds`, ruleIndex, visit) };
+      case "includes_any_collections":
+        return { ...node, collectionIds: mapList(node.collectionIds, "collection", `${at}.collectionIds`, ruleIndex, visit) };
+      case "product_quantity_in_range":
+        return { ...node, productId: mapOne(node.productId, "product", `${at}.productId`, ruleIndex, visit) };
+      case "subtotal_in_range": {
+        const next = { ...node };
+        if (node.productIds) next.productIds = mapList(node.productIds, "product", `${at}.productIds`, ruleIndex, visit) as string[];
+        if (node.collectionIds) next.collectionIds = mapList(node.collectionIds, "collection", `${at}.collectionIds`, ruleIndex, visit) as string[];
+        return next;
+      }
+      default:
+        return node;
+    }
+  });
+}
+
+function mapAction(a: RuleAction, path: string, ruleIndex: number, visit: Visit): RuleAction {
+  if (!a || typeof a !== "object") return a;
+  const next = { ...a } as RuleAction;
+  if (next.type === "gift_choice") {
+    next.variantIds = mapList(next.variantIds, "variant", `${path}.variantIds`, ruleIndex, visit) as string[];
+  } else if (next.addVariantId) {
+    next.addVariantId = mapOne(next.addVariantId, "variant", `${path}.addVariantId`, ruleIndex, visit) as string;
+  }
+  if (next.scaling?.productId) {
+    next.scaling = { ...next.scaling, productId: mapOne(next.scaling.productId, "product", `${path}.scaling.productId`, ruleIndex, visit) as string };
+  }
+  return next;
+}
+
+// Copies `rules`, passing every reference through `visit` and storing what it
+// returns. Also used read-only, to collect references.
+export function mapReferences(rules: Rule[], visit: Visit): Rule[] {
+  return rules.map((rule, ruleIndex) => {
+    if (!rule || typeof rule !== "object") return rule;
+    const next: Rule = { ...rule, conditions: mapConditions(rule.conditions, "conditions", ruleIndex, visit) as ConditionNode[] };
+    if (Array.isArray(rule.actions)) next.actions = rule.actions.map((a, i) => mapAction(a, `actions[${i}]`, ruleIndex, visit));
+    else if (rule.action) next.action = mapAction(rule.action, "action", ruleIndex, visit);
+    return next;
+  });
+}
+
+export function ruleReferences(rules: Rule[]): RuleReference[] {
+  const refs: RuleReference[] = [];
+  mapReferences(rules, (ref) => {
+    refs.push(ref);
+    return ref.value;
+  });
+  return refs;
+}
@@ -0,0 +1,148 @@
+import type { Rule, ShopClock } from "./types";
+
+export type ScheduleStatus = "scheduled" | "live" | "expired";
+
+export type ScheduleResult = {
+  status: ScheduleStatus;
+  reason: string;
+};
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wall-clock date and time in `timeZone` (an IANA name such as "Europe/Berlin").
+export function shopClock(timeZone: string | null | undefined, at: Date = new Date()): ShopClock {
+  let parts: Intl.DateTimeFormatPart[];
+  try {
+    parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timeZone || undefined,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(at);
+  } catch {
+    // Unknown timezone: fall back to the runtime's own
+    return shopClock(null, at);
+  }
+  const get = (type: string) => parts.find((p) => p.type === type)?.value ?? "00";
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+// "HH:MM" -> minutes since midnight
+function parseTime(value: string | undefined): number | null {
+  const m = /^(\d{1,2}):(\d{2})/.exec(value || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// "YYYY-MM-DDTHH:MM" (shop-local, no offset) -> date and minutes
+function parseDateTime(value: string | undefined): { date: string; minutes: number } | null {
+  const m = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?/.exec(value || "");
+  if (!m) return null;
+  return { date: m[1], minutes: parseTime(m[2]) ?? 0 };
+}
+
+function weekday(date: string): number {
+  const [y, mo, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, mo - 1, d)).getUTCDay();
+}
+
+// -1 before, 0 unknown (same day, no clock), 1 at or after
+function compareToClock(point: { date: string; minutes: number }, clock: ShopClock): number {
+  if (clock.date !== point.date) return clock.date < point.date ? -1 : 1;
+  if (clock.minutes === null) return point.minutes === 0 ? 1 : 0;
+  return clock.minutes < point.minutes ? -1 : 1;
+}
+
+export function hasSchedule(rule: Rule): boolean {
+  const r = rule.recurring;
+  return Boolean(rule.startsAt || rule.endsAt || (r && ((r.days && r.days.length) || r.startTime || r.endTime)));
+}
+
+export function scheduleStatus(rule: Rule, clock: ShopClock): ScheduleResult {
+  const start = parseDateTime(rule.startsAt);
+  if (start) {
+    const cmp = compareToClock(start, clock);
+    if (cmp < 0) return { status: "scheduled", reason: `starts ${rule.startsAt}` };
+    if (cmp === 0) return { status: "scheduled", reason: `starts ${rule.startsAt} (time of day unknown)` };
+  }
+
+  const end = parseDateTime(rule.endsAt);
+  if (end) {
+    const cmp = compareToClock(end, clock);
+    if (cmp > 0) return { status: "expired", reason: `ended ${rule.endsAt}` };
+    if (cmp === 0) return { status: "scheduled", reason: `ends ${rule.endsAt} (time of day unknown)` };
+  }
+
+  const recurring = rule.recurring;
+  if (recurring?.days && recurring.days.length > 0) {
+    const today = weekday(clock.date);
+    if (!recurring.days.includes(today)) {
+      return { status: "scheduled", reason: `not running on ${WEEKDAYS[today]}` };
+    }
+  }
+
+  const from = parseTime(recurring?.startTime);
+  const to = parseTime(recurring?.endTime);
+  if (from !== null || to !== null) {
+    if (clock.minutes === null) return { status: "scheduled", reason: "daily window needs time of day" };
+    const lo = from ?? 0;
+    const hi = to ?? 24 * 60;
+    // A window such as 22:00-02:00 wraps past midnight
+    const inside = lo <= hi ? clock.minutes >= lo && clock.minutes < hi : clock.minutes >= lo || clock.minutes < hi;
+    if (!inside) {
+      return { status: "scheduled", reason: `outside daily window ${recurring?.startTime || "00:00"}-${recurring?.endTime || "24:00"}` };
+    }
+  }
+
+  return { status: "live", reason: "live" };
+}
+
+// The functions can't read the time of day, only compare it with times passed
+// in as input variables (LocalTime.timeAfter). Every time of day a rule set
+// turns on or off at gets one of these slots; the latest of them the clock has
+// passed then stands in for the time, which scheduleStatus can't tell apart
+// from the real one since it only compares the clock with those same times.
+export const MAX_SCHEDULE_TIMES = 8;
+
+function formatTime(minutes: number): string {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Times of day ("HH:MM", ascending) that rules start, end or open a daily
+// window at. Midnight is left out; the clock is always past it.
+export function ruleScheduleTimes(rules: Rule[]): string[] {
+  const minutes = new Set<number>();
+  for (const rule of rules || []) {
+    if (!rule || typeof rule !== "object") continue;
+    const points = [
+      parseDateTime(rule.startsAt)?.minutes,
+      parseDateTime(rule.endsAt)?.minutes,
+      parseTime(rule.recurring?.startTime),
+      parseTime(rule.recurring?.endTime),
+    ];
+    for (const m of points) if (typeof m === "number" && m > 0) minutes.add(m);
+  }
+  return Array.from(minutes).sort((a, b) => a - b).map(formatTime);
+}
+
+// Clock minutes from the slots: `passed[i]` tells whether the time of day is at
+// or past `times[i]`.
+export function slotClockMinutes(times: string[], passed: Array<boolean | null | undefined>): number {
+  let minutes = 0;
+  times.forEach((time, i) => {
+    const m = parseTime(time);
+    if (m !== null && passed[i] === true && m > minutes) minutes = m;
+  });
+  return minutes;
+}
+
+// Whether the rule's start date has been reached, ignoring recurring windows.
+export function hasStarted(rule: Rule, clock: ShopClock): boolean {
+  const start = parseDateTime(rule.startsAt);
+  return !start || compareToClock(start, clock) > 0;
+}
@@ -0,0 +1,59 @@
+// Entry point for the theme asset bundle (`npm run build:engine`).
+// Exposes the engine to `auto-add.js` as `window.AutoAddEngine`.
+import {
+  AUTO_ADD_PROPERTY,
+  evaluateCondition,
+  evaluateNode,
+  evaluateRule,
+  toCustomerGid,
+  toProductGid,
+  toVariantGid,
+} from "./evaluate";
+import {
+  CHOICES_ATTRIBUTE,
+  giftQuantity,
+  parseChoices,
+  parseGiftPrices,
+  parseSettings,
+  planGifts,
+  ruleActions,
+  sortRules,
+} from "./plan";
+import { parseCollectionIndex } from "./collection-index";
+import { needsLineDetails } from "./line-details";
+import { nextProgress } from "./progress";
+import { batchCartOperations, cartOperations } from "./reconcile";
+import { scheduleStatus, shopClock } from "./schedule";
+
+const engine = {
+  AUTO_ADD_PROPERTY,
+  CHOICES_ATTRIBUTE,
+  batchCartOperations,
+  cartOperations,
+  evaluateCondition,
+  evaluateNode,
+  evaluateRule,
+  giftQuantity,
+  needsLineDetails,
+  nextProgress,
+  parseChoices,
+  parseCollectionIndex,
+  parseGiftPrices,
+  parseSettings,
+  planGifts,
+  ruleActions,
+  scheduleStatus,
+  shopClock,
+  sortRules,
+  toCustomerGid,
+  toProductGid,
+  toVariantGid,
+};
+
+declare global {
+  interface Window {
+    AutoAddEngine: typeof engine;
+  }
+}
+
+window.AutoAddEngine = engine;
@@ -0,0 +1,174 @@
+// Rule shapes stored in the `auto_add2cart/rules` shop metafield.
+// The admin, the Cart Transform function and the storefront script all read these.
+
+export type Condition =
+  | { type: "cart_quantity_at_least"; threshold: number }
+  | { type: "cart_quantity_in_range"; min: number; max?: number }
+  | { type: "cart_total_at_least"; amount: number; currencyCode?: string }
+  // Spend on the lines in scope: lines matching any of productIds, collectionIds
+  // or product tags, or every line when none are given.
+  | {
+      type: "subtotal_in_range";
+      min: number;
+      max?: number;
+      currencyCode?: string;
+      productIds?: string[];
+      collectionIds?: string[];
+      tags?: string[];
+      excludeGifts?: boolean; // leave out `_auto_added` lines
+      beforeDiscounts?: boolean; // line prices before line-level discounts
+    }
+  | { type: "includes_any_variants"; variantIds: string[] }
+  | { type: "includes_any_products"; productIds: string[] }
+  | { type: "includes_any_collections"; collectionIds: string[] }
+  | { type: "product_quantity_in_range"; productId: string; min: number; max?: number }
+  | { type: "customer_is_logged_in" }
+  | { type: "first_order_only" }
+  | { type: "customer_order_count_in_range"; min: number; max?: number }
+  | { type: "customer_has_tag"; tags: string[] }
+  // Product details, matched without maintaining a collection
+  | { type: "includes_product_with_tag"; tags: string[] }
+  | { type: "includes_vendor"; vendors: string[] }
+  | { type: "includes_product_type"; productTypes: string[] }
+  // Any value when `value` is omitted; list metafields match when they contain it
+  | { type: "includes_variant_with_metafield"; namespace: string; key: string; value?: string };
+
+// Written by early storefront-only versions; never produced by the admin.
+export type LegacyCondition = { type: "cart_total_gte"; value: number };
+
+// Nested boolean logic. `not` passes when none of its conditions pass.
+export type ConditionGroup = {
+  type: "all" | "any" | "not";
+  conditions: ConditionNode[];
+};
+
+export type ConditionNode = Condition | ConditionGroup;
+
+// "Buy X get Y per X": the gift quantity grows with the trigger units.
+export type QuantityScaling = {
+  per: number; // one step per this many units
+  productId?: string; // count this product's units; the whole cart when omitted
+  max?: number; // cap on the resulting gift quantity
+};
+
+// Price reduction the Discount Function applies to the gift lines a rule added.
+export type GiftDiscount =
+  | { type: "free"; message?: string }
+  | { type: "percentage"; value: number; message?: string }
+  | { type: "fixed_amount"; amount: number; message?: string }; // off each unit
+
+type ActionBase = {
+  quantity?: number; // default 1; per step when `scaling` is set
+  scaling?: QuantityScaling;
+  discount?: GiftDiscount; // full price when omitted
+  titleOverride?: string;
+};
+
+export type AddVariantAction = ActionBase & {
+  type?: "add_variant"; // the default, so actions written before `type` existed still work
+  addVariantId: string; // GID for ProductVariant
+};
+
+// "Choose your gift": the storefront asks the shopper to pick one of `variantIds`.
+export type GiftChoiceAction = ActionBase & {
+  type: "gift_choice";
+  variantIds: string[]; // GIDs for ProductVariant
+  prompt?: string; // picker heading
+};
+
+export type RuleAction = AddVariantAction | GiftChoiceAction;
+
+// Repeating window inside the rule's start/end dates, in the shop's timezone.
+export type RecurringWindow = {
+  days?: number[]; // 0 = Sunday ... 6 = Saturday; empty means every day
+  startTime?: string; // HH:MM
+  endTime?: string; // HH:MM, earlier than startTime for windows past midnight
+};
+
+export type Rule = {
+  id: string;
+  active: boolean;
+  priority?: number; // lower runs first; rules without one follow, in array order
+  group?: string; // optional exclusivity group, resolved by its GroupStrategy
+  startsAt?: string; // YYYY-MM-DDTHH:MM in the shop's timezone
+  endsAt?: string; // YYYY-MM-DDTHH:MM in the shop's timezone
+  recurring?: RecurringWindow;
+  conditions: ConditionNode[]; // an implicit `all` group
+  actions?: RuleAction[];
+  action?: RuleAction; // single action written before `actions`; read when `actions` is absent
+  progressMessage?: string; // "almost there" template, placeholders in progress.ts
+};
+
+// Cart shape the engine evaluates against. Each runtime maps its own cart into this.
+export type EngineLine = {
+  id: string; // cart line id (function) or line key (storefront)
+  variantId: string | null; // GID for ProductVariant
+  productId: string | null; // GID for Product
+  quantity: number;
+  totalAmount: number; // line total in presentment currency
+  subtotalAmount?: number; // line total before line-level discounts; totalAmount when missing
+  autoAdded: boolean; // carries the `_auto_added` property
+  // Product details for the conditions above. Missing when the runtime
+  // couldn't load them; the function only knows tags referenced by rules.
+  productTags?: string[];
+  vendor?: string | null;
+  productType?: string | null;
+  metafields?: Record<string, string | null>; // "namespace.key" -> variant metafield value
+};
+
+export type EngineCustomer = {
+  id: string | null; // GID for Customer
+  numberOfOrders: number | null;
+  tags: string[]; // the function only knows tags referenced by rules
+};
+
+export type EngineCart = {
+  lines: EngineLine[];
+  currencyCode: string | null;
+  customer: EngineCustomer | null; // null for guests
+};
+
+export type CollectionIndex = Map<string, Set<string>>; // productId -> collectionIds
+
+// Current time in the shop's timezone. `minutes` is null when only the date is
+// known (the Cart Transform input exposes `shop.localTime.date` but no clock).
+export type ShopClock = {
+  date: string; // YYYY-MM-DD
+  minutes: number | null; // minutes since local midnight
+};
+
+// How an exclusivity group picks its one rule among those that match.
+// - first_match: the matching rule with the best priority
+// - highest_value: the rule whose gifts are worth the most at retail price
+// - lowest_cost: the rule whose gifts cost the shop least (unit cost, else price)
+export type GroupStrategy = "first_match" | "highest_value" | "lowest_cost";
+
+// Retail price and unit cost of gift variants, from the `auto_add2cart/gift_prices`
+// metafield. The admin refreshes it whenever rules are saved.
+export type GiftPrices = Map<string, { price: number; cost: number | null }>; // variantId -> prices
+
+// Gift choices the shopper made, keyed by `choiceKey(ruleId, actionIndex)`.
+// Stored as JSON in the `_auto_add_choices` cart attribute.
+export type GiftChoices = Record<string, string>;
+
+export type EngineContext = {
+  collectionIndex: CollectionIndex;
+  clock: ShopClock;
+  choices: GiftChoices;
+  giftPrices: GiftPrices;
+  groupStrategies: Record<string, GroupStrategy>; // group name -> strategy; first_match when absent
+};
+
+export type ConditionResult = {
+  type: string;
+  passed: boolean;
+  reason: string;
+  children?: ConditionResult[]; // set for groups
+};
+
+export type RuleEvaluation = {
+  ruleId: string;
+  matched: boolean;
+  reason?: string; // set when the rule is skipped before its conditions run
+  conditions: ConditionResult[];
+};
@@ -0,0 +1,264 @@
+import type { ConditionNode, GiftDiscount, Rule, RuleAction } from "./types";
+import { MAX_CONDITION_DEPTH, isConditionGroup } from "./evaluate";
+import { HANDLE_PREFIX, isNamedReference } from "./references";
+import { MAX_VARIANT_METAFIELDS, ruleVariantMetafields } from "./line-details";
+import { MAX_SCHEDULE_TIMES, ruleScheduleTimes } from "./schedule";
+
+// Bumped whenever a change to the rule shape would make older clients write
+// rules this server no longer accepts. Clients may send the version they were
+// built against; anything newer than this is rejected.
+export const RULES_SCHEMA_VERSION = 1;
+
+// One problem with one field. `field` is a path inside the rule, such as
+// "conditions[0].conditions[1].max" or "actions[0].addVariantId".
+export type RuleFieldError = {
+  ruleIndex: number;
+  ruleId: string | null;
+  field: string;
+  message: string;
+};
+
+// "summer-gift › actions[0].addVariantId: Pick a gift variant"
+export function describeRuleError(error: RuleFieldError): string {
+  const rule = error.ruleId || (error.ruleIndex >= 0 ? `Rule ${error.ruleIndex + 1}` : "Rules");
+  return `${rule}${error.field ? ` › ${error.field}` : ""}: ${error.message}`;
+}
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const TIME = /^\d{1,2}:\d{2}$/;
+
+// A numeric id or a GID of the given resource type
+function isResourceId(value: unknown, resource: string): boolean {
+  if (typeof value === "number") return Number.isInteger(value) && value > 0;
+  if (typeof value !== "string") return false;
+  return /^\d+$/.test(value.trim()) || new RegExp(`^gid://shopify/${resource}/\\d+$`).test(value.trim());
+}
+
+// An id, or a handle/SKU reference the server resolves on publish
+function isReference(value: unknown, resource: string): boolean {
+  if (isResourceId(value, resource)) return true;
+  if (typeof value !== "string" || !isNamedReference(value)) return false;
+  return resource === "ProductVariant" || value.startsWith(HANDLE_PREFIX);
+}
+
+function isCount(value: unknown): value is number {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+type Report = (field: string, message: string) => void;
+
+function checkIdList(list: unknown, resource: string, field: string, noun: string, report: Report) {
+  if (!Array.isArray(list) || list.length === 0) {
+    report(field, `Add at least one ${noun}`);
+    return;
+  }
+  list.forEach((id, i) => {
+    if (!isReference(id, resource)) report(`${field}[${i}]`, `Not a ${resource} id, handle or SKU: ${JSON.stringify(id)}`);
+  });
+}
+
+function checkTextList(list: unknown, field: string, noun: string, report: Report) {
+  if (!Array.isArray(list) || !list.some((t) => typeof t === "string" && t.trim())) {
+    report(field, `Add at least one ${noun}`);
+  }
+}
+
+function checkRange(c: { min?: unknown; max?: unknown }, path: string, report: Report) {
+  if (!isCount(c.min)) report(`${path}.min`, "Must be a number >= 0");
+  if (c.max != null) {
+    if (!isCount(c.max)) report(`${path}.max`, "Must be a number >= 0");
+    else if (isCount(c.min) && c.max < c.min) report(`${path}.max`, "Must be greater than or equal to min");
+  }
+}
+
+function checkCondition(c: Record<string, unknown>, path: string, report: Report) {
+  switch (c.type) {
+    case "cart_quantity_at_least":
+      if (!isCount(c.threshold)) report(`${path}.threshold`, "Must be a number >= 0");
+      break;
+    case "cart_quantity_in_range":
+    case "product_quantity_in_range":
+    case "customer_order_count_in_range":
+      checkRange(c, path, report);
+      if (c.type === "product_quantity_in_range" && !isReference(c.productId, "Product")) {
+        report(`${path}.productId`, "Pick a product");
+      }
+      break;
+    case "cart_total_at_least":
+      if (!isCount(c.amount)) report(`${path}.amount`, "Must be a number >= 0");
+      break;
+    case "subtotal_in_range":
+      checkRange(c, path, report);
+      // Each scope is optional; an empty one is the same as leaving it out
+      if (Array.isArray(c.productIds) && c.productIds.length) checkIdList(c.productIds, "Product", `${path}.productIds`, "product", report);
+      if (Array.isArray(c.collectionIds) && c.collectionIds.length) checkIdList(c.collectionIds, "Collection", `${path}.collectionIds`, "collection", report);
+      if (c.tags != null && !Array.isArray(c.tags)) report(`${path}.tags`, "Must be a list of tags");
+      break;
+    case "includes_any_variants":
+      checkIdList(c.variantIds, "ProductVariant", `${path}.variantIds`, "variant", report);
+      break;
+    case "includes_any_products":
+      checkIdList(c.productIds, "Product", `${path}.productIds`, "product", report);
+      break;
+    case "includes_any_collections":
+      checkIdList(c.collectionIds, "Collection", `${path}.collectionIds`, "collection", report);
+      break;
+    case "customer_has_tag":
+    case "includes_product_with_tag":
+      checkTextList(c.tags, `${path}.tags`, "tag", report);
+      break;
+    case "includes_vendor":
+      checkTextList(c.vendors, `${path}.vendors`, "vendor", report);
+      break;
+    case "includes_product_type":
+      checkTextList(c.productTypes, `${path}.productTypes`, "product type", report);
+      break;
+    case "includes_variant_with_metafield":
+      if (typeof c.namespace !== "string" || !c.namespace.trim()) report(`${path}.namespace`, "Enter the metafield namespace");
+      if (typeof c.key !== "string" || !c.key.trim()) report(`${path}.key`, "Enter the metafield key");
+      if (c.value != null && typeof c.value !== "string") report(`${path}.value`, "Must be text");
+      break;
+    case "customer_is_logged_in":
+    case "first_order_only":
+    case "cart_total_gte": // legacy storefront rules
+      break;
+    default:
+      report(`${path}.type`, `Unknown condition type: ${JSON.stringify(c.type)}`);
+  }
+}
+
+function checkConditions(list: unknown, path: string, depth: number, report: Report) {
+  if (!Array.isArray(list)) {
+    report(path, "Must be a list of conditions");
+    return;
+  }
+  list.forEach((node: ConditionNode | null, i) => {
+    const at = `${path}[${i}]`;
+    if (!node || typeof node !== "object") {
+      report(at, "Must be a condition");
+      return;
+    }
+    if (isConditionGroup(node)) {
+      if (depth >= MAX_CONDITION_DEPTH) {
+        report(at, `Groups can nest at most ${MAX_CONDITION_DEPTH} deep`);
+        return;
+      }
+      if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+        report(`${at}.conditions`, "Add at least one condition to the group");
+        return;
+      }
+      checkConditions(node.conditions, `${at}.conditions`, depth + 1, report);
+      return;
+    }
+    checkCondition(node as Record<string, unknown>, at, report);
+  });
+}
+
+function checkDiscount(d: GiftDiscount, path: string, report: Report) {
+  if (d.type === "percentage") {
+    if (typeof d.value !== "number" || d.value <= 0 || d.value > 100) report(`${path}.value`, "Must be between 0 and 100");
+  } else if (d.type === "fixed_amount") {
+    if (typeof d.amount !== "number" || !(d.amount > 0)) report(`${path}.amount`, "Must be greater than 0");
+  } else if (d.type !== "free") {
+    report(`${path}.type`, "Must be free, percentage or fixed_amount");
+  }
+}
+
+function checkAction(a: RuleAction, path: string, report: Report) {
+  if (!a || typeof a !== "object") {
+    report(path, "Must be an action");
+    return;
+  }
+  if (a.type === "gift_choice") {
+    checkIdList(a.variantIds, "ProductVariant", `${path}.variantIds`, "variant to choose from", report);
+  } else if (a.type !== undefined && a.type !== "add_variant") {
+    report(`${path}.type`, `Unknown action type: ${JSON.stringify(a.type)}`);
+  } else if (!isReference(a.addVariantId, "ProductVariant")) {
+    report(`${path}.addVariantId`, a.addVariantId ? `Not a ProductVariant id, handle or SKU: ${JSON.stringify(a.addVariantId)}` : "Pick a gift variant");
+  }
+  if (a.quantity != null && !(Number.isInteger(a.quantity) && a.quantity >= 1)) {
+    report(`${path}.quantity`, "Must be a whole number >= 1");
+  }
+  if (a.scaling) {
+    if (!(typeof a.scaling.per === "number" && a.scaling.per >= 1)) report(`${path}.scaling.per`, "Must be >= 1");
+    if (a.scaling.max != null && !isCount(a.scaling.max)) report(`${path}.scaling.max`, "Must be a number >= 0");
+    if (a.scaling.productId && !isReference(a.scaling.productId, "Product")) report(`${path}.scaling.productId`, "Not a Product id or handle");
+  }
+  if (a.discount) checkDiscount(a.discount, `${path}.discount`, report);
+}
+
+function checkRule(rule: Rule, report: Report) {
+  if (typeof rule.id !== "string" || !rule.id.trim()) report("id", "Rule id is required");
+  if (rule.active != null && typeof rule.active !== "boolean") report("active", "Must be true or false");
+  if (rule.priority != null && !(typeof rule.priority === "number" && Number.isFinite(rule.priority))) {
+    report("priority", "Must be a number");
+  }
+  if (rule.group != null && typeof rule.group !== "string") report("group", "Must be text");
+  if (rule.progressMessage != null && typeof rule.progressMessage !== "string") report("progressMessage", "Must be text");
+  if (rule.startsAt && !DATE_TIME.test(rule.startsAt)) report("startsAt", "Must be YYYY-MM-DDTHH:MM");
+  if (rule.endsAt && !DATE_TIME.test(rule.endsAt)) report("endsAt", "Must be YYYY-MM-DDTHH:MM");
+  if (rule.startsAt && rule.endsAt && rule.endsAt <= rule.startsAt) report("endsAt", "Must be after startsAt");
+  if (rule.recurring) {
+    const { days, startTime, endTime } = rule.recurring;
+    if (startTime && !TIME.test(startTime)) report("recurring.startTime", "Must be HH:MM");
+    if (endTime && !TIME.test(endTime)) report("recurring.endTime", "Must be HH:MM");
+    if (days != null && (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6))) {
+      report("recurring.days", "Must be weekdays 0-6");
+    }
+  }
+
+  checkConditions(rule.conditions, "conditions", 0, report);
+
+  if (Array.isArray(rule.actions)) {
+    if (rule.actions.length === 0) report("actions", "Add at least one action");
+    rule.actions.forEach((a, i) => checkAction(a, `actions[${i}]`, report));
+  } else if (rule.action) {
+    checkAction(rule.action, "action", report);
+  } else {
+    report("actions", "Add at least one action");
+  }
+}
+
+// Checks the shape of a rule set without looking anything up. Whether ids,
+// handles and SKUs point at real items is checked by the server on top.
+export function validateRules(rules: unknown): RuleFieldError[] {
+  if (!Array.isArray(rules)) {
+    return [{ ruleIndex: -1, ruleId: null, field: "rules", message: "Rules must be a list" }];
+  }
+  const errors: RuleFieldError[] = [];
+  const seen = new Set<string>();
+  rules.forEach((rule: Rule, ruleIndex) => {
+    const ruleId = rule && typeof rule.id === "string" ? rule.id : null;
+    const report: Report = (field, message) => errors.push({ ruleIndex, ruleId, field, message });
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      report("", "Must be a rule object");
+      return;
+    }
+    if (ruleId) {
+      if (seen.has(ruleId)) report("id", `Duplicate rule id: ${ruleId}`);
+      seen.add(ruleId);
+    }
+    checkRule(rule, report);
+  });
+  // The functions read variant metafields through a fixed number of input slots
+  const metafields = ruleVariantMetafields(rules.filter((r) => r && typeof r === "object"));
+  if (metafields.length > MAX_VARIANT_METAFIELDS) {
+    errors.push({
+      ruleIndex: -1,
+      ruleId: null,
+      field: "rules",
+      message: `Rules can check at most ${MAX_VARIANT_METAFIELDS} different variant metafields; these use ${metafields.length}`,
+    });
+  }
+  // ...and compare the time of day with a fixed number of times
+  const times = ruleScheduleTimes(rules.filter((r) => r && typeof r === "object"));
+  if (times.length > MAX_SCHEDULE_TIMES) {
+    errors.push({
+      ruleIndex: -1,
+      ruleId: null,
+      field: "rules",
+      message: `Rule schedules can use at most ${MAX_SCHEDULE_TIMES} different times of day; these use ${times.length} (${times.join(", ")})`,
+    });
+  }
+  return errors;
+}
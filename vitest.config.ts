@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the app server code. The functions' tests run in their
+// extensions, against their fixtures.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.ts"],
+  },
+});